@@ -0,0 +1,190 @@
+/*
+ * Accessibility helpers shared by the extension pages: screen‑reader
+ * announcements of the timer and modal dialogs that replace alert(),
+ * confirm() and prompt(). The browser's own dialogs block the page, cannot
+ * be styled for the theme and, in the popup, close it; these use <dialog>,
+ * which keeps the keyboard focus inside while open, closes with Escape and
+ * hands the focus back afterwards.
+ *
+ * Announcements go to a polite live region with the id "announcer" that
+ * each page provides. Only changes are announced – a new phase, a pause, a
+ * resume and milestones such as halfway and the last minutes – never the
+ * countdown itself.
+ *
+ * Loaded with a <script> tag after i18n.js.
+ */
+
+// Minutes left at which a running phase is announced
+const MILESTONE_MINUTES = [5, 1];
+// Phases shorter than this are not announced at halfway
+const HALFWAY_MIN_MS = 4 * 60000;
+
+// The timer as last seen by announceTimer()
+let announcedTimer = null;
+let dialogCount = 0;
+
+/**
+ * Read a message out through the page's live region.
+ *
+ * @param {string} message
+ */
+function announce(message) {
+  const region = document.getElementById('announcer');
+  if (!region) return;
+  // Emptying the region first makes a repeated message be read again
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 100);
+}
+
+/**
+ * Time left in a timer state's phase.
+ *
+ * @param {Object} state Timer state from the service worker
+ * @returns {number} ms
+ */
+function timerLeft(state) {
+  if (state.running) return Math.max(state.endTime - Date.now(), 0);
+  return state.remainingTime != null ? state.remainingTime : 0;
+}
+
+/**
+ * Announce what changed since the last call: a phase starting or waiting
+ * to be started, the timer pausing, resuming or stopping, or a milestone
+ * passing. Call it with every state the page receives and on every tick;
+ * the first call only takes note, so opening a page is silent.
+ *
+ * @param {Object} state Timer state from the service worker
+ */
+function announceTimer(state) {
+  const before = announcedTimer;
+  const now = {
+    phase: state.phase,
+    startedAt: state.phaseStartedAt,
+    awaiting: !!state.awaitingStart,
+    running: !!state.running,
+    left: timerLeft(state)
+  };
+  announcedTimer = now;
+  if (!before) return;
+  if (now.phase === 'idle') {
+    if (before.phase !== 'idle') announce(t('announceStopped'));
+    return;
+  }
+  if (now.phase !== before.phase || now.startedAt !== before.startedAt || now.awaiting !== before.awaiting) {
+    announce(now.awaiting
+      ? t('readyToStart', state.phaseLabel)
+      : t('announceStarted', [state.phaseLabel, formatTimeLeft(now.left)]));
+    return;
+  }
+  if (now.running !== before.running) {
+    announce(t(now.running ? 'announceResumed' : 'announcePaused', formatTimeLeft(now.left)));
+    return;
+  }
+  if (!now.running) return;
+  const duration = state.plannedDuration || 0;
+  const milestone = MILESTONE_MINUTES.find((minutes) => before.left > minutes * 60000 && now.left <= minutes * 60000);
+  if (milestone && duration > milestone * 60000) {
+    announce(t('announceTimeLeft', formatTimeLeft(milestone * 60000)));
+  } else if (duration >= HALFWAY_MIN_MS && before.left > duration / 2 && now.left <= duration / 2) {
+    announce(t('announceHalfway', state.phaseLabel));
+  }
+}
+
+/**
+ * Open a modal dialog with a message, an optional text field and buttons.
+ *
+ * @param {Object} options
+ * @param {string} options.message
+ * @param {string} [options.value] Initial text of the field; no field if omitted
+ * @param {boolean} [options.cancel] Offer a Cancel button
+ * @returns {Promise<(boolean|string|null)>} For a field its text, or null if
+ *   cancelled; otherwise whether OK was chosen
+ */
+function openDialog({ message, value, cancel }) {
+  return new Promise((resolve) => {
+    dialogCount += 1;
+    const dialog = document.createElement('dialog');
+    dialog.className = 'dialog';
+    if (value === undefined) dialog.setAttribute('role', 'alertdialog');
+    const text = document.createElement('p');
+    text.id = `dialog-message-${dialogCount}`;
+    text.textContent = message;
+    dialog.setAttribute('aria-labelledby', text.id);
+    const form = document.createElement('form');
+    form.method = 'dialog';
+    let field = null;
+    if (value !== undefined) {
+      field = document.createElement('input');
+      field.type = 'text';
+      field.value = value;
+      field.autofocus = true;
+      field.setAttribute('aria-labelledby', text.id);
+      form.appendChild(field);
+    }
+    const buttons = document.createElement('div');
+    buttons.className = 'buttons small';
+    if (cancel) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'secondary';
+      cancelBtn.textContent = t('dialogCancel');
+      cancelBtn.addEventListener('click', () => dialog.close('cancel'));
+      buttons.appendChild(cancelBtn);
+    }
+    const okBtn = document.createElement('button');
+    okBtn.type = 'submit';
+    okBtn.className = 'primary';
+    okBtn.value = 'ok';
+    okBtn.textContent = t('dialogOk');
+    // A message starts on OK. A question starts on Cancel, the first
+    // button, so Enter never confirms it by accident.
+    if (!field && !cancel) okBtn.autofocus = true;
+    buttons.appendChild(okBtn);
+    form.appendChild(buttons);
+    dialog.append(text, form);
+    dialog.addEventListener('close', () => {
+      const ok = dialog.returnValue === 'ok';
+      dialog.remove();
+      if (field) {
+        resolve(ok ? field.value : null);
+      } else {
+        resolve(ok);
+      }
+    });
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
+
+/**
+ * Show a message until the user dismisses it.
+ *
+ * @param {string} message
+ * @returns {Promise<void>}
+ */
+async function showAlert(message) {
+  await openDialog({ message });
+}
+
+/**
+ * Ask a yes/no question.
+ *
+ * @param {string} message
+ * @returns {Promise<boolean>} Whether the user confirmed
+ */
+function showConfirm(message) {
+  return openDialog({ message, cancel: true });
+}
+
+/**
+ * Ask for a line of text.
+ *
+ * @param {string} message
+ * @param {string} [value] Text to start with
+ * @returns {Promise<(string|null)>} The text, or null if cancelled
+ */
+function showPrompt(message, value = '') {
+  return openDialog({ message, value, cancel: true });
+}
@@ -0,0 +1,287 @@
+/*
+ * Backup bundles: their format, the CSV export of the history in them, the
+ * checks a bundle has to pass before it is imported and the plan for
+ * merging it with, or letting it replace, what is stored. Nothing here
+ * reads or writes storage; the caller passes in the current data and
+ * writes the plan. createImporter() is handed:
+ *
+ *   translate(key, substitutions)  a message in the user's language, for
+ *              the problems found in a bundle
+ *   translatePlural(key, count)    the same for messages with a count
+ *   importedSettings(settings)     the settings section of a bundle made
+ *              ready to store, as the settings store of settings.js does it
+ *
+ * The file is a classic script that needs toDateKey() of dates.js,
+ * createDailyTotal() of timer_engine.js and isReflection() of
+ * reflections.js: the service worker loads it after them with
+ * importScripts() and Node can require() it once they have been loaded.
+ */
+
+// Backups are exported as a versioned JSON bundle:
+//   {
+//     format: 'pomopal-backup',
+//     version: BACKUP_VERSION,
+//     exportedAt,           // epoch ms
+//     sourceId,             // installId of the exporting browser
+//     data: { settings, history, dailyTotals, journal, tasks, activeTaskId }
+//   }
+// Reflections travel with their sessions in history and journal; bundles
+// from before reflections existed have no journal. The same bundle shape is
+// accepted for import. When merging, sessions are
+// de‑duplicated by id and the compacted per‑day totals contributed by each
+// source are remembered under 'mergedSources', so importing a newer bundle
+// from the same machine again only adds the difference.
+const BACKUP_FORMAT = 'pomopal-backup';
+const BACKUP_VERSION = 1;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Quote a value for CSV output when it contains separators or quotes. Text
+ * a spreadsheet would run as a formula, such as a task titled '=1+1', is
+ * prefixed with an apostrophe so it is shown as typed.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the history as CSV. Detailed sessions come first with their
+ * reflections, followed by the reflections of compacted sessions and the
+ * compacted per‑day totals (which only carry counts).
+ *
+ * @param {Object} bundle Backup bundle from buildBackup()
+ * @returns {string}
+ */
+function backupToCsv(bundle) {
+  const { history, dailyTotals, journal, tasks, settings } = bundle.data;
+  const taskTitles = {};
+  tasks.forEach((task) => { taskTitles[task.id] = task.title; });
+  const minutes = (ms) => (ms / 60000).toFixed(1);
+  const rows = [[
+    'type', 'date', 'phase', 'outcome', 'start', 'end',
+    'planned_minutes', 'actual_minutes', 'task', 'completed', 'abandoned', 'reflection', 'focus_rating'
+  ]];
+  history.forEach((entry) => {
+    const reflection = entry.reflection || {};
+    rows.push([
+      'session',
+      toDateKey(entry.endTime, settings.dayStartHour),
+      entry.phase,
+      entry.outcome,
+      new Date(entry.startTime).toISOString(),
+      new Date(entry.endTime).toISOString(),
+      minutes(entry.plannedDuration),
+      minutes(entry.actualDuration),
+      taskTitles[entry.taskId] || '',
+      '',
+      '',
+      reflection.note,
+      reflection.focus
+    ]);
+  });
+  journal.forEach((record) => {
+    rows.push([
+      'reflection',
+      toDateKey(record.endTime, settings.dayStartHour),
+      'work',
+      record.outcome,
+      new Date(record.startTime).toISOString(),
+      new Date(record.endTime).toISOString(),
+      '',
+      minutes(record.actualDuration),
+      taskTitles[record.taskId] || '',
+      '',
+      '',
+      record.reflection.note,
+      record.reflection.focus
+    ]);
+  });
+  Object.keys(dailyTotals).sort().forEach((dateKey) => {
+    const total = dailyTotals[dateKey];
+    rows.push([
+      'daily_total', dateKey, 'work', '', '', '', '',
+      minutes(total.focusMs), '', total.completed, total.abandoned, '', ''
+    ]);
+  });
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create the import checks and planning.
+ *
+ * @param {Object} deps See the top of this file
+ * @returns {{validateBackup: function(*): string[], planImport: function(Object, string, Object): Object}}
+ */
+function createImporter({ translate, translatePlural, importedSettings }) {
+  /**
+   * Check an imported bundle against the backup schema.
+   *
+   * @param {*} bundle Parsed JSON
+   * @returns {string[]} Human readable problems; empty when valid
+   */
+  function validateBackup(bundle) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    if (!isObject(bundle) || bundle.format !== BACKUP_FORMAT) {
+      return [translate('backupNotPomoPal')];
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BACKUP_VERSION) {
+      return [translate('backupUnsupportedVersion', bundle.version)];
+    }
+    const data = bundle.data;
+    if (!isObject(data)) return [translate('backupNoData')];
+    if (data.settings !== undefined && !isObject(data.settings)) {
+      errors.push(translate('backupSettingsInvalid'));
+    }
+    if (!Array.isArray(data.history)) {
+      errors.push(translate('backupHistoryInvalid'));
+    } else {
+      data.history.forEach((entry, i) => {
+        const valid = isObject(entry) &&
+          typeof entry.id === 'string' &&
+          ['work', 'short_break', 'long_break'].includes(entry.phase) &&
+          ['completed', 'reset', 'skipped'].includes(entry.outcome) &&
+          [entry.plannedDuration, entry.actualDuration, entry.startTime, entry.endTime].every(isCount) &&
+          entry.endTime >= entry.startTime &&
+          (entry.reflection === undefined || (entry.phase === 'work' && isReflection(entry.reflection)));
+        if (!valid) errors.push(translate('backupHistoryEntryInvalid', i + 1));
+      });
+    }
+    if (data.journal !== undefined && !Array.isArray(data.journal)) {
+      errors.push(translate('backupJournalInvalid'));
+    } else {
+      (data.journal || []).forEach((record, i) => {
+        const valid = isObject(record) &&
+          typeof record.id === 'string' &&
+          ['completed', 'reset', 'skipped'].includes(record.outcome) &&
+          [record.actualDuration, record.startTime, record.endTime].every(isCount) &&
+          record.endTime >= record.startTime &&
+          isReflection(record.reflection);
+        if (!valid) errors.push(translate('backupJournalEntryInvalid', i + 1));
+      });
+    }
+    if (!isObject(data.dailyTotals)) {
+      errors.push(translate('backupDailyTotalsInvalid'));
+    } else {
+      Object.entries(data.dailyTotals).forEach(([dateKey, total]) => {
+        const valid = DATE_KEY_PATTERN.test(dateKey) && isObject(total) &&
+          Object.keys(createDailyTotal()).every((field) => total[field] === undefined || isCount(total[field]));
+        if (!valid) errors.push(translate('backupDailyTotalInvalid', dateKey));
+      });
+    }
+    if (!Array.isArray(data.tasks)) {
+      errors.push(translate('backupTasksInvalid'));
+    } else {
+      data.tasks.forEach((task, i) => {
+        const valid = isObject(task) && typeof task.id === 'string' && typeof task.title === 'string' &&
+          isCount(task.estimate) && isCount(task.completedPomodoros) && typeof task.done === 'boolean';
+        if (!valid) errors.push(translate('backupTaskInvalid', i + 1));
+      });
+    }
+    // Keep the list readable if a file is badly broken
+    return errors.length > 10
+      ? errors.slice(0, 10).concat(translatePlural('backupMoreProblems', errors.length - 10))
+      : errors;
+  }
+
+  /**
+   * Work out the storage contents that would result from importing a bundle,
+   * without writing anything.
+   *
+   * @param {Object} bundle Validated backup bundle
+   * @param {string} mode 'merge' or 'replace'
+   * @param {Object} current What is stored now, to merge with: { settings,
+   *   history: { entries, dailyTotals, journal }, tasks, activeTaskId,
+   *   installId, mergedSources }
+   * @returns {Object} Next values for the affected storage keys
+   */
+  function planImport(bundle, mode, current) {
+    const data = bundle.data;
+    if (mode === 'replace') {
+      return {
+        settings: importedSettings(data.settings),
+        history: data.history.slice(),
+        dailyTotals: JSON.parse(JSON.stringify(data.dailyTotals)),
+        journal: (data.journal || []).slice(),
+        tasks: data.tasks.slice(),
+        activeTaskId: data.tasks.some((t) => t.id === data.activeTaskId) ? data.activeTaskId : null,
+        mergedSources: {}
+      };
+    }
+    const { settings, history, installId } = current;
+    // Sessions: union by id, taking a reflection from the bundle for a known
+    // session that has none, whether the bundle still has the session or
+    // only its reflection
+    const incomingReflections = new Map(data.history.filter((entry) => entry.reflection)
+      .map((entry) => [`${entry.id}:${entry.phase}`, entry.reflection])
+      .concat((data.journal || []).map((record) => [`${record.id}:work`, record.reflection])));
+    const known = new Set(history.entries.map((entry) => `${entry.id}:${entry.phase}`));
+    const entries = history.entries.map((entry) => {
+      const reflection = incomingReflections.get(`${entry.id}:${entry.phase}`);
+      return reflection && !entry.reflection ? Object.assign({}, entry, { reflection }) : entry;
+    }).concat(
+      data.history.filter((entry) => !known.has(`${entry.id}:${entry.phase}`))
+    ).sort((a, b) => a.endTime - b.endTime);
+    // Reflections of compacted sessions: union by id
+    const archived = new Set(history.journal.map((record) => record.id)
+      .concat(entries.filter((entry) => entry.phase === 'work').map((entry) => entry.id)));
+    const journal = history.journal.concat((data.journal || []).filter((record) => !archived.has(record.id)))
+      .sort((a, b) => a.endTime - b.endTime);
+    // Compacted totals: add only what this source has not contributed yet
+    const dailyTotals = JSON.parse(JSON.stringify(history.dailyTotals));
+    const mergedSources = Object.assign({}, current.mergedSources);
+    const sameMachine = bundle.sourceId && bundle.sourceId === installId;
+    const previous = (!sameMachine && bundle.sourceId && mergedSources[bundle.sourceId]) || {};
+    Object.entries(data.dailyTotals).forEach(([dateKey, incoming]) => {
+      const total = Object.assign(createDailyTotal(), dailyTotals[dateKey]);
+      const already = Object.assign(createDailyTotal(), previous[dateKey]);
+      Object.keys(total).forEach((field) => {
+        const value = incoming[field] || 0;
+        total[field] = sameMachine
+          ? Math.max(total[field], value)
+          : total[field] + Math.max(value - already[field], 0);
+      });
+      dailyTotals[dateKey] = total;
+    });
+    if (!sameMachine && bundle.sourceId) {
+      mergedSources[bundle.sourceId] = JSON.parse(JSON.stringify(data.dailyTotals));
+    }
+    // Tasks: union by id, keeping the copy with more progress
+    const tasks = current.tasks.slice();
+    data.tasks.forEach((task) => {
+      const index = tasks.findIndex((t) => t.id === task.id);
+      if (index === -1) {
+        tasks.push(task);
+      } else if (task.completedPomodoros > tasks[index].completedPomodoros) {
+        tasks[index] = task;
+      }
+    });
+    return {
+      settings: importedSettings(settings),
+      history: entries,
+      dailyTotals,
+      journal,
+      tasks,
+      activeTaskId: current.activeTaskId,
+      mergedSources
+    };
+  }
+
+  return { validateBackup, planImport };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    csvField,
+    backupToCsv,
+    createImporter
+  };
+}
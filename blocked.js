@@ -0,0 +1,122 @@
+/*
+ * Logic for the page shown in place of a blocked site. The service worker's
+ * blocking rules redirect here with the original address in the URL hash.
+ * The page shows the time left in the work session and lets the user open
+ * the site anyway after deliberately typing its name.
+ */
+
+const blockedMessage = document.getElementById('blocked-message');
+const blockedSiteSpan = document.getElementById('blocked-site');
+const timerDisplay = document.getElementById('timer-display');
+const backBtn = document.getElementById('back-btn');
+const liftedBox = document.getElementById('lifted');
+const continueBtn = document.getElementById('continue-btn');
+const bypassBox = document.getElementById('bypass');
+const bypassPrompt = document.getElementById('bypass-prompt');
+const bypassDomain = document.getElementById('bypass-domain');
+const bypassInput = document.getElementById('bypass-input');
+const bypassBtn = document.getElementById('bypass-btn');
+const bypassError = document.getElementById('bypass-error');
+
+// Address the user tried to open, passed by the redirect rule
+const blockedUrl = location.hash.slice(1);
+let blockedHost = '';
+try {
+  blockedHost = new URL(blockedUrl).hostname.replace(/^www\./, '');
+} catch (err) {
+  blockedHost = '';
+}
+
+let currentState = null;
+
+/**
+ * Send a command to the background service worker.
+ *
+ * @param {string} command Command identifier
+ * @param {Object} [payload]
+ * @returns {Promise<any>}
+ */
+function sendCommand(command, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ command, ...payload }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Format a number of milliseconds into a MM:SS string.
+ *
+ * @param {number} ms Milliseconds remaining
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Refresh the countdown, and offer to continue once blocking no longer
+ * applies because the work session ended or was paused.
+ */
+function render() {
+  const blocking = currentState && currentState.phase === 'work' && currentState.running;
+  if (!blocking) {
+    timerDisplay.textContent = '--:--';
+    liftedBox.classList.remove('hidden');
+    bypassBox.classList.add('hidden');
+    return;
+  }
+  timerDisplay.textContent = formatTime(currentState.endTime - Date.now());
+}
+
+backBtn.addEventListener('click', () => {
+  if (history.length > 1) {
+    history.back();
+  } else {
+    window.close();
+  }
+});
+
+continueBtn.addEventListener('click', () => {
+  if (blockedUrl) location.replace(blockedUrl);
+});
+
+bypassInput.addEventListener('input', () => {
+  bypassBtn.disabled = bypassInput.value.trim().toLowerCase() !== blockedHost;
+});
+
+bypassBtn.addEventListener('click', async () => {
+  const resp = await sendCommand('bypassBlock', { url: blockedUrl });
+  if (resp && resp.success) {
+    location.replace(blockedUrl);
+  } else if (resp) {
+    bypassError.textContent = resp.error;
+  }
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const [stateResp, settingsResp] = await Promise.all([
+    sendCommand('getState'),
+    sendCommand('getSettings')
+  ]);
+  const { settings } = settingsResp;
+  await initI18n(settings.language);
+  localizePage();
+  blockedSiteSpan.textContent = blockedHost || t('blockedThisSite');
+  blockedMessage.replaceChildren(...tNodes('blockedMessage', [blockedSiteSpan]));
+  bypassDomain.textContent = blockedHost;
+  bypassPrompt.replaceChildren(...tNodes(pluralName('bypassPrompt', settings.bypassMinutes),
+    [formatNumber(settings.bypassMinutes), bypassDomain]));
+  if (!blockedHost) bypassBox.classList.add('hidden');
+  currentState = stateResp.state;
+  applyTheme(settings.theme);
+  render();
+  setInterval(render, 1000);
+  subscribeToStatus((state) => {
+    currentState = state;
+    render();
+  });
+});
@@ -0,0 +1,221 @@
+/*
+ * The distraction blocker. It uses declarativeNetRequest session rules, so
+ * PomoPal never sees page contents or browsing history: the browser itself
+ * redirects matching top‑level navigations to blocked.html. Redirects need
+ * host access, which is only requested (as an optional permission) when the
+ * user enables the blocker. Rules are rebuilt from scratch by syncBlocker()
+ * after every timer transition. A confirmed bypass adds a higher priority
+ * allow rule for one domain; bypasses are kept under 'blockerBypasses' as
+ * { domain: expiresAt } until they run out, also while blocking is lifted,
+ * and every bypass is appended to 'blockerLog'.
+ *
+ * Everything it needs from the outside is handed to createBlocker():
+ *
+ *   clock      { now() } returning epoch ms
+ *   storage    an object shaped like chrome.storage.local
+ *   rules      an object shaped like chrome.declarativeNetRequest: async
+ *              getSessionRules() and updateSessionRules(options)
+ *   hasHostAccess()  async, whether the optional host permission is granted
+ *   scheduler  { set(name, when), clear(name) } for one‑shot wake‑ups; the
+ *              owner calls syncBlocker() when BYPASS_END_ALARM fires
+ *   getSettings / getState  async settings and the current timer state
+ *   blockedPageUrl  address of blocked.html
+ *   translate(key)  a message in the user's language
+ *
+ * The file is a classic script that needs normaliseDomain() of
+ * settings.js: the service worker loads it after that with importScripts()
+ * and Node can require() it once it has been loaded.
+ */
+
+const BLOCKER_HOST_ORIGINS = ['*://*/*'];
+const BLOCK_RULE_ID = 1;
+const ALLOW_RULE_ID = 2;
+const BYPASS_RULE_BASE_ID = 100;
+const BLOCKER_LOG_LIMIT = 500;
+// Alarm that wakes the worker when the earliest bypass runs out
+const BYPASS_END_ALARM = 'blockerBypassEnd';
+
+/**
+ * Build the session rules for the given settings and bypasses.
+ *
+ * @param {Object} settings Current settings
+ * @param {Object} bypasses Map of domain to expiry (epoch ms)
+ * @param {string} blockedPageUrl Address blocked navigations go to
+ * @returns {Object[]} declarativeNetRequest rules
+ */
+function buildBlockerRules(settings, bypasses, blockedPageUrl) {
+  const redirect = {
+    type: 'redirect',
+    redirect: { regexSubstitution: `${blockedPageUrl}#\\0` }
+  };
+  const rules = [];
+  if (settings.blockerMode === 'allowlist') {
+    rules.push({
+      id: BLOCK_RULE_ID,
+      priority: 1,
+      action: redirect,
+      condition: { regexFilter: '^https?://.*', resourceTypes: ['main_frame'] }
+    });
+    if (settings.allowedSites.length) {
+      rules.push({
+        id: ALLOW_RULE_ID,
+        priority: 2,
+        action: { type: 'allow' },
+        condition: { requestDomains: settings.allowedSites, resourceTypes: ['main_frame'] }
+      });
+    }
+  } else if (settings.blockedSites.length) {
+    rules.push({
+      id: BLOCK_RULE_ID,
+      priority: 1,
+      action: redirect,
+      condition: {
+        regexFilter: '^https?://.*',
+        requestDomains: settings.blockedSites,
+        resourceTypes: ['main_frame']
+      }
+    });
+  }
+  Object.keys(bypasses).forEach((domain, index) => {
+    rules.push({
+      id: BYPASS_RULE_BASE_ID + index,
+      priority: 3,
+      action: { type: 'allow' },
+      condition: { requestDomains: [domain], resourceTypes: ['main_frame'] }
+    });
+  });
+  return rules;
+}
+
+/**
+ * Create the blocker.
+ *
+ * @param {Object} deps See the top of this file
+ * @returns {{syncBlocker: function(): Promise<void>, bypassBlock: function(string): Promise<Object>,
+ *   getBlockerLog: function(): Promise<Object[]>}}
+ */
+function createBlocker({
+  clock,
+  storage,
+  rules,
+  hasHostAccess,
+  scheduler,
+  getSettings,
+  getState,
+  blockedPageUrl,
+  translate
+}) {
+  // Rule updates are chained so overlapping transitions cannot race each
+  // other into duplicate rule ids.
+  let blockerSync = Promise.resolve();
+
+  /**
+   * Load the bypasses that have not expired yet, dropping stale ones.
+   *
+   * @returns {Promise<Object>} Map of domain to expiry (epoch ms)
+   */
+  async function getActiveBypasses() {
+    const result = await storage.get(['blockerBypasses']);
+    const now = clock.now();
+    const bypasses = {};
+    Object.entries(result.blockerBypasses || {}).forEach(([domain, expiresAt]) => {
+      if (expiresAt > now) bypasses[domain] = expiresAt;
+    });
+    return bypasses;
+  }
+
+  /**
+   * Install or remove the blocking rules to match the timer. Blocking is
+   * active only while a work phase is running, so breaks, pauses and resets
+   * lift it automatically. Without host access (the user declined the
+   * optional permission) nothing is installed.
+   *
+   * @returns {Promise<void>}
+   */
+  function syncBlocker() {
+    blockerSync = blockerSync.then(applyBlockerRules).catch((err) => {
+      console.error('Unable to update blocking rules', err);
+    });
+    return blockerSync;
+  }
+
+  /**
+   * Replace the session rules with those for the current state. Only called
+   * through syncBlocker().
+   */
+  async function applyBlockerRules() {
+    const [settings, state] = await Promise.all([getSettings(), getState()]);
+    const active = settings.blockerEnabled && state.phase === 'work' && state.running &&
+      await hasHostAccess();
+    // Bypasses outlive a pause or break within their time; only expired
+    // ones are dropped
+    const bypasses = await getActiveBypasses();
+    const existing = await rules.getSessionRules();
+    await rules.updateSessionRules({
+      removeRuleIds: existing.map((rule) => rule.id),
+      addRules: active ? buildBlockerRules(settings, bypasses, blockedPageUrl) : []
+    });
+    await storage.set({ blockerBypasses: bypasses });
+    // Re‑evaluate when the earliest bypass runs out
+    const nextExpiry = Math.min(...Object.values(bypasses));
+    if (active && Number.isFinite(nextExpiry)) {
+      await scheduler.set(BYPASS_END_ALARM, nextExpiry);
+    } else {
+      await scheduler.clear(BYPASS_END_ALARM);
+    }
+  }
+
+  /**
+   * Temporarily allow a blocked site after the user confirmed it on the
+   * blocked page. The bypass is logged with the domain only, never the full
+   * address.
+   *
+   * @param {string} url Address the user was trying to open
+   * @returns {Promise<{success: boolean, minutes?: number, error?: string}>}
+   */
+  async function bypassBlock(url) {
+    let domain = null;
+    try {
+      domain = normaliseDomain(new URL(url).hostname);
+    } catch (err) {
+      domain = null;
+    }
+    if (!domain) return { success: false, error: translate('bypassUnknownSite') };
+    const [settings, state] = await Promise.all([getSettings(), getState()]);
+    const minutes = settings.bypassMinutes;
+    const bypasses = await getActiveBypasses();
+    bypasses[domain] = clock.now() + minutes * 60 * 1000;
+    const result = await storage.get(['blockerLog']);
+    const log = (result.blockerLog || []).concat({
+      time: clock.now(),
+      domain,
+      minutes,
+      phase: state.phase
+    }).slice(-BLOCKER_LOG_LIMIT);
+    await storage.set({ blockerBypasses: bypasses, blockerLog: log });
+    await syncBlocker();
+    return { success: true, minutes };
+  }
+
+  /**
+   * Return the logged bypasses, most recent first.
+   *
+   * @returns {Promise<Object[]>}
+   */
+  async function getBlockerLog() {
+    const result = await storage.get(['blockerLog']);
+    return (result.blockerLog || []).slice().reverse();
+  }
+
+  return { syncBlocker, bypassBlock, getBlockerLog };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BLOCKER_HOST_ORIGINS,
+    BYPASS_END_ALARM,
+    BLOCKER_LOG_LIMIT,
+    buildBlockerRules,
+    createBlocker
+  };
+}
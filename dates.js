@@ -0,0 +1,117 @@
+/*
+ * Calendar day helpers shared by the service worker and the extension
+ * pages. PomoPal buckets sessions by local calendar day, where a day may be
+ * configured to start at a later hour than midnight (a night owl's 1 AM
+ * session then still counts towards the previous day).
+ *
+ * Date keys are plain 'YYYY-MM-DD' strings. Arithmetic on keys is done on
+ * the calendar fields alone, never by adding multiples of 24 hours to a
+ * timestamp, so days that are 23 or 25 hours long around daylight saving
+ * transitions are handled correctly.
+ *
+ * The file is a classic script: pages include it with a <script> tag, the
+ * service worker loads it with importScripts() and Node can require() it.
+ */
+
+/**
+ * Format calendar fields as a date key.
+ *
+ * @param {number} year Full year
+ * @param {number} month Month, 1‑12
+ * @param {number} day Day of month, 1‑31
+ * @returns {string} YYYY‑MM‑DD
+ */
+function formatDateKey(year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Split a date key into its calendar fields.
+ *
+ * @param {string} dateKey YYYY‑MM‑DD
+ * @returns {{year: number, month: number, day: number}}
+ */
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Build the date key of the PomoPal day a timestamp belongs to in the
+ * local time zone. Times before `dayStartHour` count towards the previous
+ * calendar day.
+ *
+ * @param {number} ms Epoch milliseconds
+ * @param {number} [dayStartHour=0] Hour (0‑23) at which a new day begins
+ * @returns {string}
+ */
+function toDateKey(ms, dayStartHour = 0) {
+  const local = new Date(ms);
+  const key = formatDateKey(local.getFullYear(), local.getMonth() + 1, local.getDate());
+  return local.getHours() < dayStartHour ? addDaysToKey(key, -1) : key;
+}
+
+/**
+ * Shift a date key by a whole number of calendar days.
+ *
+ * @param {string} dateKey YYYY‑MM‑DD
+ * @param {number} days Days to add (may be negative)
+ * @returns {string}
+ */
+function addDaysToKey(dateKey, days) {
+  const { year, month, day } = parseDateKey(dateKey);
+  // UTC is used purely as a calendar here; it has no DST
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return formatDateKey(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate());
+}
+
+/**
+ * Day of the week for a date key.
+ *
+ * @param {string} dateKey YYYY‑MM‑DD
+ * @returns {number} 0 = Sunday … 6 = Saturday
+ */
+function weekdayOfKey(dateKey) {
+  const { year, month, day } = parseDateKey(dateKey);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Number of calendar days from one key to another (positive when `to` is
+ * later).
+ *
+ * @param {string} from YYYY‑MM‑DD
+ * @param {string} to YYYY‑MM‑DD
+ * @returns {number}
+ */
+function daysBetweenKeys(from, to) {
+  const a = parseDateKey(from);
+  const b = parseDateKey(to);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000);
+}
+
+/**
+ * Epoch milliseconds at which the PomoPal day for a key begins in the local
+ * time zone. If the start hour does not exist on that date because clocks
+ * jump forward, the first valid instant after it is returned.
+ *
+ * @param {string} dateKey YYYY‑MM‑DD
+ * @param {number} [dayStartHour=0] Hour (0‑23) at which a new day begins
+ * @returns {number}
+ */
+function startOfDay(dateKey, dayStartHour = 0) {
+  const { year, month, day } = parseDateKey(dateKey);
+  return new Date(year, month - 1, day, dayStartHour).getTime();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatDateKey,
+    parseDateKey,
+    toDateKey,
+    addDaysToKey,
+    weekdayOfKey,
+    daysBetweenKeys,
+    startOfDay
+  };
+}
@@ -0,0 +1,145 @@
+/*
+ * The public messaging API that lets other extensions follow and drive the
+ * timer, such as a status light or a task tracker. API.md documents it for
+ * their authors.
+ *
+ * Everything that leaves the extension is built here, from the fields
+ * listed in this file only, and carries API_VERSION. The timer state inside
+ * PomoPal can then change freely: a change visible to companion tools
+ * means a new API version, with requests for older versions still answered
+ * the old way. The service worker does the wiring and checks senders
+ * against the allowlist in the settings.
+ *
+ * The file is a classic script: the service worker loads it with
+ * importScripts() and Node can require() it.
+ */
+
+const API_VERSION = 1;
+
+// Port name companion extensions connect with to receive events
+const API_EVENTS_PORT = 'events';
+
+// Commands companion extensions may send
+const API_COMMANDS = ['getStatus', 'start', 'pause', 'toggle'];
+
+// Chrome extension IDs are 32 letters from a to p
+const EXTENSION_ID_PATTERN = /^[a-p]{32}$/;
+
+// Timer engine changes (see timer_engine.js) and the events they are
+// published as. Changes not listed here are internal and publish nothing.
+const API_CHANGE_EVENTS = {
+  begin: 'phaseStarted',
+  await: 'phaseAwaiting',
+  pause: 'paused',
+  resume: 'resumed',
+  reset: 'reset',
+  extend: 'updated',
+  profile: 'updated',
+  idle: 'updated',
+  stopAfter: 'updated'
+};
+
+/**
+ * Describe the timer state the way the API publishes it.
+ *
+ * @param {Object} state Timer state from the engine
+ * @param {number} now Epoch ms
+ * @returns {Object} Status object, see API.md
+ */
+function apiStatus(state, now) {
+  const active = state.phase !== 'idle';
+  let remainingMs = null;
+  if (state.running) {
+    remainingMs = Math.max(state.endTime - now, 0);
+  } else if (active) {
+    remainingMs = state.remainingTime;
+  }
+  return {
+    phase: state.phase,
+    label: active ? state.phaseLabel : null,
+    running: !!state.running,
+    paused: active && !state.running && !state.awaitingStart,
+    awaitingStart: !!state.awaitingStart,
+    startedAt: active ? state.phaseStartedAt : null,
+    endsAt: state.running ? state.endTime : null,
+    remainingMs,
+    plannedMs: active ? state.plannedDuration : null,
+    sequenceIndex: state.sequenceIndex,
+    sequenceLength: state.sequenceLength,
+    stopsAfterPhase: !!state.stopAfterPhase
+  };
+}
+
+/**
+ * Check a request from a companion extension.
+ *
+ * @param {*} message Message as received
+ * @returns {{command: string}|{error: {code: string, message: string}}}
+ */
+function parseApiRequest(message) {
+  if (!message || typeof message !== 'object') {
+    return { error: { code: 'badRequest', message: 'Requests must be objects.' } };
+  }
+  const { apiVersion, command } = message;
+  if (!Number.isInteger(apiVersion) || apiVersion < 1 || apiVersion > API_VERSION) {
+    return {
+      error: { code: 'unsupportedVersion', message: `Supported API versions are 1 to ${API_VERSION}.` }
+    };
+  }
+  if (!API_COMMANDS.includes(command)) {
+    return { error: { code: 'unknownCommand', message: `Commands are ${API_COMMANDS.join(', ')}.` } };
+  }
+  return { command };
+}
+
+/**
+ * Build the answer to a request.
+ *
+ * @param {Object} [status] Status from apiStatus() for a successful request
+ * @param {{code: string, message: string}} [error] Why the request failed
+ * @returns {Object}
+ */
+function apiResponse(status, error) {
+  return error
+    ? { apiVersion: API_VERSION, ok: false, error }
+    : { apiVersion: API_VERSION, ok: true, status };
+}
+
+/**
+ * Build an event for subscribers.
+ *
+ * @param {string} name Event name, see API.md
+ * @param {Object} status Status from apiStatus()
+ * @param {number} now Epoch ms
+ * @param {Object} [details] Extra fields for the event, e.g. the finished phase
+ * @returns {Object}
+ */
+function apiEvent(name, status, now, details = {}) {
+  return Object.assign({ apiVersion: API_VERSION, type: 'event', event: name, at: now, status }, details);
+}
+
+/**
+ * Whether a sender may use the API.
+ *
+ * @param {Object} sender chrome.runtime.MessageSender
+ * @param {string[]} allowlist Extension IDs from the settings
+ * @returns {boolean}
+ */
+function isAllowedSender(sender, allowlist) {
+  return !!sender && typeof sender.id === 'string' && allowlist.includes(sender.id);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    API_VERSION,
+    API_EVENTS_PORT,
+    API_COMMANDS,
+    EXTENSION_ID_PATTERN,
+    API_CHANGE_EVENTS,
+    apiStatus,
+    parseApiRequest,
+    apiResponse,
+    apiEvent,
+    isAllowedSender
+  };
+}
@@ -0,0 +1,311 @@
+/*
+ * Logic for the full-tab focus view. Unlike the popup it stays open, so it
+ * can be kept in a tab or pinned: it shows a large countdown inside a
+ * progress ring, the phase and active task, and the same controls as the
+ * popup. During breaks it switches to a break screen suggesting something
+ * restful to do, and skipping the break needs a typed confirmation. The
+ * view follows the service worker's status broadcasts like the popup does.
+ */
+
+const timerDisplay = document.getElementById('timer-display');
+const ring = document.getElementById('ring');
+const ringFill = document.getElementById('ring-fill');
+const phaseLabel = document.getElementById('phase');
+const phasePosition = document.getElementById('phase-position');
+const focusScreen = document.getElementById('focus-screen');
+const taskTitle = document.getElementById('task-title');
+const breakScreen = document.getElementById('break-screen');
+const activityTitle = document.getElementById('activity-title');
+const activityText = document.getElementById('activity-text');
+const nextActivityLink = document.getElementById('next-activity');
+const startBtn = document.getElementById('start-btn');
+const pauseBtn = document.getElementById('pause-btn');
+const resumeBtn = document.getElementById('resume-btn');
+const resetBtn = document.getElementById('reset-btn');
+const pauseReasonBox = document.getElementById('pause-reason');
+const idlePrompt = document.getElementById('idle-prompt');
+const idlePromptText = document.getElementById('idle-prompt-text');
+const phaseControls = document.getElementById('phase-controls');
+const skipBtn = document.getElementById('skip-btn');
+const extendBtn = document.getElementById('extend-btn');
+const longBreakBtn = document.getElementById('long-break-btn');
+const skipConfirmBox = document.getElementById('skip-confirm');
+const skipInput = document.getElementById('skip-input');
+const skipConfirmBtn = document.getElementById('skip-confirm-btn');
+const skipCancelBtn = document.getElementById('skip-cancel-btn');
+// Timer controls in the order the keyboard focus prefers them
+const timerButtons = [startBtn, pauseBtn, resumeBtn, resetBtn];
+
+// Suggestions shown on the break screen, one at a time; each has an
+// activity<Name>Title and activity<Name>Text message
+const BREAK_ACTIVITIES = ['Stretch', 'Eyes', 'Water', 'Move', 'Breathe'];
+// How long each suggestion is shown before the next one
+const ACTIVITY_ROTATE_MS = 30000;
+
+// Filled in once the messages are loaded
+let phaseMap = {};
+
+let currentState = null;
+let currentSettings = null;
+let tasks = null;
+// Suggestions the user asked to move past during this break
+let activityOffset = 0;
+
+/**
+ * Send a command to the background service worker.
+ *
+ * @param {string} command Command identifier
+ * @param {Object} [payload]
+ * @returns {Promise<any>}
+ */
+function sendCommand(command, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ command, ...payload }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Format a number of milliseconds into a MM:SS string.
+ *
+ * @param {number} ms Milliseconds remaining
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const totalSeconds = Math.max(Math.ceil(ms / 1000), 0);
+  const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Whether the current phase is a break.
+ *
+ * @returns {boolean}
+ */
+function isBreak() {
+  return currentState.phase === 'short_break' || currentState.phase === 'long_break';
+}
+
+/**
+ * Time left in the current phase.
+ *
+ * @returns {number} ms
+ */
+function msLeft() {
+  if (currentState.running) return currentState.endTime - Date.now();
+  return currentState.remainingTime != null ? currentState.remainingTime : 0;
+}
+
+/**
+ * Refresh the countdown, the progress ring, the tab title and the break
+ * suggestion, and announce anything worth announcing (see announceTimer).
+ * Runs every second.
+ */
+function renderTime() {
+  if (!currentState) return;
+  announceTimer(currentState);
+  if (currentState.phase === 'idle') {
+    timerDisplay.textContent = '--:--';
+    ringFill.setAttribute('stroke-dasharray', '0 100');
+    ring.setAttribute('aria-valuenow', '0');
+    ring.removeAttribute('aria-valuetext');
+    document.title = t('focusPageTitle');
+    return;
+  }
+  const left = msLeft();
+  const time = formatTime(left);
+  timerDisplay.textContent = time;
+  const duration = currentState.plannedDuration || 1;
+  const percent = Math.min(Math.max((duration - Math.max(left, 0)) / duration, 0), 1) * 100;
+  ringFill.setAttribute('stroke-dasharray', `${percent} ${100 - percent}`);
+  ring.setAttribute('aria-valuenow', String(Math.round(percent)));
+  ring.setAttribute('aria-valuetext', t('progressValue', [formatPercent(percent / 100), formatTimeLeft(left)]));
+  // The countdown in the title stays visible in a pinned or background tab
+  document.title = `${time} · ${currentState.phaseLabel || phaseMap[currentState.phase]} – PomoPal`;
+  if (isBreak()) renderActivity();
+}
+
+/**
+ * Show the break suggestion for the current moment. The choice depends
+ * only on when the break started, so every open focus view agrees.
+ */
+function renderActivity() {
+  const startedAt = currentState.phaseStartedAt || 0;
+  const elapsed = currentState.awaitingStart ? 0 : Math.max(Date.now() - startedAt, 0);
+  const index = (Math.floor(startedAt / 1000) + Math.floor(elapsed / ACTIVITY_ROTATE_MS) + activityOffset) %
+    BREAK_ACTIVITIES.length;
+  const title = t(`activity${BREAK_ACTIVITIES[index]}Title`);
+  if (activityTitle.textContent !== title) {
+    activityTitle.textContent = title;
+    activityText.textContent = t(`activity${BREAK_ACTIVITIES[index]}Text`);
+  }
+}
+
+/**
+ * Show the active task's title.
+ */
+function renderTask() {
+  const task = tasks && tasks.tasks.find((item) => item.id === tasks.activeTaskId);
+  taskTitle.textContent = task
+    ? t('focusTaskProgress', [task.title, formatNumber(task.completedPomodoros), formatNumber(task.estimate)])
+    : t('focusNoTask');
+}
+
+/**
+ * Refresh the screen and controls from the current state.
+ */
+function updateUI() {
+  if (!currentState) return;
+  const focusedBefore = document.activeElement;
+  const onBreak = isBreak();
+  const label = currentState.phaseLabel || phaseMap[currentState.phase] || phaseMap.idle;
+  document.body.classList.toggle('on-break', onBreak);
+  focusScreen.classList.toggle('hidden', onBreak);
+  breakScreen.classList.toggle('hidden', !onBreak);
+  if (!onBreak) {
+    activityOffset = 0;
+    hideSkipConfirm();
+  }
+  phaseLabel.textContent = currentState.awaitingStart ? t('readyToStart', label) : label;
+  phasePosition.textContent = t('phasePosition', [formatNumber(currentState.sequenceIndex + 1),
+    formatNumber(currentState.sequenceLength)]);
+  phasePosition.classList.toggle('hidden', currentState.phase === 'idle' || !currentState.sequenceLength);
+
+  const idle = currentState.phase === 'idle';
+  const paused = !idle && !currentState.awaitingStart && !currentState.running;
+  startBtn.textContent = t(currentState.awaitingStart ? (onBreak ? 'startBreak' : 'startWork') : 'start');
+  startBtn.classList.toggle('hidden', !idle && !currentState.awaitingStart);
+  pauseBtn.classList.toggle('hidden', !currentState.running);
+  resumeBtn.classList.toggle('hidden', !paused);
+  resetBtn.classList.toggle('hidden', idle);
+
+  phaseControls.classList.toggle('hidden', idle);
+  skipBtn.textContent = t(onBreak ? 'skipBreak' : 'finishEarly');
+  skipBtn.title = t(onBreak ? 'skipBreakTitle' : 'finishEarlyTitle');
+  skipBtn.classList.toggle('hidden', !onBreak && !!currentState.awaitingStart);
+  longBreakBtn.classList.toggle('hidden', currentState.phase === 'long_break' && !currentState.awaitingStart);
+
+  const lastPause = (currentState.interruptions || [])[currentState.interruptions.length - 1];
+  const askReason = currentSettings ? currentSettings.askPauseReason : false;
+  pauseReasonBox.classList.toggle('hidden', !(askReason && paused && lastPause &&
+    lastPause.durationMs == null && lastPause.reason === 'unspecified'));
+  const idlePeriod = currentState.phase === 'work' ? currentState.idle : null;
+  idlePrompt.classList.toggle('hidden', !idlePeriod);
+  if (idlePeriod) {
+    const awayMs = Math.min(idlePeriod.returnedAt || Date.now(), idlePeriod.heldAt || Infinity) - idlePeriod.since;
+    idlePromptText.textContent = tPlural('idleAwayPrompt', Math.max(Math.round(awayMs / 60000), 1));
+    pauseReasonBox.classList.add('hidden');
+  }
+  renderTask();
+  renderTime();
+  // A button that hid itself, like Start once the timer runs, would take
+  // the keyboard focus with it; hand the focus to the one that replaced it
+  if (timerButtons.includes(focusedBefore) && focusedBefore.classList.contains('hidden')) {
+    const button = timerButtons.find((candidate) => !candidate.classList.contains('hidden'));
+    if (button) button.focus();
+  }
+}
+
+/**
+ * Close the skip confirmation and clear what was typed.
+ */
+function hideSkipConfirm() {
+  skipConfirmBox.classList.add('hidden');
+  skipInput.value = '';
+  skipConfirmBtn.disabled = true;
+}
+
+/**
+ * Fetch state, settings and tasks from the background and redraw.
+ */
+async function refresh() {
+  const [stateResp, settingsResp, tasksResp] = await Promise.all([
+    sendCommand('getState'),
+    sendCommand('getSettings'),
+    sendCommand('getTasks')
+  ]);
+  currentState = stateResp.state;
+  if (currentSettings && settingsResp.settings.language !== currentSettings.language) {
+    location.reload();
+    return;
+  }
+  currentSettings = settingsResp.settings;
+  tasks = tasksResp;
+  applyTheme(currentSettings.theme);
+  updateUI();
+}
+
+startBtn.addEventListener('click', () => sendCommand('start'));
+pauseBtn.addEventListener('click', () => sendCommand('pause'));
+resumeBtn.addEventListener('click', () => sendCommand('resume'));
+resetBtn.addEventListener('click', () => sendCommand('reset'));
+extendBtn.addEventListener('click', () => sendCommand('extend'));
+longBreakBtn.addEventListener('click', () => sendCommand('jumpToLongBreak'));
+
+pauseReasonBox.querySelectorAll('[data-reason]').forEach((button) => {
+  button.addEventListener('click', () => sendCommand('setPauseReason', { reason: button.dataset.reason }));
+});
+
+idlePrompt.querySelectorAll('[data-decision]').forEach((button) => {
+  button.addEventListener('click', () => sendCommand('resolveIdle', { decision: button.dataset.decision }));
+});
+
+// A work session can be finished straight away; a break has to be
+// confirmed by typing the focusSkipWord message
+skipBtn.addEventListener('click', () => {
+  if (!isBreak()) {
+    sendCommand('finishEarly');
+    return;
+  }
+  skipConfirmBox.classList.remove('hidden');
+  skipInput.focus();
+});
+
+skipInput.addEventListener('input', () => {
+  skipConfirmBtn.disabled = skipInput.value.trim().toLocaleLowerCase() !== t('focusSkipWord').toLocaleLowerCase();
+});
+
+skipConfirmBtn.addEventListener('click', async () => {
+  hideSkipConfirm();
+  await sendCommand('skipBreak');
+});
+
+skipCancelBtn.addEventListener('click', () => {
+  hideSkipConfirm();
+  skipBtn.focus();
+});
+
+nextActivityLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  activityOffset += 1;
+  renderActivity();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.settings || changes.tasks || changes.activeTaskId) refresh();
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { settings } = await sendCommand('getSettings');
+  await initI18n(settings.language);
+  localizePage();
+  phaseMap = {
+    idle: t('phaseIdle'),
+    work: t('phaseTypeWork'),
+    short_break: t('phaseTypeShortBreak'),
+    long_break: t('phaseTypeLongBreak')
+  };
+  await refresh();
+  setInterval(renderTime, 1000);
+  // Keep in sync with the background, like the popup
+  subscribeToStatus(async (state) => {
+    const phaseChanged = !currentState || currentState.phaseStartedAt !== state.phaseStartedAt;
+    currentState = state;
+    // Finished sessions are credited to the active task
+    if (phaseChanged) tasks = await sendCommand('getTasks');
+    updateUI();
+  });
+});
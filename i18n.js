@@ -0,0 +1,275 @@
+/*
+ * Translation helpers shared by the service worker and the extension
+ * pages. Every user‑facing string lives in _locales/<locale>/messages.json
+ * in Chrome's message format. chrome.i18n always follows the browser's
+ * language, so to honour PomoPal's own language setting the catalogue is
+ * loaded here with fetch() and messages are looked up in it, falling back
+ * to English for anything a locale does not translate.
+ *
+ * Pages mark translatable markup with data‑i18n (text content) and
+ * data‑i18n‑title / ‑placeholder / ‑aria‑label (attributes) and call
+ * localizePage() once initI18n() has resolved.
+ *
+ * Plural messages come in one message per CLDR plural category of the
+ * locale, named <key>_<category> (e.g. pomodoroCount_one and
+ * pomodoroCount_other); tPlural() picks the right one with
+ * Intl.PluralRules and passes the formatted count as $1.
+ *
+ * The file is a classic script: pages include it with a <script> tag and
+ * the service worker loads it with importScripts().
+ */
+
+// Locales shipped in _locales, plus 'auto' for the browser language
+const SUPPORTED_LOCALES = ['en', 'de', 'es', 'ar'];
+const DEFAULT_LOCALE = 'en';
+const RTL_LOCALES = ['ar', 'fa', 'he', 'ur'];
+
+let activeLocale = DEFAULT_LOCALE;
+let localeMessages = {};
+let fallbackMessages = {};
+
+/**
+ * Turn the language setting into one of SUPPORTED_LOCALES.
+ *
+ * @param {string} [preference] A locale code or 'auto'
+ * @returns {string}
+ */
+function resolveLocale(preference) {
+  if (SUPPORTED_LOCALES.includes(preference)) return preference;
+  const browser = (chrome.i18n.getUILanguage() || DEFAULT_LOCALE).replace('_', '-').split('-')[0].toLowerCase();
+  return SUPPORTED_LOCALES.includes(browser) ? browser : DEFAULT_LOCALE;
+}
+
+/**
+ * Fetch a locale's message catalogue.
+ *
+ * @param {string} locale
+ * @returns {Promise<Object>}
+ */
+async function fetchMessages(locale) {
+  const response = await fetch(chrome.runtime.getURL(`_locales/${locale}/messages.json`));
+  return response.json();
+}
+
+/**
+ * Load the messages for the configured language. Safe to call again when
+ * the setting changes.
+ *
+ * @param {string} [preference] Language setting: a locale code or 'auto'
+ * @returns {Promise<string>} The locale in use
+ */
+async function initI18n(preference) {
+  const locale = resolveLocale(preference);
+  if (!Object.keys(fallbackMessages).length) {
+    fallbackMessages = await fetchMessages(DEFAULT_LOCALE);
+  }
+  localeMessages = locale === DEFAULT_LOCALE ? fallbackMessages : await fetchMessages(locale);
+  activeLocale = locale;
+  return locale;
+}
+
+/**
+ * The locale messages are currently taken from.
+ *
+ * @returns {string}
+ */
+function currentLocale() {
+  return activeLocale;
+}
+
+/**
+ * Whether the current locale is written right to left.
+ *
+ * @returns {boolean}
+ */
+function isRtl() {
+  return RTL_LOCALES.includes(activeLocale);
+}
+
+/**
+ * Look up a message and fill in its substitutions, following Chrome's
+ * rules: named $PLACEHOLDERS$ are replaced by their content, then $1…$9 by
+ * the substitutions and $$ by a dollar sign.
+ *
+ * @param {string} key Message name
+ * @param {(string|number|Array)} [substitutions]
+ * @returns {string} The message, or the key itself if it is missing
+ */
+function t(key, substitutions = []) {
+  const entry = localeMessages[key] || fallbackMessages[key];
+  if (!entry) return key;
+  const values = [].concat(substitutions).map(String);
+  const placeholders = entry.placeholders || {};
+  return entry.message
+    .replace(/\$([a-z0-9_@]+)\$/gi, (match, name) => {
+      const placeholder = placeholders[name.toLowerCase()];
+      return placeholder ? placeholder.content : match;
+    })
+    .replace(/\$(\$|[1-9])/g, (match, index) => (index === '$' ? '$' : (values[index - 1] || '')));
+}
+
+/**
+ * Look up a plural message for a count. The count, formatted for the
+ * locale, is $1; further substitutions follow it.
+ *
+ * @param {string} key Message name without the category suffix
+ * @param {number} count
+ * @param {Array} [substitutions] Values for $2 onwards
+ * @returns {string}
+ */
+function tPlural(key, count, substitutions = []) {
+  return t(pluralName(key, count), [formatNumber(count)].concat(substitutions));
+}
+
+/**
+ * The name of the plural message for a count, falling back to the
+ * _other form when the locale lacks the exact category.
+ *
+ * @param {string} key Message name without the category suffix
+ * @param {number} count
+ * @returns {string}
+ */
+function pluralName(key, count) {
+  const name = `${key}_${new Intl.PluralRules(activeLocale).select(count)}`;
+  return (localeMessages[name] || fallbackMessages[name]) ? name : `${key}_other`;
+}
+
+/**
+ * Look up a message whose substitutions include elements, e.g. a
+ * highlighted domain inside a sentence, so translators can still move
+ * them around. Returns the pieces in order for Element.replaceChildren().
+ *
+ * @param {string} key Message name
+ * @param {Array<(string|Node)>} substitutions
+ * @returns {Array<(string|Node)>}
+ */
+function tNodes(key, substitutions) {
+  const markers = substitutions.map((_, i) => `\u0001${i}\u0001`);
+  return t(key, markers)
+    .split('\u0001')
+    .map((part, i) => (i % 2 ? substitutions[Number(part)] : part))
+    .filter((part) => part !== '');
+}
+
+/**
+ * Format a number for the current locale.
+ *
+ * @param {number} value
+ * @param {Object} [options] Intl.NumberFormat options
+ * @returns {string}
+ */
+function formatNumber(value, options) {
+  return new Intl.NumberFormat(activeLocale, options).format(value);
+}
+
+/**
+ * Format a ratio (0‑1) as a whole percentage for the current locale.
+ *
+ * @param {number} ratio
+ * @returns {string}
+ */
+function formatPercent(ratio) {
+  return formatNumber(ratio, { style: 'percent', maximumFractionDigits: 0 });
+}
+
+/**
+ * Format a duration in milliseconds as hours with one decimal.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatHours(ms) {
+  return formatNumber(ms / 3600000, {
+    style: 'unit',
+    unit: 'hour',
+    unitDisplay: 'narrow',
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1
+  });
+}
+
+/**
+ * Say how much of a phase is left in words, e.g. "12 minutes" or, in the
+ * final minute, "40 seconds". Minutes are rounded up like the countdown.
+ *
+ * @param {number} ms Time left
+ * @returns {string}
+ */
+function formatTimeLeft(ms) {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  return seconds < 60
+    ? formatNumber(seconds, { style: 'unit', unit: 'second', unitDisplay: 'long' })
+    : formatNumber(Math.ceil(seconds / 60), { style: 'unit', unit: 'minute', unitDisplay: 'long' });
+}
+
+/**
+ * Format a date or timestamp for the current locale.
+ *
+ * @param {(number|Date)} value Epoch ms or a Date
+ * @param {Object} [options] Intl.DateTimeFormat options; date and time by default
+ * @returns {string}
+ */
+function formatDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  return new Intl.DateTimeFormat(activeLocale, options).format(value);
+}
+
+/**
+ * Format a 'YYYY‑MM‑DD' date key for the current locale. The date is read
+ * at noon UTC and formatted in UTC so no time zone can shift the day.
+ *
+ * @param {string} dateKey
+ * @param {Object} [options] Intl.DateTimeFormat options
+ * @returns {string}
+ */
+function formatDay(dateKey, options = { dateStyle: 'medium' }) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return formatDate(Date.UTC(year, month - 1, day || 1, 12), Object.assign({ timeZone: 'UTC' }, options));
+}
+
+/**
+ * Format a range of date keys for the current locale, sharing the parts
+ * both ends have in common, e.g. "6–12 May 2024".
+ *
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @param {Object} [options] Intl.DateTimeFormat options
+ * @returns {string}
+ */
+function formatDayRange(fromKey, toKey, options = { dateStyle: 'medium' }) {
+  const [from, to] = [fromKey, toKey].map((key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day, 12);
+  });
+  return new Intl.DateTimeFormat(activeLocale, Object.assign({ timeZone: 'UTC' }, options)).formatRange(from, to);
+}
+
+/**
+ * Localised weekday names, indexed 0 = Sunday … 6 = Saturday.
+ *
+ * @param {string} [width] 'short', 'long' or 'narrow'
+ * @returns {string[]}
+ */
+function weekdayNames(width = 'short') {
+  // 4 January 1970 was a Sunday
+  return Array.from({ length: 7 }, (_, i) => formatDate(Date.UTC(1970, 0, 4 + i, 12),
+    { weekday: width, timeZone: 'UTC' }));
+}
+
+/**
+ * Translate the marked elements of a page and set its language and
+ * writing direction.
+ *
+ * @param {ParentNode} [root]
+ */
+function localizePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  ['title', 'placeholder', 'aria-label'].forEach((attribute) => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+      el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+  document.documentElement.lang = activeLocale;
+  document.documentElement.dir = isRtl() ? 'rtl' : 'ltr';
+}
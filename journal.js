@@ -0,0 +1,292 @@
+/*
+ * Logic for the journal page: the reflections written after work sessions
+ * (see reflections.js), searchable and filtered by date, with the trend of
+ * the daily average focus rating. When a work session is waiting for its
+ * reflection – the phase notification links here with ?reflect=<id> – the
+ * page offers to write it first.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const reflectSection = document.getElementById('reflect');
+const reflectForm = document.getElementById('reflect-form');
+const reflectSession = document.getElementById('reflect-session');
+const reflectNote = document.getElementById('reflect-note');
+const reflectSkipBtn = document.getElementById('reflect-skip');
+const filtersForm = document.getElementById('filters');
+const searchInput = document.getElementById('journal-search');
+const fromInput = document.getElementById('journal-from');
+const toInput = document.getElementById('journal-to');
+const journalCards = document.getElementById('journal-cards');
+const trendChart = document.getElementById('trend-chart');
+const trendEmpty = document.getElementById('trend-empty');
+const journalList = document.getElementById('journal-list');
+const journalEmpty = document.getElementById('journal-empty');
+
+// Trend chart layout in SVG units
+const TREND_HEIGHT = 120;
+const TREND_TOP = 8;
+const TREND_LEFT = 20;
+const TREND_STEP = 24;
+const TREND_LABEL_HEIGHT = 16;
+
+// Every reflection, newest first, and the settings they are shown with
+let entries = [];
+let dayStartHour = 0;
+// The work session waiting for a reflection, if any
+let pendingSession = null;
+
+/**
+ * Send a command to the background service worker.
+ *
+ * @param {string} command Command identifier
+ * @param {Object} [payload]
+ * @returns {Promise<any>}
+ */
+function sendCommand(command, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ command, ...payload }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Create an SVG element with the given attributes.
+ *
+ * @param {string} tag Element name
+ * @param {Object} [attrs]
+ * @returns {SVGElement}
+ */
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+/**
+ * Format an average rating with one decimal.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatAverage(value) {
+  return formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Fill a card grid with label/value pairs.
+ *
+ * @param {HTMLElement} container Grid element
+ * @param {Array<[string, (string|number)]>} cards Label and value pairs
+ */
+function renderCards(container, cards) {
+  container.textContent = '';
+  cards.forEach(([label, value]) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const valueEl = document.createElement('div');
+    valueEl.className = 'value';
+    valueEl.textContent = value;
+    const labelEl = document.createElement('div');
+    labelEl.className = 'label';
+    labelEl.textContent = label;
+    card.append(valueEl, labelEl);
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Draw the daily average focus rating as a line on a 1–5 scale.
+ *
+ * @param {Array<{date: string, average: number, ratings: number}>} trend From focusTrend()
+ */
+function renderTrend(trend) {
+  trendChart.textContent = '';
+  trendEmpty.hidden = trend.length > 0;
+  if (!trend.length) return;
+  const y = (rating) => TREND_TOP + ((FOCUS_RATING_MAX - rating) / (FOCUS_RATING_MAX - 1)) * TREND_HEIGHT;
+  const x = (index) => TREND_LEFT + TREND_STEP / 2 + index * TREND_STEP;
+  const svg = svgEl('svg', {
+    width: TREND_LEFT + trend.length * TREND_STEP,
+    height: TREND_TOP + TREND_HEIGHT + TREND_LABEL_HEIGHT + 4,
+    role: 'img',
+    'aria-label': t('focusTrendLabel', [formatDay(trend[0].date), formatDay(trend[trend.length - 1].date)])
+  });
+  for (let rating = 1; rating <= FOCUS_RATING_MAX; rating += 2) {
+    svg.appendChild(svgEl('line', {
+      class: 'trend-grid', x1: TREND_LEFT, x2: TREND_LEFT + trend.length * TREND_STEP, y1: y(rating), y2: y(rating)
+    }));
+    const label = svgEl('text', { x: 0, y: y(rating) + 4 });
+    label.textContent = formatNumber(rating);
+    svg.appendChild(label);
+  }
+  svg.appendChild(svgEl('polyline', {
+    class: 'trend-line',
+    points: trend.map((day, index) => `${x(index)},${y(day.average)}`).join(' ')
+  }));
+  const labelEvery = Math.ceil(trend.length / 12);
+  trend.forEach((day, index) => {
+    const point = svgEl('circle', { class: 'trend-point', cx: x(index), cy: y(day.average), r: 3 });
+    const title = svgEl('title');
+    title.textContent = tPlural('focusTrendPoint', day.ratings, [formatDay(day.date), formatAverage(day.average)]);
+    point.appendChild(title);
+    svg.appendChild(point);
+    if (index % labelEvery === 0) {
+      const label = svgEl('text', { x: x(index) - TREND_STEP / 2, y: TREND_TOP + TREND_HEIGHT + TREND_LABEL_HEIGHT });
+      label.textContent = formatDay(day.date, { month: 'numeric', day: 'numeric' });
+      svg.appendChild(label);
+    }
+  });
+  trendChart.appendChild(svg);
+}
+
+/**
+ * List journal entries with a button to delete each.
+ *
+ * @param {Object[]} shown Entries from filterJournal()
+ */
+function renderList(shown) {
+  journalList.textContent = '';
+  shown.forEach((entry) => {
+    const item = document.createElement('li');
+    const text = document.createElement('div');
+    text.className = 'entry';
+    const note = document.createElement('div');
+    note.textContent = entry.note || t('journalNoNote');
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    meta.textContent = [
+      formatDate(entry.endTime, { dateStyle: 'medium', timeStyle: 'short' }),
+      entry.taskTitle,
+      entry.focus === null ? null : t('focusRatingValue', [formatNumber(entry.focus), formatNumber(FOCUS_RATING_MAX)])
+    ].filter(Boolean).join(' · ');
+    text.append(note, meta);
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'secondary';
+    deleteBtn.textContent = t('delete');
+    deleteBtn.addEventListener('click', async () => {
+      if (!(await showConfirm(t('confirmDeleteReflection')))) return;
+      await sendCommand('deleteReflection', { sessionId: entry.id });
+      // The entry and its button are gone once the list is rendered again
+      searchInput.focus();
+      announce(t('reflectionDeleted'));
+    });
+    item.append(text, deleteBtn);
+    journalList.appendChild(item);
+  });
+}
+
+/**
+ * Show the entries that match the filters, with their figures and trend.
+ */
+function render() {
+  const shown = filterJournal(entries, {
+    query: searchInput.value,
+    from: fromInput.value || null,
+    to: toInput.value || null
+  }, dayStartHour);
+  const rated = shown.filter((entry) => entry.focus !== null);
+  const average = rated.length ? rated.reduce((sum, entry) => sum + entry.focus, 0) / rated.length : null;
+  renderCards(journalCards, [
+    [t('journalCardEntries'), formatNumber(shown.length)],
+    [t('journalCardAverageFocus'), average === null ? '–' : formatAverage(average)],
+    [t('journalCardRated'), formatNumber(rated.length)]
+  ]);
+  renderTrend(focusTrend(shown, dayStartHour));
+  renderList(shown);
+  journalEmpty.hidden = shown.length > 0;
+  journalEmpty.textContent = t(entries.length ? 'journalNoMatches' : 'journalEmpty');
+}
+
+/**
+ * Offer to reflect on the session waiting for it, or hide the offer. The
+ * form is only cleared for a new session, so a half‑written note survives
+ * other updates.
+ *
+ * @param {Object|null} session From the getPendingReflection command
+ */
+function renderReflectForm(session) {
+  const isNew = session && (!pendingSession || pendingSession.id !== session.id);
+  pendingSession = session;
+  if (!session && reflectSection.contains(document.activeElement)) searchInput.focus();
+  reflectSection.hidden = !session;
+  if (!isNew) return;
+  reflectForm.reset();
+  const ended = formatDate(session.endTime, { timeStyle: 'short' });
+  reflectSession.textContent = session.taskTitle
+    ? t('reflectSessionTask', [ended, session.taskTitle])
+    : t('reflectSession', ended);
+}
+
+/**
+ * Load the reflections and the session waiting for one, then render.
+ */
+async function loadJournal() {
+  const [journal, pending] = await Promise.all([sendCommand('getJournal'), sendCommand('getPendingReflection')]);
+  entries = journal.entries;
+  renderReflectForm(pending.session);
+  render();
+}
+
+filtersForm.addEventListener('input', render);
+// Reset clears the inputs after this event, so render once it has
+filtersForm.addEventListener('reset', () => setTimeout(render));
+filtersForm.addEventListener('submit', (e) => e.preventDefault());
+
+// Saving an empty reflection is the same as skipping it
+reflectForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const rating = reflectForm.querySelector('input[name="focus"]:checked');
+  const note = reflectNote.value.trim();
+  if (!note && !rating) {
+    await sendCommand('skipReflection', { sessionId: pendingSession.id });
+    return;
+  }
+  const resp = await sendCommand('saveReflection', {
+    sessionId: pendingSession.id,
+    note,
+    focus: rating ? Number(rating.value) : null
+  });
+  if (resp.success) announce(t('reflectionSaved'));
+});
+
+reflectSkipBtn.addEventListener('click', async () => {
+  await sendCommand('skipReflection', { sessionId: pendingSession.id });
+});
+
+// Reflections written in the popup or another tab, new sessions and
+// deletions show up straight away; theme and language follow the options
+// page
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.history || changes.journal || changes.pendingReflection || changes.tasks) {
+    await loadJournal();
+  }
+  if (!changes.settings) return;
+  const { settings } = await sendCommand('getSettings');
+  if (resolveLocale(settings.language) !== currentLocale()) {
+    location.reload();
+    return;
+  }
+  applyTheme(settings.theme);
+  dayStartHour = settings.dayStartHour;
+  render();
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { settings } = await sendCommand('getSettings');
+  await initI18n(settings.language);
+  localizePage();
+  applyTheme(settings.theme);
+  dayStartHour = settings.dayStartHour;
+  reflectForm.querySelectorAll('.focus-rating span').forEach((span) => {
+    span.textContent = formatNumber(Number(span.textContent));
+  });
+  await loadJournal();
+  // The phase notification links here with ?reflect=<id>
+  if (pendingSession && new URLSearchParams(location.search).get('reflect') === pendingSession.id) {
+    reflectNote.focus();
+  }
+});
@@ -0,0 +1,86 @@
+/*
+ * Audio player for the offscreen document. Service workers cannot play
+ * audio, so the worker creates this hidden page and sends it messages with
+ * `target: 'offscreen'` to play phase‑end sounds and to start or stop the
+ * optional ticking during work phases.
+ */
+
+let audioContext = null;
+let tickTimer = null;
+let tickVolume = 0;
+
+/**
+ * Lazily create the shared audio context. Offscreen documents created for
+ * audio playback may start audio without a user gesture.
+ *
+ * @returns {AudioContext}
+ */
+function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new AudioContext();
+  }
+  return audioContext;
+}
+
+/**
+ * Play a sound by id. Uploaded sounds that have since been deleted, or that
+ * the browser refuses or cannot decode, fall back to the bell so the user
+ * still hears the phase end.
+ *
+ * @param {string} soundId Key of CHIMES or 'custom:<id>'
+ * @param {number} volume 0‑1
+ */
+async function playSound(soundId, volume) {
+  if (soundId && soundId.startsWith('custom:')) {
+    const blob = await getCustomSoundBlob(soundId.slice('custom:'.length)).catch(() => null);
+    if (blob) {
+      const url = URL.createObjectURL(blob);
+      const audio = new Audio(url);
+      audio.volume = volume;
+      audio.addEventListener('ended', () => URL.revokeObjectURL(url));
+      try {
+        await audio.play();
+        return;
+      } catch (err) {
+        // 'ended' never fires for a sound that did not start
+        URL.revokeObjectURL(url);
+      }
+    }
+    soundId = 'bell';
+  }
+  playChime(getAudioContext(), soundId, volume);
+}
+
+/**
+ * Tick once a second until stopTicking() is called. Calling it again only
+ * updates the volume, so the worker can resend it freely.
+ *
+ * @param {number} volume 0‑1
+ */
+function startTicking(volume) {
+  tickVolume = volume;
+  if (tickTimer) return;
+  tickTimer = setInterval(() => playTick(getAudioContext(), tickVolume), 1000);
+}
+
+/**
+ * Stop the ticking sound.
+ */
+function stopTicking() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (!message || message.target !== 'offscreen') {
+    return false;
+  }
+  if (message.type === 'play') {
+    playSound(message.sound, message.volume).catch((err) => console.error('Unable to play sound', err));
+  } else if (message.type === 'startTicking') {
+    startTicking(message.volume);
+  } else if (message.type === 'stopTicking') {
+    stopTicking();
+  }
+  return false;
+});
@@ -10,21 +10,892 @@ const workDurationInput = document.getElementById('work-duration');
 const shortBreakInput = document.getElementById('short-break-duration');
 const longBreakInput = document.getElementById('long-break-duration');
 const longBreakIntervalInput = document.getElementById('long-break-interval');
+const autoStartBreaksInput = document.getElementById('auto-start-breaks');
+const autoStartWorkInput = document.getElementById('auto-start-work');
+const keepNotificationsOpenInput = document.getElementById('keep-notifications-open');
+const askPauseReasonInput = document.getElementById('ask-pause-reason');
+const reflectionPromptInput = document.getElementById('reflection-prompt');
+const breakTakeoverInput = document.getElementById('break-takeover');
+const idleDetectionInput = document.getElementById('idle-detection');
+const idleThresholdInput = document.getElementById('idle-threshold');
+const idleActionSelect = document.getElementById('idle-action');
+const pauseBreaksWhenIdleInput = document.getElementById('pause-breaks-when-idle');
+const reportScheduleSelect = document.getElementById('report-schedule');
+const reportTimeInput = document.getElementById('report-time');
+const externalAllowlistInput = document.getElementById('external-allowlist');
+const externalNote = document.getElementById('external-note');
+const focusCompletionSpan = document.getElementById('focus-completion');
+const focusAbandonedSpan = document.getElementById('focus-abandoned');
+const focusInterruptionsSpan = document.getElementById('focus-interruptions');
+const focusReasonsSpan = document.getElementById('focus-reasons');
+const dayStartHourInput = document.getElementById('day-start-hour');
 const themeSelect = document.getElementById('theme-select');
+const languageSelect = document.getElementById('language-select');
+const badgeStyleSelect = document.getElementById('badge-style-select');
+const blockerEnabledInput = document.getElementById('blocker-enabled');
+const blockerModeSelect = document.getElementById('blocker-mode');
+const blockedSitesInput = document.getElementById('blocked-sites');
+const allowedSitesInput = document.getElementById('allowed-sites');
+const blockedSitesLabel = document.getElementById('blocked-sites-label');
+const allowedSitesLabel = document.getElementById('allowed-sites-label');
+const bypassMinutesInput = document.getElementById('bypass-minutes');
+const blockerPermissionNote = document.getElementById('blocker-permission-note');
+const bypassRows = document.getElementById('bypass-rows');
+const dailyGoalInput = document.getElementById('daily-goal');
+const weekendsOffInput = document.getElementById('weekends-off');
+const weekdayGoalContainer = document.getElementById('weekday-goal-inputs');
 const resetDefaultsBtn = document.getElementById('reset-defaults');
 const clearStatsBtn = document.getElementById('clear-stats');
 const statsTodaySpan = document.getElementById('stats-today');
 const statsWeekSpan = document.getElementById('stats-week');
+const statsStreakSpan = document.getElementById('stats-streak');
+const taskRows = document.getElementById('task-rows');
+const taskAccuracySpan = document.getElementById('task-accuracy');
+const importFileInput = document.getElementById('import-file');
+const importModeSelect = document.getElementById('import-mode');
+const importPreview = document.getElementById('import-preview');
+const importConfirmBtn = document.getElementById('import-confirm');
+const workEndSoundSelect = document.getElementById('work-end-sound');
+const breakEndSoundSelect = document.getElementById('break-end-sound');
+const soundVolumeInput = document.getElementById('sound-volume');
+const tickingEnabledInput = document.getElementById('ticking-enabled');
+const tickingVolumeInput = document.getElementById('ticking-volume');
+const soundUploadInput = document.getElementById('sound-upload');
+const customSoundList = document.getElementById('custom-sound-list');
+const profileSelect = document.getElementById('profile-select');
+const profileNameInput = document.getElementById('profile-name');
+const profileNewBtn = document.getElementById('profile-new');
+const profileDuplicateBtn = document.getElementById('profile-duplicate');
+const profileDeleteBtn = document.getElementById('profile-delete');
+const profileSwitchSelect = document.getElementById('profile-switch');
+const sequenceModeSelect = document.getElementById('sequence-mode');
+const sequenceEditor = document.getElementById('sequence-editor');
+const sequenceStepsBody = document.getElementById('sequence-steps');
+const sequenceAddBtn = document.getElementById('sequence-add');
+const sequencePresetSelect = document.getElementById('sequence-preset');
+const workingHoursModeSelect = document.getElementById('working-hours-mode');
+const workingHoursBody = document.getElementById('working-hours-rows');
+const workingHoursAddBtn = document.getElementById('working-hours-add');
+const quietHoursEnabledInput = document.getElementById('quiet-hours-enabled');
+const quietHoursStartInput = document.getElementById('quiet-hours-start');
+const quietHoursEndInput = document.getElementById('quiet-hours-end');
+const quoteFrequencyInput = document.getElementById('quote-frequency');
+const quoteSourceNote = document.getElementById('quote-source');
+const quoteList = document.getElementById('quote-list');
+const quoteNewInput = document.getElementById('quote-new');
+const quoteAddBtn = document.getElementById('quote-add');
+const quoteImportInput = document.getElementById('quote-import');
+const quoteImportStatus = document.getElementById('quote-import-status');
+const quotesRestoreBtn = document.getElementById('quotes-restore');
+const quotesClearBtn = document.getElementById('quotes-clear');
+const settingsStatus = document.getElementById('settings-status');
 
-// Default values matching those in service_worker.js
+// Parsed backup waiting for the user to confirm the import
+let pendingImport = null;
+
+// Default values matching those in settings.js
 const DEFAULTS = {
   workDuration: 25,
   shortBreakDuration: 5,
   longBreakDuration: 15,
   longBreakInterval: 4,
-  theme: 'light'
+  theme: 'light',
+  badgeStyle: 'countdown',
+  dayStartHour: 0,
+  dailyGoal: 4,
+  weekdayGoals: [null, null, null, null, null, null, null],
+  weekendsOff: false,
+  blockerEnabled: false,
+  blockerMode: 'blocklist',
+  blockedSites: [],
+  allowedSites: [],
+  bypassMinutes: 5,
+  autoStartBreaks: true,
+  autoStartWork: true,
+  keepNotificationsOpen: false,
+  askPauseReason: true,
+  reflectionPrompt: true,
+  breakTakeover: false,
+  idleDetection: true,
+  idleThresholdMinutes: 5,
+  idleAction: 'pause',
+  pauseBreaksWhenIdle: false,
+  externalAllowlist: [],
+  reportSchedule: 'weekly',
+  reportTime: '09:00',
+  workingHoursMode: 'off',
+  workingHours: DEFAULT_SETTINGS.workingHours,
+  quietHoursEnabled: false,
+  quietHours: { start: '22:00', end: '07:00' },
+  quotes: null,
+  quoteFrequency: 50,
+  notificationTemplates: {
+    work: { title: '', message: '' },
+    short_break: { title: '', message: '' },
+    long_break: { title: '', message: '' }
+  },
+  workEndSound: 'bell',
+  breakEndSound: 'soft',
+  soundVolume: 70,
+  tickingEnabled: false,
+  tickingVolume: 30,
+  sequence: null,
+  profileSwitch: 'next',
+  language: 'auto'
 };
 
+// Steps of the custom sequence being edited: { label, type, duration }
+let sequenceSteps = [];
+// Inputs of each rendered sequence row, for showing field errors
+let sequenceInputs = [];
+
+// Rows of the working hours being edited: { days, start, end }
+let workingHoursSlots = [];
+// Inputs of each rendered working hours row, for showing field errors
+let workingHoursInputs = [];
+// Weekdays in the order the working hours rows list them
+const WORKING_DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Quotes being edited. Until the user changes them they are the built‑in
+// quotes in the current language, saved as null so that they keep
+// following the language.
+let quoteItems = [];
+let quotesCustom = false;
+// Input of each rendered quote, for showing field errors
+let quoteInputs = [];
+
+// Title and message inputs and the preview of each phase type's template
+const templateFields = {};
+Object.keys(PHASE_TYPE_MESSAGES).forEach((type) => {
+  templateFields[type] = {
+    title: document.getElementById(`template-${type}-title`),
+    message: document.getElementById(`template-${type}-message`),
+    preview: document.getElementById(`template-${type}-preview`)
+  };
+});
+
+// Whether the form has edits that have not been saved yet. Settings changed
+// elsewhere only refill the form while it is clean.
+let formDirty = false;
+
+/**
+ * Ready‑made sequences offered in the builder, with labels in the current
+ * language.
+ *
+ * @param {string} name 'ultradian' or 'warmup'
+ * @returns {Object[]}
+ */
+function sequencePreset(name) {
+  if (name === 'ultradian') {
+    return [
+      { label: t('presetStepDeepWork'), type: 'work', duration: 90 },
+      { label: t('presetStepRecovery'), type: 'long_break', duration: 20 }
+    ];
+  }
+  return [
+    { label: t('presetStepWarmup'), type: 'work', duration: 15 },
+    { label: t('presetStepBreather'), type: 'short_break', duration: 5 },
+    { label: t('presetStepBlock', 1), type: 'work', duration: 45 },
+    { label: t('presetStepBreak'), type: 'short_break', duration: 10 },
+    { label: t('presetStepBlock', 2), type: 'work', duration: 45 },
+    { label: t('presetStepBreak'), type: 'short_break', duration: 15 },
+    { label: t('presetStepBlock', 3), type: 'work', duration: 45 },
+    { label: t('phaseTypeLongBreak'), type: 'long_break', duration: 30 }
+  ];
+}
+
+// Messages naming the pause reasons recorded by the service worker
+const REASON_MESSAGES = {
+  internal: 'reasonSummaryInternal',
+  external: 'reasonSummaryExternal',
+  break: 'reasonSummaryBreak',
+  unspecified: 'reasonSummaryUnspecified'
+};
+
+// Host access the blocker's redirect rules need; requested on demand
+const BLOCKER_ORIGINS = ['*://*/*'];
+
+// One optional goal input per weekday, listed Monday first. The weekday
+// names are filled in once the messages are loaded.
+const weekdayGoalInputs = [];
+const weekdayGoalNames = [];
+[1, 2, 3, 4, 5, 6, 0].forEach((weekday) => {
+  const label = document.createElement('label');
+  const name = document.createElement('span');
+  label.appendChild(name);
+  weekdayGoalNames[weekday] = name;
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.max = '50';
+  label.appendChild(input);
+  weekdayGoalContainer.appendChild(label);
+  weekdayGoalInputs[weekday] = input;
+});
+
+/**
+ * Fill the goal inputs from a settings object.
+ *
+ * @param {Object} settings
+ */
+function fillGoalInputs(settings) {
+  dailyGoalInput.value = settings.dailyGoal;
+  weekendsOffInput.checked = !!settings.weekendsOff;
+  weekdayGoalInputs.forEach((input, weekday) => {
+    const goal = (settings.weekdayGoals || [])[weekday];
+    input.value = goal == null ? '' : goal;
+  });
+}
+
+/**
+ * Fill the blocker inputs from a settings object.
+ *
+ * @param {Object} settings
+ */
+function fillBlockerInputs(settings) {
+  blockerEnabledInput.checked = !!settings.blockerEnabled;
+  blockerModeSelect.value = settings.blockerMode;
+  blockedSitesInput.value = settings.blockedSites.join('\n');
+  allowedSitesInput.value = settings.allowedSites.join('\n');
+  bypassMinutesInput.value = settings.bypassMinutes;
+  updateBlockerInputs();
+}
+
+/**
+ * Fill the idle detection inputs from settings.
+ *
+ * @param {Object} settings
+ */
+function fillIdleInputs(settings) {
+  idleDetectionInput.checked = settings.idleDetection;
+  idleThresholdInput.value = settings.idleThresholdMinutes;
+  idleActionSelect.value = settings.idleAction;
+  pauseBreaksWhenIdleInput.checked = settings.pauseBreaksWhenIdle;
+}
+
+/**
+ * Show the site list that matches the selected mode and whether the
+ * redirect permission is still missing.
+ */
+async function updateBlockerInputs() {
+  const allowlist = blockerModeSelect.value === 'allowlist';
+  blockedSitesLabel.classList.toggle('hidden', allowlist);
+  allowedSitesLabel.classList.toggle('hidden', !allowlist);
+  const granted = await chrome.permissions.contains({ origins: BLOCKER_ORIGINS });
+  blockerPermissionNote.classList.toggle('hidden', granted || !blockerEnabledInput.checked);
+}
+
+/**
+ * Split a textarea with one site per line into its entries. The service
+ * worker reduces them to bare domains and reports entries that are not
+ * sites.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseSiteList(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * List the latest blocker bypasses, newest first.
+ */
+async function loadBlockerLog() {
+  const { log } = await sendCommand('getBlockerLog');
+  bypassRows.textContent = '';
+  log.slice(0, 50).forEach((entry) => {
+    const row = document.createElement('tr');
+    [formatDate(entry.time), entry.domain, formatNumber(entry.minutes)].forEach((value) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    bypassRows.appendChild(row);
+  });
+}
+
+// Ask for host access as soon as the blocker is switched on, while the
+// click still counts as a user gesture
+blockerEnabledInput.addEventListener('change', async () => {
+  if (blockerEnabledInput.checked) {
+    await chrome.permissions.request({ origins: BLOCKER_ORIGINS });
+  }
+  updateBlockerInputs();
+});
+blockerModeSelect.addEventListener('change', updateBlockerInputs);
+
+/**
+ * Build the classic cycle from the duration inputs, as a starting point for
+ * a custom sequence.
+ *
+ * @returns {Object[]}
+ */
+function classicSequence() {
+  const steps = [];
+  const interval = parseInt(longBreakIntervalInput.value, 10) || DEFAULTS.longBreakInterval;
+  for (let i = 1; i <= interval; i++) {
+    steps.push({ label: t(PHASE_TYPE_MESSAGES.work), type: 'work', duration: parseInt(workDurationInput.value, 10) });
+    const long = i === interval;
+    steps.push({
+      label: t(PHASE_TYPE_MESSAGES[long ? 'long_break' : 'short_break']),
+      type: long ? 'long_break' : 'short_break',
+      duration: parseInt((long ? longBreakInput : shortBreakInput).value, 10)
+    });
+  }
+  return steps;
+}
+
+/**
+ * Render the sequence builder rows. Every input writes straight back to
+ * sequenceSteps, so the list is always ready to be saved. Rebuilding the
+ * rows drops the keyboard focus, so a row button that caused it names the
+ * control to focus afterwards.
+ *
+ * @param {{index: number, action: string}} [focus] Row and button
+ *   ('moveUp', 'moveDown' or 'remove') to focus once rendered
+ */
+function renderSequence(focus) {
+  const custom = sequenceModeSelect.value === 'custom';
+  sequenceEditor.classList.toggle('hidden', !custom);
+  sequenceStepsBody.textContent = '';
+  sequenceInputs = [];
+  sequenceSteps.forEach((step, index) => {
+    const row = document.createElement('tr');
+    const position = document.createElement('td');
+    position.textContent = formatNumber(index + 1);
+
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.maxLength = MAX_STEP_LABEL;
+    labelInput.value = step.label;
+    labelInput.addEventListener('input', () => {
+      step.label = labelInput.value;
+    });
+
+    const typeSelect = document.createElement('select');
+    Object.entries(PHASE_TYPE_MESSAGES).forEach(([type, message]) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = t(message);
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = step.type;
+    typeSelect.addEventListener('change', () => {
+      step.type = typeSelect.value;
+    });
+
+    const durationInput = document.createElement('input');
+    durationInput.type = 'number';
+    durationInput.min = '1';
+    durationInput.max = String(MAX_STEP_MINUTES);
+    durationInput.required = custom;
+    durationInput.value = step.duration;
+    durationInput.addEventListener('input', () => {
+      step.duration = parseInt(durationInput.value, 10);
+    });
+
+    const actions = document.createElement('td');
+    [['↑', 'moveUp', -1], ['↓', 'moveDown', 1]].forEach(([text, title, offset]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary';
+      button.textContent = text;
+      button.title = t(title);
+      button.dataset.action = title;
+      button.disabled = !sequenceSteps[index + offset];
+      button.addEventListener('click', () => {
+        [sequenceSteps[index], sequenceSteps[index + offset]] = [sequenceSteps[index + offset], sequenceSteps[index]];
+        formDirty = true;
+        renderSequence({ index: index + offset, action: title });
+      });
+      actions.appendChild(button);
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = '✕';
+    removeBtn.title = t('remove');
+    removeBtn.dataset.action = 'remove';
+    removeBtn.addEventListener('click', () => {
+      sequenceSteps.splice(index, 1);
+      formDirty = true;
+      renderSequence({ index: Math.min(index, sequenceSteps.length - 1), action: 'remove' });
+    });
+    actions.appendChild(removeBtn);
+
+    // Controls in a table cell get no name from the column heading, so
+    // each one names its column and row
+    const stepNumber = formatNumber(index + 1);
+    [[labelInput, 'sequenceColumnLabel'], [typeSelect, 'sequenceColumnType'], [durationInput, 'minutesColumn']]
+      .forEach(([input, column]) => input.setAttribute('aria-label', t('sequenceFieldLabel', [t(column), stepNumber])));
+    actions.querySelectorAll('button').forEach((button) => {
+      button.setAttribute('aria-label', t('sequenceFieldLabel', [button.title, stepNumber]));
+    });
+    sequenceInputs.push({ label: labelInput, type: typeSelect, duration: durationInput });
+    row.appendChild(position);
+    [labelInput, typeSelect, durationInput].forEach((input) => {
+      const cell = document.createElement('td');
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+    row.appendChild(actions);
+    sequenceStepsBody.appendChild(row);
+  });
+  sequenceAddBtn.disabled = sequenceSteps.length >= MAX_SEQUENCE_STEPS;
+  if (focus) {
+    // A button that is now disabled (the top row's "move up") passes the
+    // focus to the next one in the row; an emptied list to "Add phase"
+    const row = sequenceStepsBody.rows[focus.index];
+    const buttons = row ? Array.from(row.querySelectorAll('button')) : [];
+    const target = buttons.find((button) => button.dataset.action === focus.action && !button.disabled) ||
+      buttons.find((button) => !button.disabled) || sequenceAddBtn;
+    target.focus();
+  }
+}
+
+/**
+ * Fill the sequence builder from a settings object.
+ *
+ * @param {Object} settings
+ */
+function fillSequenceInputs(settings) {
+  sequenceModeSelect.value = settings.sequence ? 'custom' : 'classic';
+  sequenceSteps = settings.sequence ? settings.sequence.map((step) => Object.assign({}, step)) : [];
+  renderSequence();
+}
+
+/**
+ * The sequence to save: null for the classic cycle.
+ *
+ * @returns {Object[]|null}
+ */
+function readSequence() {
+  if (sequenceModeSelect.value !== 'custom' || !sequenceSteps.length) return null;
+  return sequenceSteps.map((step) => Object.assign({}, step));
+}
+
+sequenceModeSelect.addEventListener('change', () => {
+  // Start a new custom sequence from the classic cycle so it is never empty
+  if (sequenceModeSelect.value === 'custom' && !sequenceSteps.length) {
+    sequenceSteps = classicSequence();
+  }
+  formDirty = true;
+  renderSequence();
+});
+
+sequenceAddBtn.addEventListener('click', () => {
+  const last = sequenceSteps[sequenceSteps.length - 1];
+  const type = last && last.type === 'work' ? 'short_break' : 'work';
+  sequenceSteps.push({
+    label: t(PHASE_TYPE_MESSAGES[type]),
+    type,
+    duration: parseInt((type === 'work' ? workDurationInput : shortBreakInput).value, 10)
+  });
+  formDirty = true;
+  renderSequence();
+});
+
+sequencePresetSelect.addEventListener('change', async () => {
+  const preset = sequencePresetSelect.value;
+  sequencePresetSelect.value = '';
+  if (!preset) return;
+  if (sequenceSteps.length && !(await showConfirm(t('confirmReplaceSequence')))) return;
+  sequenceSteps = preset === 'classic' ? classicSequence() : sequencePreset(preset);
+  formDirty = true;
+  renderSequence();
+});
+
+/**
+ * Render the working hours rows. Like the sequence builder, every input
+ * writes straight back to workingHoursSlots.
+ *
+ * @param {number} [focusIndex] Row whose remove button, or else the add
+ *   button, gets the focus once rendered
+ */
+function renderWorkingHours(focusIndex) {
+  const shortNames = weekdayNames('narrow');
+  const longNames = weekdayNames('long');
+  workingHoursBody.textContent = '';
+  workingHoursInputs = [];
+  workingHoursSlots.forEach((slot, index) => {
+    const row = document.createElement('tr');
+    const rowNumber = formatNumber(index + 1);
+
+    const daysCell = document.createElement('td');
+    const days = document.createElement('div');
+    days.className = 'working-days';
+    const dayInputs = WORKING_DAY_ORDER.map((weekday) => {
+      const label = document.createElement('label');
+      const name = document.createElement('span');
+      name.textContent = shortNames[weekday];
+      name.setAttribute('aria-hidden', 'true');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = slot.days.includes(weekday);
+      input.setAttribute('aria-label', t('workingHoursFieldLabel', [longNames[weekday], rowNumber]));
+      input.addEventListener('change', () => {
+        slot.days = WORKING_DAY_ORDER.filter((day, i) => dayInputs[i].checked);
+      });
+      label.append(name, input);
+      days.appendChild(label);
+      return input;
+    });
+    daysCell.appendChild(days);
+    row.appendChild(daysCell);
+
+    const times = ['start', 'end'].map((field) => {
+      const input = document.createElement('input');
+      input.type = 'time';
+      input.required = true;
+      input.value = slot[field];
+      input.setAttribute('aria-label', t('workingHoursFieldLabel', [
+        t(field === 'start' ? 'workingHoursColumnFrom' : 'workingHoursColumnTo'), rowNumber
+      ]));
+      input.addEventListener('input', () => {
+        slot[field] = input.value;
+      });
+      const cell = document.createElement('td');
+      cell.appendChild(input);
+      row.appendChild(cell);
+      return input;
+    });
+
+    const actions = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = '✕';
+    removeBtn.title = t('remove');
+    removeBtn.setAttribute('aria-label', t('workingHoursFieldLabel', [t('remove'), rowNumber]));
+    removeBtn.addEventListener('click', () => {
+      workingHoursSlots.splice(index, 1);
+      formDirty = true;
+      renderWorkingHours(Math.min(index, workingHoursSlots.length - 1));
+    });
+    actions.appendChild(removeBtn);
+    row.appendChild(actions);
+
+    workingHoursInputs.push({ days: dayInputs[0], start: times[0], end: times[1] });
+    workingHoursBody.appendChild(row);
+  });
+  workingHoursAddBtn.disabled = workingHoursSlots.length >= MAX_WORKING_WINDOWS;
+  if (focusIndex !== undefined) {
+    const row = workingHoursBody.rows[focusIndex];
+    (row ? row.querySelector('button') : workingHoursAddBtn).focus();
+  }
+}
+
+/**
+ * Fill the working hours and quiet hours inputs from a settings object.
+ *
+ * @param {Object} settings
+ */
+function fillScheduleInputs(settings) {
+  workingHoursModeSelect.value = settings.workingHoursMode;
+  workingHoursSlots = settings.workingHours.map((slot) => Object.assign({}, slot, { days: slot.days.slice() }));
+  renderWorkingHours();
+  quietHoursEnabledInput.checked = settings.quietHoursEnabled;
+  quietHoursStartInput.value = settings.quietHours.start;
+  quietHoursEndInput.value = settings.quietHours.end;
+}
+
+workingHoursAddBtn.addEventListener('click', () => {
+  workingHoursSlots.push({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' });
+  formDirty = true;
+  renderWorkingHours();
+  workingHoursBody.rows[workingHoursSlots.length - 1].querySelector('input').focus();
+});
+
+/**
+ * Say where the quotes come from and offer the built‑in ones back once the
+ * list has been changed.
+ */
+function updateQuoteSource() {
+  quoteSourceNote.textContent = quotesCustom
+    ? tPlural('quoteSourceCustom', quoteItems.length)
+    : t('quoteSourceBuiltIn');
+  quotesRestoreBtn.disabled = !quotesCustom;
+}
+
+/**
+ * Turn the quotes being edited into the user's own list.
+ */
+function markQuotesCustom() {
+  quotesCustom = true;
+  formDirty = true;
+  updateQuoteSource();
+}
+
+/**
+ * Render the quote list, one editable row per quote. Like the working
+ * hours, every input writes straight back to quoteItems.
+ *
+ * @param {number} [focusIndex] Row whose remove button, or else the new
+ *   quote input, gets the focus once rendered
+ */
+function renderQuotes(focusIndex) {
+  quoteList.textContent = '';
+  quoteInputs = quoteItems.map((quote, index) => {
+    const item = document.createElement('li');
+    const rowNumber = formatNumber(index + 1);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = MAX_QUOTE_LENGTH;
+    input.value = quote;
+    input.setAttribute('aria-label', t('quoteFieldLabel', rowNumber));
+    input.addEventListener('input', () => {
+      quoteItems[index] = input.value;
+      markQuotesCustom();
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = '✕';
+    removeBtn.title = t('remove');
+    removeBtn.setAttribute('aria-label', t('quoteRemoveLabel', rowNumber));
+    removeBtn.addEventListener('click', () => {
+      quoteItems.splice(index, 1);
+      markQuotesCustom();
+      renderQuotes(Math.min(index, quoteItems.length - 1));
+    });
+    item.append(input, removeBtn);
+    quoteList.appendChild(item);
+    return input;
+  });
+  quoteAddBtn.disabled = quoteItems.length >= MAX_QUOTES;
+  quotesClearBtn.disabled = !quoteItems.length;
+  updateQuoteSource();
+  if (focusIndex !== undefined) {
+    const item = quoteList.children[focusIndex];
+    (item ? item.querySelector('button') : quoteNewInput).focus();
+  }
+}
+
+/**
+ * Add the quote typed into the new quote input to the list.
+ */
+function addQuote() {
+  const quote = quoteNewInput.value.replace(/\s+/g, ' ').trim();
+  if (quote && quoteItems.length < MAX_QUOTES) {
+    quoteItems.push(quote);
+    quoteNewInput.value = '';
+    markQuotesCustom();
+    renderQuotes();
+  }
+  quoteNewInput.focus();
+}
+
+/**
+ * Show each phase type's template filled with example values, the built‑in
+ * wording for an empty template, or what is wrong with it.
+ */
+function renderTemplatePreviews() {
+  Object.entries(templateFields).forEach(([type, fields]) => {
+    const next = type === 'work' ? 'short_break' : 'work';
+    const nextDuration = next === 'work'
+      ? parseInt(workDurationInput.value, 10) || DEFAULTS.workDuration
+      : parseInt(shortBreakInput.value, 10) || DEFAULTS.shortBreakDuration;
+    const values = {
+      count: formatNumber(3),
+      task: t('templateSampleTask'),
+      nextPhase: t(PHASE_TYPE_MESSAGES[next]),
+      nextDuration: formatNumber(nextDuration),
+      streak: formatNumber(5)
+    };
+    fields.preview.textContent = '';
+    const problems = [fields.title.value, fields.message.value].map(templateProblem).filter(Boolean);
+    if (problems.length) {
+      const error = document.createElement('div');
+      error.className = 'preview-error';
+      error.textContent = problems[0].problem === 'placeholder'
+        ? t('errorUnknownPlaceholder', problems[0].name)
+        : t('errorUnmatchedBrace');
+      fields.preview.appendChild(error);
+      return;
+    }
+    const title = document.createElement('div');
+    title.className = 'preview-title';
+    title.textContent = fields.title.value.trim()
+      ? fillTemplate(fields.title.value, values)
+      : t(type === 'work' ? 'pomodoroComplete' : 'breakOver');
+    const message = document.createElement('div');
+    message.textContent = fields.message.value.trim()
+      ? fillTemplate(fields.message.value, values)
+      : t(type === 'work' ? 'timeForBreak' : 'backToWork');
+    fields.preview.append(title, message);
+  });
+}
+
+/**
+ * Read the notification templates from their inputs.
+ *
+ * @returns {Object} Templates keyed by phase type
+ */
+function readTemplates() {
+  const templates = {};
+  Object.entries(templateFields).forEach(([type, fields]) => {
+    templates[type] = { title: fields.title.value, message: fields.message.value };
+  });
+  return templates;
+}
+
+/**
+ * Fill the quote and notification template inputs from a settings object.
+ *
+ * @param {Object} settings
+ */
+function fillNotificationInputs(settings) {
+  quoteFrequencyInput.value = settings.quoteFrequency;
+  quotesCustom = settings.quotes !== null;
+  quoteItems = quotesCustom ? settings.quotes.slice() : MOTIVATIONAL_QUOTES.map((key) => t(key));
+  quoteImportStatus.textContent = '';
+  renderQuotes();
+  Object.entries(templateFields).forEach(([type, fields]) => {
+    fields.title.value = settings.notificationTemplates[type].title;
+    fields.message.value = settings.notificationTemplates[type].message;
+  });
+  renderTemplatePreviews();
+}
+
+quoteAddBtn.addEventListener('click', addQuote);
+// Enter in the new quote input adds it instead of saving the form
+quoteNewInput.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  e.preventDefault();
+  addQuote();
+});
+
+quoteImportInput.addEventListener('change', async () => {
+  const file = quoteImportInput.files[0];
+  if (!file) return;
+  const found = parseQuotes(await file.text()).filter((quote) => !quoteItems.includes(quote));
+  const added = found.slice(0, MAX_QUOTES - quoteItems.length);
+  quoteImportInput.value = '';
+  quoteItems = quoteItems.concat(added);
+  markQuotesCustom();
+  renderQuotes();
+  quoteImportStatus.textContent = [tPlural('quotesImported', added.length)]
+    .concat(added.length < found.length ? t('errorMaxQuotes', MAX_QUOTES) : [])
+    .join(' ');
+});
+
+quotesRestoreBtn.addEventListener('click', () => {
+  quotesCustom = false;
+  formDirty = true;
+  quoteItems = MOTIVATIONAL_QUOTES.map((key) => t(key));
+  renderQuotes();
+  quoteNewInput.focus();
+});
+
+quotesClearBtn.addEventListener('click', async () => {
+  if (!(await showConfirm(t('confirmClearQuotes')))) return;
+  quoteItems = [];
+  markQuotesCustom();
+  renderQuotes();
+  quoteNewInput.focus();
+});
+
+// The previews follow the templates and the durations they mention
+Object.values(templateFields)
+  .flatMap((fields) => [fields.title, fields.message])
+  .concat(workDurationInput, shortBreakInput)
+  .forEach((input) => input.addEventListener('input', renderTemplatePreviews));
+
+/**
+ * Rebuild both phase‑end sound dropdowns from the bundled chimes and the
+ * uploaded sounds, keeping the given selections. A selection whose uploaded
+ * sound no longer exists falls back to the default for that phase.
+ *
+ * @param {string} workSound Sound id to select for the end of work
+ * @param {string} breakSound Sound id to select for the end of a break
+ */
+async function fillSoundSelects(workSound, breakSound) {
+  const customSounds = await listCustomSounds();
+  const choices = Object.keys(CHIMES).map((id) => ({ value: id, label: t(CHIMES[id].label) }))
+    .concat(customSounds.map((sound) => ({ value: `custom:${sound.id}`, label: sound.name })))
+    .concat({ value: 'none', label: t('soundNone') });
+  [[workEndSoundSelect, workSound, DEFAULTS.workEndSound],
+    [breakEndSoundSelect, breakSound, DEFAULTS.breakEndSound]].forEach(([select, selected, fallback]) => {
+    select.textContent = '';
+    choices.forEach((choice) => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+    select.value = choices.some((choice) => choice.value === selected) ? selected : fallback;
+  });
+  renderCustomSounds(customSounds);
+}
+
+/**
+ * List the uploaded sounds with a delete button each.
+ *
+ * @param {{id: string, name: string}[]} customSounds
+ */
+function renderCustomSounds(customSounds) {
+  customSoundList.textContent = '';
+  customSounds.forEach((sound) => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = sound.name;
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'secondary';
+    deleteBtn.textContent = t('delete');
+    deleteBtn.addEventListener('click', async () => {
+      if (!(await showConfirm(t('confirmDeleteSound', sound.name)))) return;
+      await deleteCustomSound(sound.id);
+      fillSoundSelects(workEndSoundSelect.value, breakEndSoundSelect.value);
+    });
+    item.appendChild(name);
+    item.appendChild(deleteBtn);
+    customSoundList.appendChild(item);
+  });
+}
+
+/**
+ * Fill the sound inputs from a settings object.
+ *
+ * @param {Object} settings
+ */
+function fillSoundInputs(settings) {
+  soundVolumeInput.value = settings.soundVolume;
+  tickingEnabledInput.checked = !!settings.tickingEnabled;
+  tickingVolumeInput.value = settings.tickingVolume;
+  fillSoundSelects(settings.workEndSound, settings.breakEndSound);
+}
+
+soundUploadInput.addEventListener('change', async () => {
+  const file = soundUploadInput.files[0];
+  if (!file) return;
+  try {
+    await saveCustomSound(file);
+  } catch (err) {
+    await showAlert(err.message);
+  }
+  soundUploadInput.value = '';
+  fillSoundSelects(workEndSoundSelect.value, breakEndSoundSelect.value);
+});
+
+// Preview plays through the service worker and offscreen document, exactly
+// as at the end of a phase, using the volume currently on the slider
+document.querySelectorAll('[data-preview]').forEach((button) => {
+  button.addEventListener('click', () => {
+    const select = document.getElementById(button.dataset.preview);
+    sendCommand('previewSound', { sound: select.value, volume: parseInt(soundVolumeInput.value, 10) });
+  });
+});
+
+/**
+ * Read the per‑weekday goals; empty inputs become null (use the daily goal).
+ *
+ * @returns {(number|null)[]}
+ */
+function readWeekdayGoals() {
+  return weekdayGoalInputs.map((input) => (input.value === '' ? null : parseInt(input.value, 10)));
+}
+
 /**
  * Send a command to the background service worker.
  *
@@ -40,27 +911,337 @@ function sendCommand(command, payload = {}) {
   });
 }
 
+/**
+ * Fill the profile picker. The form below always edits the active profile.
+ *
+ * @param {Object} settings
+ */
+function fillProfileInputs(settings) {
+  profileSelect.textContent = '';
+  settings.profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSelect.appendChild(option);
+  });
+  profileSelect.value = settings.activeProfileId;
+  profileNameInput.value = settings.name;
+  profileSwitchSelect.value = settings.profileSwitch;
+  profileDeleteBtn.disabled = settings.profiles.length < 2;
+}
+
+// Switching the profile here switches it for the timer too, following the
+// "switching profile during a session" choice
+profileSelect.addEventListener('change', async () => {
+  await sendCommand('switchProfile', { profileId: profileSelect.value });
+  loadSettings();
+});
+
+/**
+ * Create a profile and make it the active one.
+ *
+ * @param {string} name
+ * @param {string} [copyFromId] Profile to duplicate
+ */
+async function addProfile(name, copyFromId) {
+  const { profile } = await sendCommand('createProfile', { name, copyFromId });
+  if (!profile) {
+    await showAlert(t('profileCreateFailed'));
+    return;
+  }
+  await sendCommand('switchProfile', { profileId: profile.id });
+  loadSettings();
+}
+
+profileNewBtn.addEventListener('click', async () => {
+  const name = await showPrompt(t('promptNewProfile'));
+  if (name) addProfile(name);
+});
+
+profileDuplicateBtn.addEventListener('click', async () => {
+  const name = await showPrompt(t('promptCopyProfile'), t('profileCopyName', profileNameInput.value));
+  if (name) addProfile(name, profileSelect.value);
+});
+
+profileDeleteBtn.addEventListener('click', async () => {
+  const name = profileSelect.selectedOptions[0].textContent;
+  if (!(await showConfirm(t('confirmDeleteProfile', name)))) return;
+  await sendCommand('deleteProfile', { profileId: profileSelect.value });
+  loadSettings();
+});
+
+/**
+ * Fill the form from the stored settings of the active profile.
+ */
 async function loadSettings() {
   const resp = await sendCommand('getSettings');
   const settings = resp.settings;
+  fillProfileInputs(settings);
+  fillSequenceInputs(settings);
   workDurationInput.value = settings.workDuration;
   shortBreakInput.value = settings.shortBreakDuration;
   longBreakInput.value = settings.longBreakDuration;
   longBreakIntervalInput.value = settings.longBreakInterval;
+  autoStartBreaksInput.checked = settings.autoStartBreaks;
+  autoStartWorkInput.checked = settings.autoStartWork;
+  keepNotificationsOpenInput.checked = settings.keepNotificationsOpen;
+  askPauseReasonInput.checked = settings.askPauseReason;
+  reflectionPromptInput.checked = settings.reflectionPrompt;
+  breakTakeoverInput.checked = settings.breakTakeover;
+  dayStartHourInput.value = settings.dayStartHour;
+  fillGoalInputs(settings);
+  fillBlockerInputs(settings);
+  fillIdleInputs(settings);
+  fillSoundInputs(settings);
+  reportScheduleSelect.value = settings.reportSchedule;
+  reportTimeInput.value = settings.reportTime;
+  fillScheduleInputs(settings);
+  fillNotificationInputs(settings);
+  externalAllowlistInput.value = settings.externalAllowlist.join('\n');
   // Load theme preference
   themeSelect.value = settings.theme || 'light';
+  applyTheme(settings.theme);
+  badgeStyleSelect.value = settings.badgeStyle;
+  languageSelect.value = settings.language;
+  formDirty = false;
 }
 
+/**
+ * Fill in the statistics summary: today, this week, the streak and the
+ * focus figures of the last 30 days.
+ */
 async function loadStats() {
-  const summary = await sendCommand('getStats');
-  statsTodaySpan.textContent = summary.today;
-  statsWeekSpan.textContent = summary.week;
+  const [summary, settingsResp] = await Promise.all([sendCommand('getStats'), sendCommand('getSettings')]);
+  const to = toDateKey(Date.now(), settingsResp.settings.dayStartHour);
+  const range = await sendCommand('getStatsRange', { from: addDaysToKey(to, -29), to });
+  focusCompletionSpan.textContent = range.completionRate == null
+    ? '–'
+    : formatPercent(range.completionRate);
+  focusAbandonedSpan.textContent = formatNumber(range.totals.abandoned);
+  focusInterruptionsSpan.textContent = formatNumber(range.averages.interruptionsPerDay,
+    { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  focusReasonsSpan.textContent = range.reasons.slice(0, 3)
+    .map(({ reason, count }) => t('reasonCount', [
+      reason.startsWith('custom:') ? reason.slice(7) : t(REASON_MESSAGES[reason]),
+      formatNumber(count)
+    ]))
+    .join(t('listSeparator')) || '–';
+  statsTodaySpan.textContent = formatNumber(summary.today);
+  statsWeekSpan.textContent = formatNumber(summary.week);
+  statsStreakSpan.textContent = tPlural('goalStreakSummary', summary.streak,
+    [formatNumber(summary.bestStreak), formatNumber(summary.freezes)]);
+}
+
+/**
+ * Express how close a task's actual pomodoro count came to its estimate as
+ * a percentage, where 100% means the estimate was exact.
+ *
+ * @param {Object} task
+ * @returns {number}
+ */
+function estimateAccuracy(task) {
+  const high = Math.max(task.estimate, task.completedPomodoros);
+  if (high === 0) return 100;
+  return Math.round((Math.min(task.estimate, task.completedPomodoros) / high) * 100);
 }
 
+/**
+ * List every task with its estimate, progress and status, and show how
+ * accurate the estimates of finished tasks were.
+ */
+async function loadTasks() {
+  const { tasks, activeTaskId } = await sendCommand('getTasks');
+  taskRows.textContent = '';
+  tasks.forEach((task) => {
+    const row = document.createElement('tr');
+    const status = t(task.done ? 'taskStatusDone' : (task.id === activeTaskId ? 'taskStatusActive' : 'taskStatusOpen'));
+    const cells = [
+      task.title,
+      formatNumber(task.estimate),
+      formatNumber(task.completedPomodoros),
+      formatPercent(estimateAccuracy(task) / 100),
+      status
+    ];
+    cells.forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      if (index > 0 && index < 4) cell.className = 'num';
+      row.appendChild(cell);
+    });
+    const actionCell = document.createElement('td');
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'secondary';
+    deleteBtn.textContent = t('delete');
+    deleteBtn.addEventListener('click', async () => {
+      if (await showConfirm(t('confirmDeleteTask', task.title))) {
+        await sendCommand('deleteTask', { taskId: task.id });
+        loadTasks();
+      }
+    });
+    actionCell.appendChild(deleteBtn);
+    row.appendChild(actionCell);
+    taskRows.appendChild(row);
+  });
+  const finished = tasks.filter((task) => task.done);
+  if (finished.length) {
+    const average = finished.reduce((sum, task) => sum + estimateAccuracy(task), 0) / finished.length;
+    taskAccuracySpan.textContent = formatPercent(average / 100);
+  } else {
+    taskAccuracySpan.textContent = '–';
+  }
+}
+
+/**
+ * Find the input a settings path refers to, e.g. 'weekdayGoals.3' or
+ * 'sequence.2.duration'.
+ *
+ * @param {string} path Setting path from a field error
+ * @returns {HTMLElement|null}
+ */
+function inputForPath(path) {
+  const [key, index, field] = path.split('.');
+  if (key === 'weekdayGoals' && index !== undefined) return weekdayGoalInputs[index] || null;
+  if (key === 'sequence') {
+    const row = sequenceInputs[index];
+    return row ? row[field] || row.duration : sequenceModeSelect;
+  }
+  if (key === 'workingHours') {
+    const row = workingHoursInputs[index];
+    return row ? row[field] || row.start : workingHoursAddBtn;
+  }
+  if (key === 'quietHours') return index === 'end' ? quietHoursEndInput : quietHoursStartInput;
+  if (key === 'quotes') return quoteInputs[index] || quoteNewInput;
+  if (key === 'notificationTemplates') {
+    const fields = templateFields[index];
+    return fields ? fields[field] || fields.title : null;
+  }
+  const inputs = {
+    workDuration: workDurationInput,
+    shortBreakDuration: shortBreakInput,
+    longBreakDuration: longBreakInput,
+    longBreakInterval: longBreakIntervalInput,
+    autoStartBreaks: autoStartBreaksInput,
+    autoStartWork: autoStartWorkInput,
+    keepNotificationsOpen: keepNotificationsOpenInput,
+    askPauseReason: askPauseReasonInput,
+    reflectionPrompt: reflectionPromptInput,
+    breakTakeover: breakTakeoverInput,
+    idleDetection: idleDetectionInput,
+    idleThresholdMinutes: idleThresholdInput,
+    idleAction: idleActionSelect,
+    pauseBreaksWhenIdle: pauseBreaksWhenIdleInput,
+    reportSchedule: reportScheduleSelect,
+    reportTime: reportTimeInput,
+    workingHoursMode: workingHoursModeSelect,
+    quietHoursEnabled: quietHoursEnabledInput,
+    quoteFrequency: quoteFrequencyInput,
+    externalAllowlist: externalAllowlistInput,
+    dayStartHour: dayStartHourInput,
+    dailyGoal: dailyGoalInput,
+    weekdayGoals: weekdayGoalContainer,
+    weekendsOff: weekendsOffInput,
+    blockerEnabled: blockerEnabledInput,
+    blockerMode: blockerModeSelect,
+    blockedSites: blockedSitesInput,
+    allowedSites: allowedSitesInput,
+    bypassMinutes: bypassMinutesInput,
+    workEndSound: workEndSoundSelect,
+    breakEndSound: breakEndSoundSelect,
+    soundVolume: soundVolumeInput,
+    tickingEnabled: tickingEnabledInput,
+    tickingVolume: tickingVolumeInput,
+    name: profileNameInput,
+    profileSwitch: profileSwitchSelect,
+    theme: themeSelect,
+    badgeStyle: badgeStyleSelect,
+    language: languageSelect
+  };
+  return inputs[key] || null;
+}
+
+/**
+ * Show the service worker's field errors next to their inputs, replacing
+ * any shown before. Errors without a matching input go to the status line.
+ *
+ * @param {Object} [errors] Messages keyed by setting path
+ */
+function showFieldErrors(errors = {}) {
+  form.querySelectorAll('.field-error').forEach((el) => el.remove());
+  form.querySelectorAll('[aria-invalid]').forEach((el) => el.removeAttribute('aria-invalid'));
+  const unplaced = [];
+  Object.entries(errors).forEach(([path, message], i) => {
+    const input = inputForPath(path);
+    if (!input) {
+      unplaced.push(message);
+      return;
+    }
+    const error = document.createElement('span');
+    error.className = 'field-error';
+    error.id = `field-error-${i}`;
+    error.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', error.id);
+    (input.closest('label') || input).insertAdjacentElement('afterend', error);
+  });
+  const count = Object.keys(errors).length;
+  settingsStatus.classList.toggle('error', count > 0);
+  settingsStatus.textContent = count
+    ? [tPlural('fixFields', count)].concat(unplaced).join(' ')
+    : '';
+  const first = form.querySelector('[aria-invalid="true"]');
+  if (first && first.focus) first.focus();
+}
+
+/**
+ * Briefly confirm a successful save in the status line.
+ *
+ * @param {string} message
+ */
+function showSaved(message) {
+  showFieldErrors();
+  settingsStatus.textContent = message;
+  setTimeout(() => {
+    if (settingsStatus.textContent === message) settingsStatus.textContent = '';
+  }, 3000);
+}
+
+form.addEventListener('input', () => {
+  formDirty = true;
+});
+
+// Settings saved elsewhere (the popup's profile picker, an import or
+// another options tab) show up here without a reload, unless the form has
+// unsaved edits that a refill would throw away. A new language reloads the
+// page so every string is drawn again.
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) return;
+  const { settings } = await sendCommand('getSettings');
+  if (resolveLocale(settings.language) !== currentLocale()) {
+    location.reload();
+  } else if (formDirty) {
+    applyTheme(settings.theme);
+  } else {
+    loadSettings();
+  }
+});
+
 // Populate form inputs when page loads
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  const { settings } = await sendCommand('getSettings');
+  await initI18n(settings.language);
+  localizePage();
+  const names = weekdayNames();
+  weekdayGoalNames.forEach((name, weekday) => {
+    name.textContent = names[weekday];
+  });
+  // Companion extensions address PomoPal by its ID, which differs between
+  // a store install and an unpacked copy
+  externalNote.textContent = t('externalNote', chrome.runtime.id);
   loadSettings();
   loadStats();
+  loadTasks();
+  loadBlockerLog();
 });
 
 // Save settings on form submission
@@ -71,11 +1252,55 @@ form.addEventListener('submit', async (e) => {
     shortBreakDuration: parseInt(shortBreakInput.value, 10),
     longBreakDuration: parseInt(longBreakInput.value, 10),
     longBreakInterval: parseInt(longBreakIntervalInput.value, 10),
-    theme: themeSelect.value
+    autoStartBreaks: autoStartBreaksInput.checked,
+    autoStartWork: autoStartWorkInput.checked,
+    keepNotificationsOpen: keepNotificationsOpenInput.checked,
+    askPauseReason: askPauseReasonInput.checked,
+    reflectionPrompt: reflectionPromptInput.checked,
+    breakTakeover: breakTakeoverInput.checked,
+    idleDetection: idleDetectionInput.checked,
+    idleThresholdMinutes: parseInt(idleThresholdInput.value, 10),
+    idleAction: idleActionSelect.value,
+    pauseBreaksWhenIdle: pauseBreaksWhenIdleInput.checked,
+    dayStartHour: parseInt(dayStartHourInput.value, 10),
+    dailyGoal: parseInt(dailyGoalInput.value, 10),
+    weekdayGoals: readWeekdayGoals(),
+    weekendsOff: weekendsOffInput.checked,
+    blockerEnabled: blockerEnabledInput.checked,
+    blockerMode: blockerModeSelect.value,
+    blockedSites: parseSiteList(blockedSitesInput.value),
+    allowedSites: parseSiteList(allowedSitesInput.value),
+    bypassMinutes: parseInt(bypassMinutesInput.value, 10),
+    workEndSound: workEndSoundSelect.value,
+    breakEndSound: breakEndSoundSelect.value,
+    soundVolume: parseInt(soundVolumeInput.value, 10),
+    tickingEnabled: tickingEnabledInput.checked,
+    tickingVolume: parseInt(tickingVolumeInput.value, 10),
+    reportSchedule: reportScheduleSelect.value,
+    reportTime: reportTimeInput.value,
+    workingHoursMode: workingHoursModeSelect.value,
+    workingHours: workingHoursSlots.map((slot) => Object.assign({}, slot, { days: slot.days.slice() })),
+    quietHoursEnabled: quietHoursEnabledInput.checked,
+    quietHours: { start: quietHoursStartInput.value, end: quietHoursEndInput.value },
+    quoteFrequency: parseInt(quoteFrequencyInput.value, 10),
+    quotes: quotesCustom ? quoteItems.slice() : null,
+    notificationTemplates: readTemplates(),
+    externalAllowlist: externalAllowlistInput.value.split(/\s+/).filter(Boolean),
+    sequence: readSequence(),
+    name: profileNameInput.value.trim() || profileSelect.selectedOptions[0].textContent,
+    profileSwitch: profileSwitchSelect.value,
+    theme: themeSelect.value,
+    badgeStyle: badgeStyleSelect.value,
+    language: languageSelect.value
   };
-  await sendCommand('saveSettings', { settings: newSettings });
-  // Provide user feedback
-  alert('Settings saved successfully');
+  const resp = await sendCommand('saveSettings', { settings: newSettings });
+  if (!resp.success) {
+    showFieldErrors(resp.errors);
+    return;
+  }
+  // Refill with the stored values, e.g. sites reduced to bare domains
+  await loadSettings();
+  showSaved(t('settingsSaved'));
 });
 
 // Reset to default values
@@ -84,16 +1309,147 @@ resetDefaultsBtn.addEventListener('click', async () => {
   shortBreakInput.value = DEFAULTS.shortBreakDuration;
   longBreakInput.value = DEFAULTS.longBreakDuration;
   longBreakIntervalInput.value = DEFAULTS.longBreakInterval;
+  autoStartBreaksInput.checked = DEFAULTS.autoStartBreaks;
+  autoStartWorkInput.checked = DEFAULTS.autoStartWork;
+  keepNotificationsOpenInput.checked = DEFAULTS.keepNotificationsOpen;
+  askPauseReasonInput.checked = DEFAULTS.askPauseReason;
+  reflectionPromptInput.checked = DEFAULTS.reflectionPrompt;
+  breakTakeoverInput.checked = DEFAULTS.breakTakeover;
+  dayStartHourInput.value = DEFAULTS.dayStartHour;
+  fillGoalInputs(DEFAULTS);
+  fillBlockerInputs(DEFAULTS);
+  fillIdleInputs(DEFAULTS);
+  fillSoundInputs(DEFAULTS);
+  reportScheduleSelect.value = DEFAULTS.reportSchedule;
+  reportTimeInput.value = DEFAULTS.reportTime;
+  fillScheduleInputs(DEFAULTS);
+  fillNotificationInputs(DEFAULTS);
+  externalAllowlistInput.value = '';
+  fillSequenceInputs(DEFAULTS);
+  profileSwitchSelect.value = DEFAULTS.profileSwitch;
   themeSelect.value = DEFAULTS.theme;
+  badgeStyleSelect.value = DEFAULTS.badgeStyle;
+  languageSelect.value = DEFAULTS.language;
   await sendCommand('saveSettings', { settings: DEFAULTS });
-  alert('Defaults restored');
+  await loadSettings();
+  showSaved(t('defaultsRestored'));
 });
 
 // Clear statistics
 clearStatsBtn.addEventListener('click', async () => {
-  if (confirm('Are you sure you want to clear all statistics?')) {
+  if (await showConfirm(t('confirmClearStats'))) {
     await sendCommand('clearStats');
     loadStats();
-    alert('Statistics cleared');
+    await showAlert(t('statsCleared'));
+  }
+});
+
+/**
+ * Ask the background for an export in the given format and save it through
+ * a temporary download link.
+ *
+ * @param {string} format 'json', 'csv' or 'ics'
+ */
+async function downloadExport(format) {
+  const file = await sendCommand('exportData', { format });
+  if (file.error) {
+    await showAlert(file.error);
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+['json', 'csv', 'ics'].forEach((format) => {
+  document.getElementById(`export-${format}`).addEventListener('click', () => downloadExport(format));
+});
+
+/**
+ * Show either the validation errors or a summary of what an import would
+ * change, and only offer the Import button for a valid file.
+ *
+ * @param {Object} resp Response of the previewImport command
+ */
+function renderImportPreview(resp) {
+  importPreview.textContent = '';
+  importPreview.classList.remove('hidden');
+  if (resp.errors) {
+    importConfirmBtn.classList.add('hidden');
+    const list = document.createElement('ul');
+    list.className = 'import-errors';
+    resp.errors.forEach((error) => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    importPreview.appendChild(list);
+    return;
+  }
+  const { preview } = resp;
+  const lines = [
+    t('importBackupFrom', formatDate(preview.exportedAt)),
+    t('importPomodoros', [formatNumber(preview.pomodoros.before), formatNumber(preview.pomodoros.after)]),
+    t('importSessions', [formatNumber(preview.sessions.before), formatNumber(preview.sessions.after)]),
+    t('importTasks', [formatNumber(preview.tasks.before), formatNumber(preview.tasks.after)]),
+    preview.settingsChanged.length
+      ? t('importSettingsChanged', preview.settingsChanged.join(t('listSeparator')))
+      : t('importSettingsUnchanged')
+  ];
+  lines.forEach((line) => {
+    const div = document.createElement('div');
+    div.textContent = line;
+    importPreview.appendChild(div);
+  });
+  importConfirmBtn.classList.remove('hidden');
+}
+
+/**
+ * Read the chosen file and request a preview for the selected mode.
+ */
+async function previewSelectedImport() {
+  pendingImport = null;
+  importConfirmBtn.classList.add('hidden');
+  const file = importFileInput.files[0];
+  if (!file) {
+    importPreview.classList.add('hidden');
+    return;
   }
-});
\ No newline at end of file
+  let bundle;
+  try {
+    bundle = JSON.parse(await file.text());
+  } catch (err) {
+    renderImportPreview({ errors: [t('importNotJson')] });
+    return;
+  }
+  const resp = await sendCommand('previewImport', { bundle, mode: importModeSelect.value });
+  if (!resp.errors) pendingImport = bundle;
+  renderImportPreview(resp);
+}
+
+importFileInput.addEventListener('change', previewSelectedImport);
+importModeSelect.addEventListener('change', previewSelectedImport);
+
+importConfirmBtn.addEventListener('click', async () => {
+  if (!pendingImport) return;
+  const mode = importModeSelect.value;
+  if (mode === 'replace' && !(await showConfirm(t('confirmReplaceImport')))) {
+    return;
+  }
+  const resp = await sendCommand('importData', { bundle: pendingImport, mode });
+  if (!resp.success) {
+    renderImportPreview(resp);
+    return;
+  }
+  pendingImport = null;
+  importFileInput.value = '';
+  importPreview.classList.add('hidden');
+  importConfirmBtn.classList.add('hidden');
+  loadSettings();
+  loadStats();
+  loadTasks();
+  await showAlert(t('importComplete'));
+});
@@ -9,23 +9,56 @@
 // Cached references to DOM elements
 const timerDisplay = document.getElementById('timer-display');
 const phaseLabel = document.getElementById('phase');
+const phasePosition = document.getElementById('phase-position');
+const stopNote = document.getElementById('stop-note');
 const startBtn = document.getElementById('start-btn');
 const pauseBtn = document.getElementById('pause-btn');
 const resumeBtn = document.getElementById('resume-btn');
 const resetBtn = document.getElementById('reset-btn');
+const phaseControls = document.getElementById('phase-controls');
+const skipBtn = document.getElementById('skip-btn');
+const extendBtn = document.getElementById('extend-btn');
+const longBreakBtn = document.getElementById('long-break-btn');
+const pauseReasonBox = document.getElementById('pause-reason');
+const pauseReasonForm = document.getElementById('pause-reason-form');
+const pauseReasonNote = document.getElementById('pause-reason-note');
+const idlePrompt = document.getElementById('idle-prompt');
+const idlePromptText = document.getElementById('idle-prompt-text');
+const reflectionForm = document.getElementById('reflection');
+const reflectionText = document.getElementById('reflection-text');
+const reflectionNote = document.getElementById('reflection-note');
+const reflectionSkipBtn = document.getElementById('reflection-skip');
 const statsTodaySpan = document.getElementById('stats-today');
 const statsWeekSpan = document.getElementById('stats-week');
 const settingsLink = document.getElementById('settings-link');
+const statsLink = document.getElementById('stats-link');
+const focusLink = document.getElementById('focus-link');
+const journalLink = document.getElementById('journal-link');
 
 // Additional elements for enhancements
 const statsStreakSpan = document.getElementById('stats-streak');
+const statsFreezesSpan = document.getElementById('stats-freezes');
+const goalContainer = document.querySelector('.goal');
+const goalRingFill = document.getElementById('goal-ring-fill');
+const goalText = document.getElementById('goal-text');
+const progressBar = document.getElementById('progress-bar');
 const progressFill = document.getElementById('progress-fill');
 const shareBtn = document.getElementById('share-btn');
+const taskForm = document.getElementById('task-form');
+const taskTitleInput = document.getElementById('task-title');
+const taskEstimateInput = document.getElementById('task-estimate');
+const taskList = document.getElementById('task-list');
+const profileSelect = document.getElementById('profile-select');
+const profileNote = document.getElementById('profile-note');
+// Timer controls in the order the keyboard focus prefers them
+const timerButtons = [startBtn, pauseBtn, resumeBtn, resetBtn];
 
 // Store current settings for theme handling
 let currentSettings = null;
 
 let currentState = null;
+// The work session waiting for a reflection, if any
+let pendingReflection = null;
 let timerInterval = null;
 
 /**
@@ -45,38 +78,48 @@ function formatTime(ms) {
   return `${m}:${s}`;
 }
 
+/**
+ * Show the time left and the progress bar, and announce anything worth
+ * announcing (see announceTimer). When idle the display reads '--:--'.
+ */
+function renderTime() {
+  if (!currentState) return;
+  announceTimer(currentState);
+  if (currentState.phase === 'idle') {
+    timerDisplay.textContent = '--:--';
+    progressFill.style.width = '0%';
+    progressBar.setAttribute('aria-valuenow', '0');
+    progressBar.removeAttribute('aria-valuetext');
+    return;
+  }
+  let msLeft;
+  if (currentState.running) {
+    msLeft = currentState.endTime - Date.now();
+  } else if (currentState.remainingTime != null) {
+    msLeft = currentState.remainingTime;
+  } else {
+    msLeft = 0;
+  }
+  timerDisplay.textContent = formatTime(msLeft);
+  // Measured against the whole phase, as in the focus view and the toolbar
+  // icon: startTime moves on every resume
+  const duration = currentState.plannedDuration || 1;
+  const percent = Math.min(Math.max((duration - Math.max(msLeft, 0)) / duration, 0), 1) * 100;
+  progressFill.style.width = `${percent}%`;
+  progressBar.setAttribute('aria-valuenow', String(Math.round(percent)));
+  progressBar.setAttribute('aria-valuetext',
+    t('progressValue', [formatPercent(percent / 100), formatTimeLeft(msLeft)]));
+}
+
 /**
  * Update the timer display each second while the timer is running or
- * paused. Clears any existing interval first. If the timer is idle
- * displays '--:--'.
+ * paused. Clears any existing interval first.
  */
 function startUpdatingTimer() {
   if (timerInterval) {
     clearInterval(timerInterval);
   }
-  timerInterval = setInterval(() => {
-    if (!currentState || currentState.phase === 'idle') {
-      timerDisplay.textContent = '--:--';
-      if (progressFill) progressFill.style.width = '0%';
-      return;
-    }
-    let msLeft;
-    if (currentState.running) {
-      msLeft = currentState.endTime - Date.now();
-    } else if (currentState.remainingTime != null) {
-      msLeft = currentState.remainingTime;
-    } else {
-      msLeft = 0;
-    }
-    timerDisplay.textContent = formatTime(msLeft);
-    // Update progress bar every second
-    if (progressFill) {
-      const duration = (currentState.endTime - currentState.startTime) || currentState.remainingTime || 1;
-      const elapsed = duration - Math.max(msLeft, 0);
-      const percent = Math.min(Math.max(elapsed / duration, 0), 1) * 100;
-      progressFill.style.width = `${percent}%`;
-    }
-  }, 1000);
+  timerInterval = setInterval(renderTime, 1000);
 }
 
 /**
@@ -85,20 +128,42 @@ function startUpdatingTimer() {
  */
 function updateUI() {
   if (!currentState) return;
+  const focusedBefore = document.activeElement;
   // Update phase text
   const phaseMap = {
-    idle: 'Idle',
-    work: 'Work',
-    short_break: 'Break',
-    long_break: 'Long Break'
+    idle: t('phaseIdle'),
+    work: t('phaseTypeWork'),
+    short_break: t('phaseTypeShortBreak'),
+    long_break: t('phaseTypeLongBreak')
   };
-  phaseLabel.textContent = phaseMap[currentState.phase] || 'Idle';
+  // Phases carry the label of their sequence step; the map is the fallback
+  const label = currentState.phaseLabel || phaseMap[currentState.phase] || phaseMap.idle;
+  phaseLabel.textContent = label;
+  phasePosition.textContent = t('phasePosition', [formatNumber(currentState.sequenceIndex + 1),
+    formatNumber(currentState.sequenceLength)]);
+  phasePosition.classList.toggle('hidden', currentState.phase === 'idle' || !currentState.sequenceLength);
+  stopNote.classList.toggle('hidden', !currentState.stopAfterPhase);
+  const isBreak = currentState.phase === 'short_break' || currentState.phase === 'long_break';
+  startBtn.textContent = t('start');
+  phaseControls.classList.toggle('hidden', currentState.phase === 'idle');
+  skipBtn.textContent = t(isBreak ? 'skipBreak' : 'finishEarly');
+  skipBtn.title = t(isBreak ? 'skipBreakTitle' : 'finishEarlyTitle');
+  skipBtn.classList.toggle('hidden', !isBreak && !!currentState.awaitingStart);
+  longBreakBtn.classList.toggle('hidden', currentState.phase === 'long_break' && !currentState.awaitingStart);
   // Update buttons visibility
   if (currentState.phase === 'idle') {
     startBtn.classList.remove('hidden');
     pauseBtn.classList.add('hidden');
     resumeBtn.classList.add('hidden');
     resetBtn.classList.add('hidden');
+  } else if (currentState.awaitingStart) {
+    // next phase is ready but waits for the user
+    phaseLabel.textContent = t('readyToStart', label);
+    startBtn.textContent = t(isBreak ? 'startBreak' : 'startWork');
+    startBtn.classList.remove('hidden');
+    pauseBtn.classList.add('hidden');
+    resumeBtn.classList.add('hidden');
+    resetBtn.classList.remove('hidden');
   } else if (currentState.running) {
     startBtn.classList.add('hidden');
     pauseBtn.classList.remove('hidden');
@@ -111,29 +176,55 @@ function updateUI() {
     resumeBtn.classList.remove('hidden');
     resetBtn.classList.remove('hidden');
   }
+  // Offer to record why the timer was paused, until a reason is given
+  const lastPause = (currentState.interruptions || [])[currentState.interruptions.length - 1];
+  const askReason = currentSettings ? currentSettings.askPauseReason : false;
+  const awaitingReason = askReason && !currentState.running && lastPause &&
+    lastPause.durationMs == null && lastPause.reason === 'unspecified';
+  pauseReasonBox.classList.toggle('hidden', !awaitingReason);
+  // Ask what to do with time spent away during a work session
+  const idle = currentState.phase === 'work' ? currentState.idle : null;
+  idlePrompt.classList.toggle('hidden', !idle);
+  if (idle) {
+    const awayMs = Math.min(idle.returnedAt || Date.now(), idle.heldAt || Infinity) - idle.since;
+    idlePromptText.textContent = tPlural('idleAwayPrompt', Math.max(Math.round(awayMs / 60000), 1));
+    pauseReasonBox.classList.add('hidden');
+  }
+  renderProfiles();
   // Update timer immediately
-  if (currentState.phase === 'idle') {
-    timerDisplay.textContent = '--:--';
-    if (progressFill) progressFill.style.width = '0%';
-  } else {
-    let msLeft;
-    if (currentState.running) {
-      msLeft = currentState.endTime - Date.now();
-    } else if (currentState.remainingTime != null) {
-      msLeft = currentState.remainingTime;
-    } else {
-      msLeft = 0;
-    }
-    timerDisplay.textContent = formatTime(msLeft);
-    if (progressFill) {
-      const duration = (currentState.endTime - currentState.startTime) || currentState.remainingTime || 1;
-      const elapsed = duration - Math.max(msLeft, 0);
-      const percent = Math.min(Math.max(elapsed / duration, 0), 1) * 100;
-      progressFill.style.width = `${percent}%`;
-    }
+  renderTime();
+  // A button that hid itself, like Start once the timer runs, would take
+  // the keyboard focus with it; hand the focus to the one that replaced it
+  if (timerButtons.includes(focusedBefore) && focusedBefore.classList.contains('hidden')) {
+    focusTimerButton();
   }
 }
 
+/**
+ * Offer to reflect on the work session that just ended, or hide the offer
+ * once it is answered. The form is only cleared for a new session, so a
+ * half‑written note survives other updates.
+ *
+ * @param {Object|null} session From the getPendingReflection command
+ */
+function renderReflection(session) {
+  const isNew = session && (!pendingReflection || pendingReflection.id !== session.id);
+  pendingReflection = session;
+  if (!session && reflectionForm.contains(document.activeElement)) focusTimerButton();
+  reflectionForm.classList.toggle('hidden', !session);
+  if (!isNew) return;
+  reflectionForm.reset();
+  reflectionText.textContent = session.taskTitle ? t('reflectionPromptTask', session.taskTitle) : t('reflectionPrompt');
+}
+
+/**
+ * Focus the main timer control that is showing: Start, Pause or Resume.
+ */
+function focusTimerButton() {
+  const button = timerButtons.find((candidate) => !candidate.classList.contains('hidden'));
+  if (button) button.focus();
+}
+
 /**
  * Send a command message to the background service worker.
  *
@@ -149,6 +240,105 @@ function sendCommand(command, payload = {}) {
   });
 }
 
+/**
+ * Show progress towards today's goal in the ring. The ring's circumference
+ * is 100 units, so the dash length is simply the percentage.
+ *
+ * @param {Object} stats Stats summary from the background
+ */
+function renderGoal(stats) {
+  goalContainer.classList.toggle('met', stats.goalMet);
+  if (!stats.goal) {
+    goalRingFill.setAttribute('stroke-dasharray', '0 100');
+    goalText.textContent = t('goalRest');
+    goalContainer.title = t('goalRestTitle');
+    goalContainer.setAttribute('aria-valuemax', '0');
+    goalContainer.setAttribute('aria-valuenow', '0');
+    goalContainer.setAttribute('aria-valuetext', goalContainer.title);
+    return;
+  }
+  const percent = Math.min(stats.today / stats.goal, 1) * 100;
+  goalRingFill.setAttribute('stroke-dasharray', `${percent} ${100 - percent}`);
+  goalText.textContent = `${formatNumber(stats.today)}/${formatNumber(stats.goal)}`;
+  goalContainer.title = tPlural('goalTitle', stats.goal);
+  goalContainer.setAttribute('aria-valuemax', String(stats.goal));
+  goalContainer.setAttribute('aria-valuenow', String(Math.min(stats.today, stats.goal)));
+  goalContainer.setAttribute('aria-valuetext', tPlural('goalProgressValue', stats.goal, [formatNumber(stats.today)]));
+}
+
+/**
+ * Fill the profile dropdown and explain a switch that waits for the next
+ * phase.
+ */
+function renderProfiles() {
+  if (!currentSettings) return;
+  const { profiles, activeProfileId } = currentSettings;
+  if (profileSelect.options.length !== profiles.length ||
+      profiles.some((profile, i) => profileSelect.options[i].value !== profile.id ||
+        profileSelect.options[i].textContent !== profile.name)) {
+    profileSelect.textContent = '';
+    profiles.forEach((profile) => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    });
+  }
+  const pending = profiles.find((profile) => profile.id === currentState.pendingProfileId);
+  // The running phase knows its own profile, which stays correct when the
+  // phase changes while the popup is open
+  const current = profiles.some((profile) => profile.id === currentState.profileId)
+    ? currentState.profileId
+    : activeProfileId;
+  profileSelect.value = pending ? pending.id : current;
+  profileNote.textContent = pending ? t('profileSwitchNote', pending.name) : '';
+  profileNote.classList.toggle('hidden', !pending);
+}
+
+/**
+ * Render the open tasks. Clicking a title makes it the active task (or
+ * clears it if already active) and the checkbox marks it as done. The list
+ * is rebuilt on every change, so the keyboard focus is put back: on the
+ * task just made active, or on the task after one just finished.
+ *
+ * @param {{tasks: Object[], activeTaskId: (string|null)}} data
+ * @param {number} [focusIndex] Position in the list to focus afterwards
+ */
+function renderTasks(data, focusIndex) {
+  taskList.textContent = '';
+  const open = data.tasks.filter((task) => !task.done);
+  open.forEach((task, index) => {
+    const item = document.createElement('li');
+    if (task.id === data.activeTaskId) item.classList.add('active');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.title = t('taskMarkDone');
+    checkbox.setAttribute('aria-label', t('taskMarkDoneLabel', task.title));
+    checkbox.addEventListener('change', async () => {
+      renderTasks(await sendCommand('completeTask', { taskId: task.id }), index);
+    });
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'task-title';
+    title.textContent = task.title;
+    title.title = t('taskSetActive');
+    title.setAttribute('aria-pressed', String(task.id === data.activeTaskId));
+    title.addEventListener('click', async () => {
+      const taskId = task.id === data.activeTaskId ? null : task.id;
+      renderTasks(await sendCommand('setActiveTask', { taskId }), index);
+    });
+    const count = document.createElement('span');
+    count.className = 'task-count';
+    count.textContent = `${formatNumber(task.completedPomodoros)}/${formatNumber(task.estimate)}`;
+    item.append(checkbox, title, count);
+    taskList.appendChild(item);
+  });
+  if (focusIndex !== undefined) {
+    const item = taskList.children[Math.min(focusIndex, open.length - 1)];
+    (item ? item.querySelector('.task-title') : taskTitleInput).focus();
+  }
+}
+
 /**
  * Fetch the current state from the background and refresh the UI. Also
  * start the periodic timer update loop.
@@ -160,16 +350,22 @@ async function refreshStateAndUI() {
   startUpdatingTimer();
   // Fetch stats separately
   const stats = await sendCommand('getStats');
-  statsTodaySpan.textContent = stats.today;
-  statsWeekSpan.textContent = stats.week;
+  statsTodaySpan.textContent = formatNumber(stats.today);
+  statsWeekSpan.textContent = formatNumber(stats.week);
   if (statsStreakSpan) {
-    statsStreakSpan.textContent = stats.streak;
+    statsStreakSpan.textContent = formatNumber(stats.streak);
   }
+  statsFreezesSpan.textContent = stats.freezes ? `❄ ${formatNumber(stats.freezes)}` : '';
+  statsFreezesSpan.title = tPlural('freezesTitle', stats.freezes);
+  renderGoal(stats);
+  renderTasks(await sendCommand('getTasks'));
+  renderReflection((await sendCommand('getPendingReflection')).session);
   // Fetch settings for theme
   const settingsResp = await sendCommand('getSettings');
   currentSettings = settingsResp.settings;
-  const theme = currentSettings.theme || 'light';
-  document.body.setAttribute('data-theme', theme);
+  applyTheme(currentSettings.theme);
+  // Settings decide whether to ask for a pause reason
+  updateUI();
 }
 
 // Event listeners for buttons
@@ -183,44 +379,160 @@ pauseBtn.addEventListener('click', async () => {
   await refreshStateAndUI();
 });
 
+pauseReasonBox.querySelectorAll('[data-reason]').forEach((button) => {
+  button.addEventListener('click', async () => {
+    await sendCommand('setPauseReason', { reason: button.dataset.reason });
+    await refreshStateAndUI();
+  });
+});
+
+pauseReasonForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const note = pauseReasonNote.value.trim();
+  if (!note) return;
+  await sendCommand('setPauseReason', { reason: 'custom', note });
+  pauseReasonNote.value = '';
+  await refreshStateAndUI();
+});
+
+idlePrompt.querySelectorAll('[data-decision]').forEach((button) => {
+  button.addEventListener('click', async () => {
+    await sendCommand('resolveIdle', { decision: button.dataset.decision });
+    await refreshStateAndUI();
+  });
+});
+
 resumeBtn.addEventListener('click', async () => {
   await sendCommand('resume');
   await refreshStateAndUI();
 });
 
+skipBtn.addEventListener('click', async () => {
+  await sendCommand('skipPhase');
+  await refreshStateAndUI();
+});
+
+extendBtn.addEventListener('click', async () => {
+  await sendCommand('extend');
+  await refreshStateAndUI();
+});
+
+longBreakBtn.addEventListener('click', async () => {
+  await sendCommand('jumpToLongBreak');
+  await refreshStateAndUI();
+});
+
+profileSelect.addEventListener('change', async () => {
+  await sendCommand('switchProfile', { profileId: profileSelect.value });
+  await refreshStateAndUI();
+});
+
 resetBtn.addEventListener('click', async () => {
   await sendCommand('reset');
   await refreshStateAndUI();
 });
 
+// Add a task; the first task added becomes active automatically
+taskForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const resp = await sendCommand('addTask', {
+    title: taskTitleInput.value,
+    estimate: parseInt(taskEstimateInput.value, 10)
+  });
+  if (!resp.task) return;
+  taskTitleInput.value = '';
+  taskEstimateInput.value = 1;
+  let data = await sendCommand('getTasks');
+  if (!data.activeTaskId) {
+    data = await sendCommand('setActiveTask', { taskId: resp.task.id });
+  }
+  renderTasks(data);
+});
+
 settingsLink.addEventListener('click', (e) => {
   e.preventDefault();
   chrome.runtime.openOptionsPage();
 });
 
-// Share progress button copies a summary to the clipboard
+focusLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('focus.html') });
+});
+
+statsLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('stats.html') });
+});
+
+journalLink.addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL('journal.html') });
+});
+
+// Saving an empty reflection is the same as skipping it
+reflectionForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const rating = reflectionForm.querySelector('input[name="focus"]:checked');
+  const note = reflectionNote.value.trim();
+  if (!note && !rating) {
+    await sendCommand('skipReflection', { sessionId: pendingReflection.id });
+    return;
+  }
+  const resp = await sendCommand('saveReflection', {
+    sessionId: pendingReflection.id,
+    note,
+    focus: rating ? Number(rating.value) : null
+  });
+  if (resp.success) announce(t('reflectionSaved'));
+});
+
+reflectionSkipBtn.addEventListener('click', async () => {
+  await sendCommand('skipReflection', { sessionId: pendingReflection.id });
+});
+
+// Share progress opens the latest report at its share card, which can be
+// copied or saved as an image
 if (shareBtn) {
-  shareBtn.addEventListener('click', async () => {
-    const stats = await sendCommand('getStats');
-    const text = `I'm using PomoPal and completed ${stats.today} pomodoros today and ${stats.week} this week!`;
-    try {
-      await navigator.clipboard.writeText(text);
-      alert('Progress copied to clipboard! Share it with your friends.');
-    } catch (err) {
-      alert('Unable to copy to clipboard: ' + err);
-    }
+  shareBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('report.html#share') });
   });
 }
 
-// Listen for updates from the background to keep the UI in sync
-chrome.runtime.onMessage.addListener((message) => {
-  if (message.type === 'statusUpdate') {
-    currentState = message.state;
-    updateUI();
+// Settings changed elsewhere (options page, import) apply live: the theme,
+// the profile list and whether to ask for pause reasons. A phase waiting to
+// be started is updated by the service worker, which broadcasts it. A new
+// language reloads the popup so every string is translated again.
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+  // The offer to reflect comes and goes with the work sessions
+  if (changes.pendingReflection) {
+    renderReflection((await sendCommand('getPendingReflection')).session);
   }
+  if (!changes.settings) return;
+  const resp = await sendCommand('getSettings');
+  if (currentSettings && resp.settings.language !== currentSettings.language) {
+    location.reload();
+    return;
+  }
+  currentSettings = resp.settings;
+  applyTheme(currentSettings.theme);
+  updateUI();
 });
 
-// Initialise on load
-document.addEventListener('DOMContentLoaded', () => {
-  refreshStateAndUI();
+// Initialise on load, translating the page first
+document.addEventListener('DOMContentLoaded', async () => {
+  const { settings } = await sendCommand('getSettings');
+  await initI18n(settings.language);
+  localizePage();
+  reflectionForm.querySelectorAll('.focus-rating span').forEach((span) => {
+    span.textContent = formatNumber(Number(span.textContent));
+  });
+  await refreshStateAndUI();
+  // Start on the timer rather than on the profile picker above it
+  focusTimerButton();
+  // Keep the UI in sync with the background from now on
+  subscribeToStatus((state) => {
+    currentState = state;
+    updateUI();
+  });
 });
\ No newline at end of file
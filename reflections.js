@@ -0,0 +1,126 @@
+/*
+ * Reflections on work sessions and the journal made of them. After a work
+ * session PomoPal can ask for a one‑line note on what got done and a focus
+ * rating from 1 to 5. A reflection is stored with its session in the
+ * history and moves to the journal when the session is folded into the
+ * per‑day totals (see timer_engine.js), so reflections are kept for good.
+ *
+ * The file is a classic script that needs the helpers of dates.js loaded
+ * first. The service worker loads it with importScripts(), the journal page
+ * with a <script> tag, and Node can require() it.
+ */
+
+const REFLECTION_NOTE_MAX_LENGTH = 140;
+const FOCUS_RATING_MAX = 5;
+
+/**
+ * Build a reflection from what the user entered. The note is kept to one
+ * line and cut to REFLECTION_NOTE_MAX_LENGTH; a rating outside 1–5 counts
+ * as no rating.
+ *
+ * @param {{note: string, focus: number}} input
+ * @param {number} now Epoch ms
+ * @returns {{note: string, focus: (number|null), recordedAt: number}|null}
+ *   null when there is neither a note nor a rating
+ */
+function createReflection({ note, focus } = {}, now) {
+  const text = String(note == null ? '' : note).replace(/\s+/g, ' ').trim().slice(0, REFLECTION_NOTE_MAX_LENGTH);
+  const rating = Number.isInteger(focus) && focus >= 1 && focus <= FOCUS_RATING_MAX ? focus : null;
+  if (!text && rating === null) return null;
+  return { note: text, focus: rating, recordedAt: now };
+}
+
+/**
+ * Whether a value is a well‑formed reflection, e.g. one read from a backup.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isReflection(value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.note === 'string' && value.note.length <= REFLECTION_NOTE_MAX_LENGTH &&
+    (value.focus === null || (Number.isInteger(value.focus) && value.focus >= 1 && value.focus <= FOCUS_RATING_MAX)) &&
+    Number.isInteger(value.recordedAt) && value.recordedAt >= 0 &&
+    (value.note !== '' || value.focus !== null);
+}
+
+/**
+ * Every reflected work session, newest first, from the detailed history
+ * and the journal.
+ *
+ * @param {{entries: Object[], journal: Object[]}} history From getHistory()
+ * @param {Object[]} tasks Tasks, to name the task of each session
+ * @returns {Object[]} { id, startTime, endTime, actualDuration, taskId,
+ *   taskTitle, note, focus, recordedAt }; taskTitle is null when the task
+ *   is unknown
+ */
+function journalEntries(history, tasks) {
+  const taskTitles = {};
+  tasks.forEach((task) => { taskTitles[task.id] = task.title; });
+  return (history.journal || [])
+    .concat(history.entries.filter((entry) => entry.phase === 'work' && entry.reflection))
+    .map((session) => ({
+      id: session.id,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      actualDuration: session.actualDuration,
+      taskId: session.taskId || null,
+      taskTitle: taskTitles[session.taskId] || null,
+      note: session.reflection.note,
+      focus: session.reflection.focus,
+      recordedAt: session.reflection.recordedAt
+    }))
+    .sort((a, b) => b.endTime - a.endTime);
+}
+
+/**
+ * Narrow journal entries down to those on the days from `from` to `to`
+ * whose note or task contains every word of the query, ignoring case.
+ *
+ * @param {Object[]} entries From journalEntries()
+ * @param {{query: string, from: (string|null), to: (string|null)}} filter
+ *   Date keys; a missing end leaves that side open
+ * @param {number} dayStartHour Hour at which a new day begins
+ * @returns {Object[]}
+ */
+function filterJournal(entries, { query = '', from = null, to = null }, dayStartHour) {
+  const words = query.toLocaleLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter((entry) => {
+    const day = toDateKey(entry.endTime, dayStartHour);
+    if ((from && day < from) || (to && day > to)) return false;
+    const text = `${entry.note} ${entry.taskTitle || ''}`.toLocaleLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+}
+
+/**
+ * The average focus rating of each day with rated sessions.
+ *
+ * @param {Object[]} entries From journalEntries()
+ * @param {number} dayStartHour Hour at which a new day begins
+ * @returns {Array<{date: string, average: number, ratings: number}>} Oldest first
+ */
+function focusTrend(entries, dayStartHour) {
+  const days = {};
+  entries.filter((entry) => entry.focus !== null).forEach((entry) => {
+    const date = toDateKey(entry.endTime, dayStartHour);
+    const day = days[date] || (days[date] = { date, total: 0, ratings: 0 });
+    day.total += entry.focus;
+    day.ratings += 1;
+  });
+  return Object.values(days)
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map(({ date, total, ratings }) => ({ date, average: total / ratings, ratings }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REFLECTION_NOTE_MAX_LENGTH,
+    FOCUS_RATING_MAX,
+    createReflection,
+    isReflection,
+    journalEntries,
+    filterJournal,
+    focusTrend
+  };
+}
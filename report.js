@@ -0,0 +1,331 @@
+/*
+ * Logic for the report page. The service worker builds the weekly and
+ * monthly reports from the session history (see reports.js); this page
+ * shows one of them with its top tasks, lists the earlier ones and draws a
+ * share card of the chosen fields on a canvas. The card never leaves the
+ * device unless the user copies or saves it, and task titles are only on it
+ * when they are ticked.
+ */
+
+const reportKindSelect = document.getElementById('report-kind');
+const olderBtn = document.getElementById('older-btn');
+const newerBtn = document.getElementById('newer-btn');
+const periodHeading = document.getElementById('period-heading');
+const periodNote = document.getElementById('period-note');
+const reportCards = document.getElementById('report-cards');
+const topTaskList = document.getElementById('top-task-list');
+const shareSection = document.getElementById('share');
+const shareFieldInputs = Array.from(document.querySelectorAll('[data-share-field]'));
+const shareCanvas = document.getElementById('share-canvas');
+const copyCardBtn = document.getElementById('copy-card-btn');
+const downloadCardBtn = document.getElementById('download-card-btn');
+const shareStatus = document.getElementById('share-status');
+const historyRows = document.getElementById('history-rows');
+
+// How many reports of each kind the history goes back
+const HISTORY_LENGTH = { week: 26, month: 24 };
+
+// Share card layout in canvas pixels. Its colours do not follow the theme,
+// so a shared image looks the same wherever it ends up.
+const CARD_WIDTH = 1200;
+const CARD_PADDING = 72;
+const CARD_COLUMN_WIDTH = 504;
+const CARD_COLUMN_GAP = 48;
+const CARD_ROW_HEIGHT = 132;
+const CARD_STATS_TOP = 180;
+const CARD_TASK_HEIGHT = 44;
+const CARD_FONT = 'system-ui, sans-serif';
+const CARD_COLORS = { background: '#ffffff', accent: '#e53935', text: '#212121', muted: '#757575' };
+
+// Reports of the chosen kind, newest first, and the one on show
+let reports = [];
+let selectedIndex = 0;
+
+/**
+ * Send a command to the background service worker.
+ *
+ * @param {string} command Command identifier
+ * @param {Object} [payload]
+ * @returns {Promise<any>}
+ */
+function sendCommand(command, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ command, ...payload }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Name a report's period, e.g. "6–12 May 2024" or "May 2024".
+ *
+ * @param {Object} report
+ * @returns {string}
+ */
+function periodLabel(report) {
+  if (report.kind === 'week') {
+    return formatDayRange(report.from, report.to, { day: 'numeric', month: 'short', year: 'numeric' });
+  }
+  return formatDay(report.from, { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Format a change in pomodoros with its sign, e.g. +3 or −2.
+ *
+ * @param {Object} report
+ * @returns {string}
+ */
+function formatChange(report) {
+  return formatNumber(report.pomodoros - report.previous.pomodoros, { signDisplay: 'exceptZero' });
+}
+
+/**
+ * The figures of a report, shared by the page and the share card.
+ *
+ * @param {Object} report
+ * @returns {Array<[string, string, string]>} Share field, label and value
+ */
+function reportStats(report) {
+  const { bestDay } = report;
+  return [
+    ['pomodoros', t('reportCardPomodoros'), formatNumber(report.pomodoros)],
+    ['focus', t('reportCardFocus'), formatHours(report.focusMs)],
+    ['comparison', t(report.kind === 'week' ? 'reportCardVsWeek' : 'reportCardVsMonth'), formatChange(report)],
+    ['bestDay', t('cardBestDay'), bestDay
+      ? t('bestOn', [formatNumber(bestDay.completed), formatDay(bestDay.date, {
+        weekday: 'short', day: 'numeric', month: 'short'
+      })])
+      : '–'],
+    ['streak', t('reportCardStreak'), tPlural('dayCount', report.longestStreak)]
+  ];
+}
+
+/**
+ * Describe a top task, e.g. "Write report: 5 pomodoros".
+ *
+ * @param {{title: (string|null), pomodoros: number}} task
+ * @returns {string}
+ */
+function taskLine(task) {
+  return tPlural('reportTaskPomodoros', task.pomodoros, [task.title === null ? t('reportDeletedTask') : task.title]);
+}
+
+/**
+ * Fill a card grid with label/value pairs.
+ *
+ * @param {HTMLElement} container Grid element
+ * @param {Array<[string, (string|number)]>} cards Label and value pairs
+ */
+function renderCards(container, cards) {
+  container.textContent = '';
+  cards.forEach(([label, value]) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const valueEl = document.createElement('div');
+    valueEl.className = 'value';
+    valueEl.textContent = value;
+    const labelEl = document.createElement('div');
+    labelEl.className = 'label';
+    labelEl.textContent = label;
+    card.append(valueEl, labelEl);
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Draw the share card for a report with the ticked fields only. The canvas
+ * grows to fit them.
+ *
+ * @param {Object} report
+ */
+function drawShareCard(report) {
+  const fields = new Set(shareFieldInputs.filter((input) => input.checked).map((input) => input.dataset.shareField));
+  const stats = reportStats(report).filter(([field]) => fields.has(field));
+  const tasks = fields.has('topTasks') ? report.topTasks : [];
+  const statsBottom = CARD_STATS_TOP + Math.ceil(stats.length / 2) * CARD_ROW_HEIGHT;
+  const tasksHeight = tasks.length ? 60 + tasks.length * CARD_TASK_HEIGHT : 0;
+  shareCanvas.width = CARD_WIDTH;
+  shareCanvas.height = statsBottom + tasksHeight + CARD_PADDING / 2;
+
+  const ctx = shareCanvas.getContext('2d');
+  const rtl = isRtl();
+  ctx.direction = rtl ? 'rtl' : 'ltr';
+  ctx.textAlign = 'start';
+  // Horizontal position of text starting `offset` pixels into the card
+  const edge = (offset) => (rtl ? CARD_WIDTH - CARD_PADDING - offset : CARD_PADDING + offset);
+  const maxWidth = CARD_WIDTH - 2 * CARD_PADDING;
+
+  ctx.fillStyle = CARD_COLORS.background;
+  ctx.fillRect(0, 0, shareCanvas.width, shareCanvas.height);
+  ctx.fillStyle = CARD_COLORS.accent;
+  ctx.fillRect(0, 0, CARD_WIDTH, 12);
+  ctx.font = `bold 36px ${CARD_FONT}`;
+  ctx.fillText('PomoPal', edge(0), 80);
+  ctx.fillStyle = CARD_COLORS.text;
+  ctx.font = `28px ${CARD_FONT}`;
+  const period = periodLabel(report);
+  ctx.fillText(report.complete ? period : t('reportPeriodSoFar', period), edge(0), 124, maxWidth);
+
+  stats.forEach(([, label, value], i) => {
+    const x = edge((i % 2) * (CARD_COLUMN_WIDTH + CARD_COLUMN_GAP));
+    const y = CARD_STATS_TOP + Math.floor(i / 2) * CARD_ROW_HEIGHT;
+    ctx.fillStyle = CARD_COLORS.accent;
+    ctx.font = `bold 56px ${CARD_FONT}`;
+    ctx.fillText(value, x, y + 56, CARD_COLUMN_WIDTH);
+    ctx.fillStyle = CARD_COLORS.muted;
+    ctx.font = `26px ${CARD_FONT}`;
+    ctx.fillText(label, x, y + 96, CARD_COLUMN_WIDTH);
+  });
+
+  if (tasks.length) {
+    ctx.fillStyle = CARD_COLORS.text;
+    ctx.font = `bold 28px ${CARD_FONT}`;
+    ctx.fillText(t('topTasksHeading'), edge(0), statsBottom + 28, maxWidth);
+    ctx.font = `26px ${CARD_FONT}`;
+    tasks.forEach((task, i) => {
+      ctx.fillText(taskLine(task), edge(0), statsBottom + 72 + i * CARD_TASK_HEIGHT, maxWidth);
+    });
+  }
+}
+
+/**
+ * The share card as a PNG file.
+ *
+ * @returns {Promise<Blob>}
+ */
+function shareCardBlob() {
+  return new Promise((resolve) => shareCanvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * List the reports of the chosen kind, each linking to itself.
+ */
+function renderHistory() {
+  historyRows.textContent = '';
+  reports.forEach((report, index) => {
+    const row = document.createElement('tr');
+    const periodCell = document.createElement('td');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = periodLabel(report);
+    button.addEventListener('click', () => showReport(index));
+    periodCell.appendChild(button);
+    row.appendChild(periodCell);
+    [formatNumber(report.pomodoros), formatHours(report.focusMs), formatChange(report)].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.className = 'num';
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    historyRows.appendChild(row);
+  });
+}
+
+/**
+ * Show one of the loaded reports.
+ *
+ * @param {number} index Position in `reports`, 0 being the current period
+ */
+function showReport(index) {
+  selectedIndex = index;
+  const report = reports[index];
+  periodHeading.textContent = periodLabel(report);
+  periodNote.hidden = report.complete;
+  renderCards(reportCards, reportStats(report).map(([, label, value]) => [label, value]));
+
+  topTaskList.textContent = '';
+  report.topTasks.forEach((task) => {
+    const item = document.createElement('li');
+    item.textContent = taskLine(task);
+    topTaskList.appendChild(item);
+  });
+  if (!report.topTasks.length) {
+    const item = document.createElement('li');
+    item.textContent = t('reportNoTasks');
+    topTaskList.appendChild(item);
+  }
+
+  olderBtn.disabled = index === reports.length - 1;
+  newerBtn.disabled = index === 0;
+  historyRows.querySelectorAll('button').forEach((button, i) => {
+    button.setAttribute('aria-current', String(i === index));
+  });
+  shareStatus.textContent = '';
+  drawShareCard(report);
+}
+
+/**
+ * Load the reports of a kind and show one of them: the one starting on
+ * `from`, or else the current period unless nothing has happened in it yet.
+ *
+ * @param {string} kind 'week' or 'month'
+ * @param {string} [from] Date key of the first day of the report to show
+ */
+async function loadReports(kind, from) {
+  const response = await sendCommand('getReports', { kind, count: HISTORY_LENGTH[kind] });
+  reports = response.reports;
+  renderHistory();
+  const index = reports.findIndex((report) => report.from === from);
+  if (index !== -1) {
+    showReport(index);
+  } else {
+    showReport(reports[0].pomodoros || reports[0].focusMs ? 0 : 1);
+  }
+}
+
+reportKindSelect.addEventListener('change', () => loadReports(reportKindSelect.value));
+olderBtn.addEventListener('click', () => showReport(selectedIndex + 1));
+newerBtn.addEventListener('click', () => showReport(selectedIndex - 1));
+
+shareFieldInputs.forEach((input) => {
+  input.addEventListener('change', () => drawShareCard(reports[selectedIndex]));
+});
+
+copyCardBtn.addEventListener('click', async () => {
+  try {
+    // Handing over the promise keeps the write tied to the click
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': shareCardBlob() })]);
+    shareStatus.textContent = t('shareCardCopied');
+  } catch (err) {
+    shareStatus.textContent = t('shareFailed', String(err));
+  }
+});
+
+downloadCardBtn.addEventListener('click', async () => {
+  const report = reports[selectedIndex];
+  const url = URL.createObjectURL(await shareCardBlob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `pomopal-${report.kind}-${report.from}.png`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+// Follow theme and language changes made on the options page while the
+// page is open
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) return;
+  const { settings } = await sendCommand('getSettings');
+  if (resolveLocale(settings.language) !== currentLocale()) {
+    location.reload();
+    return;
+  }
+  applyTheme(settings.theme);
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { settings } = await sendCommand('getSettings');
+  await initI18n(settings.language);
+  localizePage();
+  applyTheme(settings.theme);
+  // A report notification links here with ?kind=…&from=…, the popup's share
+  // button with #share
+  const params = new URLSearchParams(location.search);
+  const kind = params.get('kind') === 'month' ? 'month' : 'week';
+  reportKindSelect.value = kind;
+  await loadReports(kind, params.get('from'));
+  if (location.hash === '#share') {
+    shareSection.scrollIntoView();
+    shareSection.focus();
+  }
+});
@@ -0,0 +1,163 @@
+/*
+ * Weekly and monthly reports built from the session history. A week runs
+ * from Monday to Sunday and a month is a calendar month, both made of
+ * PomoPal days (see dates.js), so sessions after midnight can still belong
+ * to the evening before.
+ *
+ * Reports are not stored: they are computed from the history whenever they
+ * are needed. Per‑day totals are kept indefinitely, but which task a session
+ * was for only survives in the detailed entries, so top tasks are only known
+ * for the last HISTORY_RETENTION_DAYS days.
+ *
+ * The file is a classic script that needs the helpers of dates.js and
+ * goalForDay() from timer_engine.js loaded first. The service worker loads
+ * it with importScripts() and Node can require() it.
+ */
+
+// Tasks listed in a report, most pomodoros first
+const REPORT_TOP_TASKS = 3;
+
+/**
+ * Find the week or month that lies `offset` periods away from the one
+ * containing a day.
+ *
+ * @param {string} kind 'week' or 'month'
+ * @param {string} dateKey Any day of the reference period
+ * @param {number} [offset] 0 for that period, -1 for the one before, …
+ * @returns {{kind: string, from: string, to: string}} First and last day
+ */
+function reportPeriod(kind, dateKey, offset = 0) {
+  if (kind === 'week') {
+    const monday = addDaysToKey(dateKey, -((weekdayOfKey(dateKey) + 6) % 7));
+    const from = addDaysToKey(monday, offset * 7);
+    return { kind, from, to: addDaysToKey(from, 6) };
+  }
+  const { year, month } = parseDateKey(dateKey);
+  // UTC is used purely as a calendar here; day 0 is the last of the month
+  const first = new Date(Date.UTC(year, month - 1 + offset, 1));
+  const last = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0));
+  return {
+    kind,
+    from: formatDateKey(first.getUTCFullYear(), first.getUTCMonth() + 1, 1),
+    to: formatDateKey(last.getUTCFullYear(), last.getUTCMonth() + 1, last.getUTCDate())
+  };
+}
+
+/**
+ * When the report for a period is due: at the report time on the day after
+ * it, but never before that day has begun for PomoPal.
+ *
+ * @param {Object} period From reportPeriod()
+ * @param {string} reportTime Local time of day, 'HH:MM'
+ * @param {number} dayStartHour Hour (0‑23) at which a new day begins
+ * @returns {number} Epoch ms
+ */
+function reportDueAt(period, reportTime, dayStartHour) {
+  const nextDay = addDaysToKey(period.to, 1);
+  const { year, month, day } = parseDateKey(nextDay);
+  const [hour, minute] = reportTime.split(':').map(Number);
+  return Math.max(new Date(year, month - 1, day, hour, minute).getTime(), startOfDay(nextDay, dayStartHour));
+}
+
+/**
+ * Completed pomodoros and focus time per day within a range, from the
+ * daily totals and the detailed entries together.
+ *
+ * @param {{entries: Object[], dailyTotals: Object}} history
+ * @param {number} dayStartHour
+ * @param {string} from First date key
+ * @param {string} to Last date key
+ * @returns {Object} Map of date key to {completed, focusMs}
+ */
+function collectReportDays(history, dayStartHour, from, to) {
+  const days = {};
+  const dayFor = (key) => {
+    days[key] = days[key] || { completed: 0, focusMs: 0 };
+    return days[key];
+  };
+  Object.entries(history.dailyTotals).forEach(([key, total]) => {
+    if (key < from || key > to) return;
+    const day = dayFor(key);
+    day.completed += total.completed;
+    day.focusMs += total.focusMs;
+  });
+  history.entries.forEach((entry) => {
+    const key = toDateKey(entry.endTime, dayStartHour);
+    if (entry.phase !== 'work' || key < from || key > to) return;
+    const day = dayFor(key);
+    day.focusMs += entry.actualDuration || 0;
+    if (entry.outcome === 'completed') day.completed += 1;
+  });
+  return days;
+}
+
+/**
+ * Build the report for a period.
+ *
+ * @param {{entries: Object[], dailyTotals: Object}} history Session history
+ * @param {Object[]} tasks Task list, for the titles of top tasks
+ * @param {Object} settings Current settings (day start and goals)
+ * @param {Object} period From reportPeriod()
+ * @param {number} now Epoch ms
+ * @returns {Object} Report; `complete` is false while the period is still
+ *   running, and deleted tasks have a null title
+ */
+function buildReport(history, tasks, settings, period, now) {
+  const previous = reportPeriod(period.kind, period.from, -1);
+  const days = collectReportDays(history, settings.dayStartHour, previous.from, period.to);
+  const sum = (from, to) => {
+    const totals = { pomodoros: 0, focusMs: 0 };
+    for (let key = from; key <= to; key = addDaysToKey(key, 1)) {
+      totals.pomodoros += days[key] ? days[key].completed : 0;
+      totals.focusMs += days[key] ? days[key].focusMs : 0;
+    }
+    return totals;
+  };
+  // The best day and the longest run of days that met their goal; rest
+  // days neither count towards a run nor break it
+  let bestDay = null;
+  let longestStreak = 0;
+  let run = 0;
+  for (let key = period.from; key <= period.to; key = addDaysToKey(key, 1)) {
+    const count = days[key] ? days[key].completed : 0;
+    if (count && (!bestDay || count > bestDay.completed)) bestDay = { date: key, completed: count };
+    const goal = goalForDay(settings, key);
+    if (!goal) continue;
+    run = count >= goal ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  }
+  const perTask = {};
+  history.entries.forEach((entry) => {
+    const key = toDateKey(entry.endTime, settings.dayStartHour);
+    if (entry.phase !== 'work' || entry.outcome !== 'completed' || !entry.taskId) return;
+    if (key < period.from || key > period.to) return;
+    perTask[entry.taskId] = (perTask[entry.taskId] || 0) + 1;
+  });
+  const topTasks = Object.entries(perTask)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, REPORT_TOP_TASKS)
+    .map(([taskId, pomodoros]) => {
+      const task = tasks.find((candidate) => candidate.id === taskId);
+      return { taskId, title: task ? task.title : null, pomodoros };
+    });
+  return Object.assign({
+    kind: period.kind,
+    from: period.from,
+    to: period.to,
+    complete: now >= startOfDay(addDaysToKey(period.to, 1), settings.dayStartHour),
+    previous: Object.assign({ from: previous.from, to: previous.to }, sum(previous.from, previous.to)),
+    bestDay,
+    longestStreak,
+    topTasks
+  }, sum(period.from, period.to));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    REPORT_TOP_TASKS,
+    reportPeriod,
+    reportDueAt,
+    collectReportDays,
+    buildReport
+  };
+}
@@ -0,0 +1,133 @@
+/*
+ * Working hours and quiet hours. Working hours are a weekly schedule of
+ * windows, each a time range on some weekdays, such as Monday to Friday
+ * 09:00–12:00 and 13:00–17:00. A window ends on the day it starts;
+ * windows that touch or overlap on a day count as one. Quiet hours are a
+ * daily time range that may run past midnight, such as 22:00–07:00.
+ *
+ * Both follow the local wall clock rather than PomoPal's day start (see
+ * dates.js): 09:00 is 09:00 whatever day the statistics count it towards.
+ * Times are 'HH:MM' strings.
+ *
+ * The file is a classic script that needs the helpers of dates.js loaded
+ * first. The service worker loads it with importScripts() and Node can
+ * require() it.
+ */
+
+// How far ahead nextWorkingHoursChange() looks; a weekly schedule repeats
+// within a week, so a window that starts at all starts within 8 days
+const SCHEDULE_LOOKAHEAD_DAYS = 8;
+
+/**
+ * Minutes since midnight of a time of day.
+ *
+ * @param {string} time 'HH:MM'
+ * @returns {number}
+ */
+function minutesFromTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Epoch ms of a local time of day on a calendar day.
+ *
+ * @param {string} dateKey Calendar day
+ * @param {string} time 'HH:MM'
+ * @returns {number}
+ */
+function timeOnDay(dateKey, time) {
+  const { year, month, day } = parseDateKey(dateKey);
+  const [hour, minute] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hour, minute).getTime();
+}
+
+/**
+ * The working hours of one calendar day, with touching and overlapping
+ * windows merged.
+ *
+ * @param {Object[]} windows Schedule: [{days: number[], start, end}], days
+ *   being weekdays 0 = Sunday … 6 = Saturday
+ * @param {string} dateKey Calendar day
+ * @returns {Array<{start: number, end: number}>} Epoch ms, in order
+ */
+function workingHoursOnDay(windows, dateKey) {
+  const weekday = weekdayOfKey(dateKey);
+  const ranges = windows
+    .filter((slot) => slot.days.includes(weekday))
+    .map((slot) => ({ start: timeOnDay(dateKey, slot.start), end: timeOnDay(dateKey, slot.end) }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  ranges.forEach((range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  });
+  return merged;
+}
+
+/**
+ * The stretch of working hours a moment falls in.
+ *
+ * @param {Object[]} windows Schedule, see workingHoursOnDay()
+ * @param {number} now Epoch ms
+ * @returns {{start: number, end: number}|null} null outside working hours
+ */
+function currentWorkingHours(windows, now) {
+  return workingHoursOnDay(windows, toDateKey(now)).find((range) => range.start <= now && now < range.end) || null;
+}
+
+/**
+ * When working hours next begin or end.
+ *
+ * @param {Object[]} windows Schedule, see workingHoursOnDay()
+ * @param {number} now Epoch ms
+ * @returns {number|null} Epoch ms, or null if the schedule is empty
+ */
+function nextWorkingHoursChange(windows, now) {
+  const today = toDateKey(now);
+  for (let offset = 0; offset < SCHEDULE_LOOKAHEAD_DAYS; offset++) {
+    for (const range of workingHoursOnDay(windows, addDaysToKey(today, offset))) {
+      if (range.start > now) return range.start;
+      if (range.end > now) return range.end;
+    }
+  }
+  return null;
+}
+
+/**
+ * When the quiet hours a moment falls in end.
+ *
+ * @param {Object} settings Current settings (quietHoursEnabled and
+ *   quietHours: {start, end})
+ * @param {number} now Epoch ms
+ * @returns {number|null} Epoch ms, or null outside quiet hours
+ */
+function quietHoursEndAt(settings, now) {
+  if (!settings.quietHoursEnabled) return null;
+  const date = new Date(now);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const start = minutesFromTime(settings.quietHours.start);
+  const end = minutesFromTime(settings.quietHours.end);
+  const today = toDateKey(now);
+  if (start < end) {
+    return minute >= start && minute < end ? timeOnDay(today, settings.quietHours.end) : null;
+  }
+  // The quiet hours run past midnight
+  if (minute >= start) return timeOnDay(addDaysToKey(today, 1), settings.quietHours.end);
+  return minute < end ? timeOnDay(today, settings.quietHours.end) : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    minutesFromTime,
+    timeOnDay,
+    workingHoursOnDay,
+    currentWorkingHours,
+    nextWorkingHoursChange,
+    quietHoursEndAt
+  };
+}
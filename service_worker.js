@@ -1,409 +1,1845 @@
 /*
  * Background service worker for the Pomodoro extension.
  *
- * This file contains all of the long‑running logic for the timer. It keeps
- * track of the current phase (work or break), manages alarms to fire at
- * appropriate times, persists preferences and statistics in
- * chrome.storage.local and communicates with the popup and options pages via
- * messaging.  All processing is done locally within the browser – there are
- * no external network calls.
- */
-
-// Default durations (in minutes) for each Pomodoro phase. These values are
-// merged with any user defined settings from storage on demand.
-const DEFAULT_SETTINGS = {
-  workDuration: 25,
-  shortBreakDuration: 5,
-  longBreakDuration: 15,
-  longBreakInterval: 4,
-  // UI theme preference. Accepts 'light' or 'dark'. Defaults to light.
-  theme: 'light'
-};
+ * The timer itself – phases, transitions, history and streaks – is the
+ * engine in timer_engine.js, the settings schema and profiles are in
+ * settings.js, the checks and planning of backup imports in backup.js and
+ * the distraction blocker in blocker.js. This file connects them to the
+ * browser: it gives them chrome.storage.local, chrome.alarms and
+ * declarativeNetRequest, keeps tasks, exports, sounds, notifications and
+ * the toolbar button, and communicates with the popup and options pages
+ * via messaging and status ports.
+ * Companion extensions the user has allowed can use the public API in
+ * external_api.js. All processing is done locally within the browser –
+ * there are no external network calls.
+ */
 
-// A collection of motivational quotes used to add variety to notifications.
-// Randomly selected when a session completes to provide a variable reward
-// experience. Citations: research shows unpredictable rewards increase
-// engagement and motivation【553471993785898†L154-L182】.
-const MOTIVATIONAL_QUOTES = [
-  'Great job! Keep the momentum going.',
-  'Stay focused; you are doing amazing work.',
-  'Every session counts towards your goals.',
-  'Small steps lead to big achievements.',
-  'You’re building discipline one pomodoro at a time.',
-  'Another win in the books! Keep it up.',
-  'Success is the sum of small efforts repeated daily.',
-  'Focus on progress, not perfection.',
-  'Your future self will thank you for this work.',
-  'One step closer to mastering your craft.'
-];
-
-// Internal state representation. This object is kept in memory while the
-// service worker is alive. When the worker is suspended (which may happen
-// between events) state will be reconstructed on the next event from the
-// persisted copies in chrome.storage if necessary. We deliberately keep
-// everything simple and serialisable.
-let state = {
-  phase: 'idle',        // 'idle', 'work', 'short_break', 'long_break'
-  running: false,       // whether a timer is currently counting down
-  startTime: null,      // epoch ms when the current phase started
-  endTime: null,        // epoch ms when the current phase will end
-  remainingTime: null,  // ms remaining when paused
-  cycleCount: 0         // number of completed work phases since last long break
-};
+// Calendar day helpers (toDateKey, addDaysToKey, …) shared with the pages
+importScripts('dates.js');
+// The timer state machine, session history and goal streak
+importScripts('timer_engine.js');
+// Weekly and monthly reports computed from the session history
+importScripts('reports.js');
+// Working hours and quiet hours on the local wall clock
+importScripts('schedule.js');
+// Reflections on work sessions and the journal made of them
+importScripts('reflections.js');
+// Notification templates with placeholders, and picking quotes
+importScripts('templates.js');
+// Translated messages (t, tPlural, …) in the language the user picked
+importScripts('i18n.js');
+// Request, status and event formats of the public messaging API
+importScripts('external_api.js');
+// Default settings, the settings schema, its migrations and timer profiles
+importScripts('settings.js');
+// Backup bundles: the CSV export, checking them and planning their import
+importScripts('backup.js');
+// The distraction blocker's rules and bypasses
+importScripts('blocker.js');
+
+// Settings live in settings.js. The worker hands it chrome.storage.local
+// and the translated messages; everything else goes through getSettings()
+// and saveSettings().
+const {
+  getSettings,
+  saveSettings,
+  migrateStoredSettings,
+  importedSettings
+} = createSettings({ storage: chrome.storage.local, translate: t, locales: SUPPORTED_LOCALES });
+
+// The timer itself lives in timer_engine.js. The worker hands it
+// chrome.storage.local and chrome.alarms, and follows its changes on the
+// toolbar, in notifications, in the blocker and in open pages through the
+// hooks timerChanged(), phaseCompleted() and askAboutIdle().
+const engine = createTimerEngine({
+  clock: { now: () => Date.now() },
+  storage: chrome.storage.local,
+  scheduler: {
+    set: (name, when) => chrome.alarms.create(name, { when }),
+    clear: (name) => chrome.alarms.clear(name)
+  },
+  getSettings,
+  saveSettings,
+  phaseLabel: (type) => t(PHASE_TYPE_MESSAGES[type]),
+  hooks: {
+    changed: timerChanged,
+    completed: phaseCompleted,
+    idleReturned: askAboutIdle,
+    idleSettled: () => chrome.notifications.clear(IDLE_NOTIFICATION_ID)
+  }
+});
+
+// Promise for the one‑time restore of the persisted state. Every event
+// handler awaits it so that nothing acts on the empty in‑memory default.
+let stateLoaded = null;
 
 /**
- * Read the user settings from chrome.storage.local and merge with defaults.
+ * Add a timer profile, either with the default settings or as a copy of an
+ * existing profile. The new profile does not become active by itself.
  *
- * @returns {Promise<Object>} Resolved settings object
+ * @param {string} name Display name
+ * @param {string} [copyFromId] Profile to duplicate
+ * @returns {Promise<Object|null>} The new profile, or null if none was added
  */
-async function getSettings() {
-  const result = await chrome.storage.local.get(['settings']);
-  return Object.assign({}, DEFAULT_SETTINGS, result.settings || {});
+async function createProfile(name, copyFromId) {
+  const settings = await getSettings();
+  const title = String(name || '').trim().slice(0, 40);
+  if (!title || settings.profiles.length >= MAX_PROFILES) return null;
+  const source = settings.profiles.find((profile) => profile.id === copyFromId) || DEFAULT_SETTINGS;
+  const profile = Object.assign(pickProfileSettings(DEFAULT_SETTINGS), pickProfileSettings(source), {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: title
+  });
+  await saveSettings({ profiles: settings.profiles.concat(profile) });
+  return profile;
 }
 
 /**
- * Persist new settings to chrome.storage.local. Only the provided keys are
- * overwritten; others are preserved.
+ * Delete a timer profile. The last remaining profile cannot be deleted.
+ * Deleting the active profile activates the first remaining one; a phase
+ * already running keeps its duration.
  *
- * @param {Object} newSettings Partial settings object
+ * @param {string} profileId
  */
-async function saveSettings(newSettings) {
-  const result = await chrome.storage.local.get(['settings']);
-  const settings = Object.assign({}, result.settings || {}, newSettings);
-  await chrome.storage.local.set({ settings });
+async function deleteProfile(profileId) {
+  const settings = await getSettings();
+  const profiles = settings.profiles.filter((profile) => profile.id !== profileId);
+  if (!profiles.length || profiles.length === settings.profiles.length) return;
+  const activeProfileId = settings.activeProfileId === profileId ? profiles[0].id : settings.activeProfileId;
+  await saveSettings({ profiles, activeProfileId });
+  await engine.profileDeleted(profileId);
 }
 
 /**
- * Retrieve the statistics map from storage. The map keys are ISO date
- * strings (YYYY‑MM‑DD) and the values are integers representing the number
- * of completed work sessions on that date. If no stats are stored yet
- * returns an empty object.
+ * Aggregate the history between two date keys (inclusive) for the
+ * statistics dashboard. Per‑day totals cover the whole range, including
+ * compacted days; the hour‑of‑day and day‑of‑week distributions can only
+ * use detailed entries, so they cover the retention window at most.
  *
+ * @param {string} from First date key of the range (YYYY‑MM‑DD)
+ * @param {string} to Last date key of the range (YYYY‑MM‑DD)
  * @returns {Promise<Object>}
  */
-async function getStats() {
-  const result = await chrome.storage.local.get(['stats']);
-  return result.stats || {};
-}
-
-/**
- * Increment the completed work session count for the provided date. This is
- * called whenever a work phase completes. Dates are stored as simple
- * strings using the local timezone in ISO format (YYYY‑MM‑DD).
- *
- * @param {string} dateKey ISO date string
- */
-async function incrementStat(dateKey) {
-  const stats = await getStats();
-  stats[dateKey] = (stats[dateKey] || 0) + 1;
-  await chrome.storage.local.set({ stats });
-  // Update streak count when a work session completes. A streak is
-  // incremented if there was at least one pomodoro on the previous day,
-  // otherwise it resets to 1. We store the streak and last date in storage.
-  const streakData = await chrome.storage.local.get(['streak', 'lastStreakDate']);
-  const lastDate = streakData.lastStreakDate;
-  let streak = streakData.streak || 0;
-  if (lastDate) {
-    const yesterday = new Date(dateKey);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yKey = yesterday.toISOString().split('T')[0];
-    if (lastDate === yKey) {
-      streak += 1;
-    } else if (lastDate !== dateKey) {
-      // If it's not the same day and not yesterday, reset streak
-      streak = 1;
+async function computeStatsRange(from, to) {
+  const [history, settings] = await Promise.all([engine.getHistory(), getSettings()]);
+  const days = {};
+  const inRange = (key) => key >= from && key <= to;
+  const emptyDay = () => ({ completed: 0, abandoned: 0, focusMs: 0, interruptions: 0, idleMs: 0 });
+  Object.entries(history.dailyTotals).forEach(([key, total]) => {
+    if (inRange(key)) {
+      days[key] = {
+        completed: total.completed,
+        abandoned: total.abandoned,
+        focusMs: total.focusMs,
+        interruptions: total.interruptions || 0,
+        idleMs: total.idleMs || 0
+      };
     }
-  } else {
-    streak = 1;
+  });
+  // Pause reasons and the profile split only survive in detailed entries
+  const reasons = {};
+  const profiles = {};
+  // hourByWeekday[weekday][hour], weekday 0 = Sunday, local time of start
+  const hourByWeekday = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  history.entries.forEach((entry) => {
+    const key = toDateKey(entry.endTime, settings.dayStartHour);
+    if (entry.phase !== 'work' || !inRange(key)) return;
+    const day = days[key] || emptyDay();
+    day.focusMs += entry.actualDuration || 0;
+    day.idleMs += entryIdleMs(entry);
+    const profileId = entry.profileId || DEFAULT_PROFILE_ID;
+    const byProfile = profiles[profileId] || { completed: 0, abandoned: 0, focusMs: 0 };
+    byProfile.focusMs += entry.actualDuration || 0;
+    byProfile[entry.outcome === 'completed' ? 'completed' : 'abandoned'] += 1;
+    profiles[profileId] = byProfile;
+    (entry.interruptions || []).forEach((pause) => {
+      day.interruptions += 1;
+      const label = pause.reason === 'custom' && pause.note ? `custom:${pause.note}` : pause.reason;
+      reasons[label] = (reasons[label] || 0) + 1;
+    });
+    if (entry.outcome === 'completed') {
+      day.completed += 1;
+      const started = new Date(entry.startTime);
+      hourByWeekday[started.getDay()][started.getHours()] += 1;
+    } else {
+      day.abandoned += 1;
+    }
+    days[key] = day;
+  });
+  // Totals, averages and personal bests across the range
+  let dayCount = 0;
+  let completed = 0;
+  let abandoned = 0;
+  let interruptions = 0;
+  let focusMs = 0;
+  let idleMs = 0;
+  let activeDays = 0;
+  let bestDay = null;
+  let longestStreak = 0;
+  let run = 0;
+  for (let key = from; key <= to; key = addDaysToKey(key, 1)) {
+    dayCount += 1;
+    const day = days[key];
+    const count = day ? day.completed : 0;
+    completed += count;
+    abandoned += day ? day.abandoned : 0;
+    interruptions += day ? day.interruptions : 0;
+    focusMs += day ? day.focusMs : 0;
+    idleMs += day ? day.idleMs : 0;
+    if (count > 0) {
+      activeDays += 1;
+      run += 1;
+      longestStreak = Math.max(longestStreak, run);
+      if (!bestDay || count > bestDay.completed) {
+        bestDay = { date: key, completed: count };
+      }
+    } else {
+      run = 0;
+    }
+  }
+  return {
+    from,
+    to,
+    days,
+    hourOfDay: hourByWeekday.reduce((sums, hours) => sums.map((n, h) => n + hours[h]), new Array(24).fill(0)),
+    dayOfWeek: hourByWeekday.map((hours) => hours.reduce((a, b) => a + b, 0)),
+    hourByWeekday,
+    totals: { completed, abandoned, interruptions, focusMs, idleMs, activeDays, days: dayCount },
+    // Most common pause reasons first; custom reasons appear as 'custom:<note>'
+    reasons: Object.entries(reasons)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => ({ reason, count })),
+    // Work sessions per timer profile, most focus time first; deleted
+    // profiles keep their id but have no name
+    profiles: Object.entries(profiles)
+      .sort((a, b) => b[1].focusMs - a[1].focusMs)
+      .map(([profileId, totals]) => {
+        const profile = settings.profiles.find((p) => p.id === profileId);
+        return Object.assign({ profileId, name: profile ? profile.name : null }, totals);
+      }),
+    completionRate: completed + abandoned ? completed / (completed + abandoned) : null,
+    averages: {
+      perDay: dayCount ? completed / dayCount : 0,
+      perActiveDay: activeDays ? completed / activeDays : 0,
+      focusMsPerDay: dayCount ? focusMs / dayCount : 0,
+      interruptionsPerDay: dayCount ? interruptions / dayCount : 0
+    },
+    bests: { day: bestDay, longestStreak }
+  };
+}
+
+// Report notifications are checked whenever the worker starts, when the
+// 'report' alarm fires and when settings change. Only the last finished
+// week or month is ever reported, once: its start is remembered under
+// 'reportsDelivered' ({ week, month }), so a report missed while the
+// browser was closed arrives late rather than never, and older ones are
+// left to the report page.
+const REPORT_KINDS_BY_SCHEDULE = {
+  weekly: ['week'],
+  monthly: ['month'],
+  both: ['week', 'month'],
+  off: []
+};
+const REPORT_NOTIFICATION_PREFIX = 'report:';
+// Checks are chained so two wake‑ups cannot both deliver the same report
+let reportSync = Promise.resolve();
+
+/**
+ * Build the reports for the current and past weeks or months.
+ *
+ * @param {string} kind 'week' or 'month'
+ * @param {number} count Number of periods, the current one included
+ * @returns {Promise<Object[]>} Reports (see buildReport()), newest first
+ */
+async function getReports(kind, count) {
+  const [history, settings, { tasks }] = await Promise.all([engine.getHistory(), getSettings(), getTasks()]);
+  const now = Date.now();
+  const today = toDateKey(now, settings.dayStartHour);
+  const reports = [];
+  for (let offset = 0; offset > -count; offset--) {
+    reports.push(buildReport(history, tasks, settings, reportPeriod(kind, today, offset), now));
   }
-  await chrome.storage.local.set({ streak, lastStreakDate: dateKey });
+  return reports;
+}
+
+/**
+ * Deliver any report that is due and set the 'report' alarm for the next
+ * one.
+ *
+ * @returns {Promise<void>}
+ */
+function syncReports() {
+  reportSync = reportSync.then(deliverDueReports).catch((err) => {
+    console.error('Unable to deliver reports', err);
+  });
+  return reportSync;
 }
 
 /**
- * Clear all stored statistics. Useful for resetting weekly/daily counts.
+ * Notify the user of reports that are due and not yet delivered. Only
+ * called through syncReports().
  */
-async function clearStats() {
-  await chrome.storage.local.remove('stats');
-  await chrome.storage.local.remove('streak');
-  await chrome.storage.local.remove('lastStreakDate');
+async function deliverDueReports() {
+  const settings = await getSettings();
+  const now = Date.now();
+  const today = toDateKey(now, settings.dayStartHour);
+  const { reportsDelivered = {} } = await chrome.storage.local.get(['reportsDelivered']);
+  // A report due in quiet hours waits for them to end
+  const quietUntil = quietHoursEndAt(settings, now);
+  let next = Infinity;
+  for (const kind of REPORT_KINDS_BY_SCHEDULE[settings.reportSchedule]) {
+    for (const period of [reportPeriod(kind, today, -1), reportPeriod(kind, today, 0)]) {
+      if (reportsDelivered[kind] === period.from) continue;
+      const due = reportDueAt(period, settings.reportTime, settings.dayStartHour);
+      if (due > now || quietUntil !== null) {
+        next = Math.min(next, Math.max(due, quietUntil || 0));
+        continue;
+      }
+      reportsDelivered[kind] = period.from;
+      await chrome.storage.local.set({ reportsDelivered });
+      const [history, { tasks }] = await Promise.all([engine.getHistory(), getTasks()]);
+      await notifyReport(buildReport(history, tasks, settings, period, now));
+    }
+  }
+  await chrome.alarms.clear('report');
+  if (next < Infinity) chrome.alarms.create('report', { when: next });
 }
 
 /**
- * Compute the number of completed pomodoros today and in the last 7 days.
+ * Show a finished report as a notification that opens it on the report
+ * page. A week or month without any focus time is not worth a
+ * notification.
  *
- * @returns {Promise<{today: number, week: number}>}
+ * @param {Object} report From buildReport()
  */
-async function computeStatsSummary() {
-  const stats = await getStats();
-  const today = new Date();
-  const isoToday = today.toISOString().split('T')[0];
-  let todayCount = stats[isoToday] || 0;
-  // Compute past 7 days including today
-  let weekCount = 0;
-  for (let i = 0; i < 7; i++) {
-    const d = new Date();
-    d.setDate(today.getDate() - i);
-    const key = d.toISOString().split('T')[0];
-    weekCount += stats[key] || 0;
+async function notifyReport(report) {
+  if (!report.pomodoros && !report.focusMs) return;
+  const lines = [
+    tPlural('reportPomodorosLine', report.pomodoros, [formatHours(report.focusMs)]),
+    t(report.kind === 'week' ? 'reportPreviousWeekLine' : 'reportPreviousMonthLine',
+      formatNumber(report.previous.pomodoros))
+  ];
+  if (report.bestDay) {
+    lines.push(t('reportBestDayLine', [
+      formatDay(report.bestDay.date, { weekday: 'long', day: 'numeric', month: 'long' }),
+      formatNumber(report.bestDay.completed)
+    ]));
   }
-  // Load the current streak from storage
-  const streakData = await chrome.storage.local.get(['streak']);
-  const streak = streakData.streak || 0;
-  return { today: todayCount, week: weekCount, streak };
+  chrome.notifications.create(`${REPORT_NOTIFICATION_PREFIX}${report.kind}:${report.from}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: t(report.kind === 'week' ? 'reportWeekNotificationTitle' : 'reportMonthNotificationTitle'),
+    message: lines.join('\n'),
+    priority: 0
+  });
 }
 
+// Working hours. When a stretch of working hours begins (see schedule.js),
+// PomoPal offers to start a cycle with a notification ('prompt') or starts
+// one itself ('autoStart'), unless the timer is already going. When it
+// ends, the phase in progress runs to its end and the timer stops. The
+// start of the stretch last acted on is kept under 'workingHoursStart', so
+// a restart within working hours does not act twice and working hours
+// that ended while the browser was closed still stop the timer. The
+// WORKING_HOURS_ALARM wakes the worker for the next change; like the
+// report alarm it has its own name, so the timer's alarms never clear it.
+const WORKING_HOURS_ALARM = 'workingHours';
+const WORKING_HOURS_NOTIFICATION_ID = 'workingHours';
+// Checks are chained so two wake‑ups cannot both start a cycle
+let workingHoursSync = Promise.resolve();
+
 /**
- * Update the browser action badge to reflect the current timer status. We
- * display the number of minutes remaining (rounded up) while running or
- * paused and show a check mark when a phase completes. When idle the
- * badge is cleared. Badge text is limited to 4 characters.
+ * Act on working hours that began or ended and set the alarm for the next
+ * change.
+ *
+ * @returns {Promise<void>}
  */
-function updateBadge() {
-  if (state.phase === 'idle') {
-    chrome.action.setBadgeText({ text: '' });
-    return;
+function syncWorkingHours() {
+  workingHoursSync = workingHoursSync.then(followWorkingHours).catch((err) => {
+    console.error('Unable to follow working hours', err);
+  });
+  return workingHoursSync;
+}
+
+/**
+ * Start or stop the timer for the working hours. Only called through
+ * syncWorkingHours().
+ */
+async function followWorkingHours() {
+  const settings = await getSettings();
+  const now = Date.now();
+  const enabled = settings.workingHoursMode !== 'off';
+  const current = enabled ? currentWorkingHours(settings.workingHours, now) : null;
+  const { workingHoursStart = null } = await chrome.storage.local.get(['workingHoursStart']);
+  if (current && current.start !== workingHoursStart) {
+    await chrome.storage.local.set({ workingHoursStart: current.start });
+    await beginWorkingHours(settings);
+  } else if (!current && workingHoursStart !== null) {
+    await chrome.storage.local.set({ workingHoursStart: null });
+    chrome.notifications.clear(WORKING_HOURS_NOTIFICATION_ID);
+    // Turning working hours off leaves a running timer alone
+    if (enabled) await engine.stopAfterPhase();
   }
-  if (!state.running && state.remainingTime == null) {
-    // just completed a phase; show check mark briefly
-    chrome.action.setBadgeText({ text: '✓' });
-    chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+  await chrome.alarms.clear(WORKING_HOURS_ALARM);
+  const next = enabled ? nextWorkingHoursChange(settings.workingHours, now) : null;
+  if (next !== null) chrome.alarms.create(WORKING_HOURS_ALARM, { when: next });
+}
+
+/**
+ * Start a cycle, or offer to, as working hours begin. A timer that is
+ * running or paused is left alone.
+ *
+ * @param {Object} settings Current settings
+ */
+async function beginWorkingHours(settings) {
+  const { state } = engine;
+  if (state.phase !== 'idle' && !state.awaitingStart) return;
+  if (settings.workingHoursMode === 'autoStart') {
+    await engine.startNextPhase();
     return;
   }
-  // Compute remaining minutes based on either endTime or remainingTime
-  let msLeft;
-  if (state.running) {
-    msLeft = Math.max(state.endTime - Date.now(), 0);
-  } else {
-    msLeft = state.remainingTime;
+  await showNotification(t('workingHoursTitle'), t('workingHoursPrompt'),
+    [state.awaitingStart ? 'start' : 'startCycle'], true, { id: WORKING_HOURS_NOTIFICATION_ID, quote: false });
+}
+
+// Tasks are stored as an array under 'tasks' with the shape:
+//   { id, title, estimate, completedPomodoros, done, createdAt, completedAt }
+// The id of the task that completed work sessions are credited to is kept
+// separately under 'activeTaskId'.
+
+/**
+ * Load the task list and the active task id.
+ *
+ * @returns {Promise<{tasks: Object[], activeTaskId: (string|null)}>}
+ */
+async function getTasks() {
+  const result = await chrome.storage.local.get(['tasks', 'activeTaskId']);
+  return { tasks: result.tasks || [], activeTaskId: result.activeTaskId || null };
+}
+
+/**
+ * Add a new task to the end of the list.
+ *
+ * @param {string} title Task description
+ * @param {number} estimate Estimated number of pomodoros
+ * @returns {Promise<Object|null>} The created task, or null if the title is empty
+ */
+async function addTask(title, estimate) {
+  const trimmed = String(title || '').trim();
+  if (!trimmed) return null;
+  const { tasks } = await getTasks();
+  const task = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    title: trimmed,
+    estimate: Math.max(parseInt(estimate, 10) || 1, 1),
+    completedPomodoros: 0,
+    done: false,
+    createdAt: Date.now(),
+    completedAt: null
+  };
+  tasks.push(task);
+  await chrome.storage.local.set({ tasks });
+  return task;
+}
+
+/**
+ * Mark a task as the one that receives credit for completed work sessions.
+ * Passing null clears the active task. Finished tasks cannot be activated.
+ *
+ * @param {string|null} taskId
+ */
+async function setActiveTask(taskId) {
+  const { tasks } = await getTasks();
+  const task = tasks.find((t) => t.id === taskId);
+  const activeTaskId = task && !task.done ? task.id : null;
+  await chrome.storage.local.set({ activeTaskId });
+}
+
+/**
+ * Check a task off. If it was the active task, no task is active afterwards.
+ *
+ * @param {string} taskId
+ */
+async function completeTask(taskId) {
+  const { tasks, activeTaskId } = await getTasks();
+  const task = tasks.find((t) => t.id === taskId);
+  if (!task) return;
+  task.done = true;
+  task.completedAt = Date.now();
+  await chrome.storage.local.set({
+    tasks,
+    activeTaskId: activeTaskId === taskId ? null : activeTaskId
+  });
+}
+
+/**
+ * Remove a task from the list entirely.
+ *
+ * @param {string} taskId
+ */
+async function deleteTask(taskId) {
+  const { tasks, activeTaskId } = await getTasks();
+  await chrome.storage.local.set({
+    tasks: tasks.filter((t) => t.id !== taskId),
+    activeTaskId: activeTaskId === taskId ? null : activeTaskId
+  });
+}
+
+/**
+ * Credit one completed pomodoro to the active task, if any.
+ *
+ * @returns {Promise<string|null>} Id of the credited task
+ */
+async function creditActiveTask() {
+  const { tasks, activeTaskId } = await getTasks();
+  const task = tasks.find((t) => t.id === activeTaskId);
+  if (!task) return null;
+  task.completedPomodoros += 1;
+  await chrome.storage.local.set({ tasks });
+  return task.id;
+}
+
+// Reflections. With reflectionPrompt on, every completed work session is
+// followed by an offer to note what got done and rate the focus (see
+// reflections.js). The session waiting for its reflection is remembered
+// under 'pendingReflection' by id until it is reflected on or skipped, or
+// the next work session begins. The popup and the journal page, which the
+// phase notification opens, both show the offer.
+const JOURNAL_PAGE = 'journal.html';
+
+/**
+ * Offer to reflect on the work session that just completed.
+ *
+ * @param {Object} settings Current settings
+ */
+async function askForReflection(settings) {
+  const { entries } = await engine.getHistory();
+  const session = entries[entries.length - 1];
+  const wanted = settings.reflectionPrompt && session && session.phase === 'work' && session.outcome === 'completed';
+  await chrome.storage.local.set({ pendingReflection: wanted ? session.id : null });
+}
+
+/**
+ * The work session waiting for a reflection, if it is still in the history
+ * without one.
+ *
+ * @returns {Promise<Object|null>} { id, startTime, endTime, actualDuration,
+ *   taskTitle }
+ */
+async function getPendingReflection() {
+  const [{ pendingReflection }, history, { tasks }] = await Promise.all([
+    chrome.storage.local.get(['pendingReflection']),
+    engine.getHistory(),
+    getTasks()
+  ]);
+  if (!pendingReflection) return null;
+  const session = history.entries.find((entry) => entry.id === pendingReflection && entry.phase === 'work');
+  if (!session || session.reflection) return null;
+  const task = tasks.find((candidate) => candidate.id === session.taskId);
+  return {
+    id: session.id,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    actualDuration: session.actualDuration,
+    taskTitle: task ? task.title : null
+  };
+}
+
+/**
+ * Store a reflection on a work session. An empty one changes nothing.
+ *
+ * @param {string} sessionId History entry id
+ * @param {{note: string, focus: number}} input What the user entered
+ * @returns {Promise<{success: boolean}>}
+ */
+async function saveReflection(sessionId, input) {
+  const id = String(sessionId);
+  const reflection = createReflection(input, Date.now());
+  if (!reflection || !(await engine.reflectOnSession(id, reflection))) return { success: false };
+  await finishReflection(id);
+  return { success: true };
+}
+
+/**
+ * Stop offering a reflection on a session, because it has one now or the
+ * user skipped it.
+ *
+ * @param {string} sessionId History entry id
+ */
+async function finishReflection(sessionId) {
+  const { pendingReflection } = await chrome.storage.local.get(['pendingReflection']);
+  if (pendingReflection !== sessionId) return;
+  await chrome.storage.local.set({ pendingReflection: null });
+  chrome.notifications.clear('phaseEnd');
+}
+
+/**
+ * Every reflection for the journal page, newest first.
+ *
+ * @returns {Promise<{entries: Object[]}>}
+ */
+async function getJournal() {
+  const [history, { tasks }] = await Promise.all([engine.getHistory(), getTasks()]);
+  return { entries: journalEntries(history, tasks) };
+}
+
+/**
+ * Open the journal at the reflection waiting to be written.
+ */
+async function openReflection() {
+  const { pendingReflection } = await chrome.storage.local.get(['pendingReflection']);
+  const query = pendingReflection ? `?reflect=${encodeURIComponent(pendingReflection)}` : '';
+  await chrome.tabs.create({ url: chrome.runtime.getURL(`${JOURNAL_PAGE}${query}`) });
+}
+
+// The format of backup bundles is described in backup.js, which also
+// checks imported bundles and plans how they change the stored data
+const { validateBackup, planImport } = createImporter({ translate: t, translatePlural: tPlural, importedSettings });
+
+/**
+ * Return the random id identifying this installation in backups, creating
+ * it on first use.
+ *
+ * @returns {Promise<string>}
+ */
+async function getInstallId() {
+  const result = await chrome.storage.local.get(['installId']);
+  if (result.installId) return result.installId;
+  const installId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+  await chrome.storage.local.set({ installId });
+  return installId;
+}
+
+/**
+ * Collect everything PomoPal stores into a backup bundle.
+ *
+ * @returns {Promise<Object>}
+ */
+async function buildBackup() {
+  const [settings, history, taskData, sourceId] = await Promise.all([
+    getSettings(),
+    engine.getHistory(),
+    getTasks(),
+    getInstallId()
+  ]);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: Date.now(),
+    sourceId,
+    data: {
+      settings,
+      history: history.entries,
+      dailyTotals: history.dailyTotals,
+      journal: history.journal,
+      tasks: taskData.tasks,
+      activeTaskId: taskData.activeTaskId
+    }
+  };
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC date‑time (YYYYMMDDTHHMMSSZ).
+ *
+ * @param {number} ms Epoch milliseconds
+ * @returns {string}
+ */
+function icsDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for an iCalendar property value.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function icsText(text) {
+  return String(text).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Describe a reflection for a calendar event.
+ *
+ * @param {Object} reflection { note, focus }
+ * @returns {string}
+ */
+function reflectionText(reflection) {
+  const rating = reflection.focus === null
+    ? null
+    : t('focusRatingValue', [formatNumber(reflection.focus), formatNumber(FOCUS_RATING_MAX)]);
+  return [reflection.note, rating].filter(Boolean).join('\n');
+}
+
+/**
+ * Render past work sessions as an iCalendar file so they can be overlaid
+ * on a calendar, with their reflections as the description. Only detailed
+ * sessions and reflected ones have times, so compacted days are not
+ * included.
+ *
+ * @param {Object} bundle Backup bundle from buildBackup()
+ * @returns {string}
+ */
+function backupToIcs(bundle) {
+  const { history, journal, tasks } = bundle.data;
+  const taskTitles = {};
+  tasks.forEach((task) => { taskTitles[task.id] = task.title; });
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//PomoPal//Pomodoro history//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+  // Compacted sessions only survive through their reflections
+  const sessions = journal.map((record) => Object.assign({ phase: 'work' }, record))
+    .concat(history.filter((entry) => entry.phase === 'work'));
+  sessions.forEach((entry) => {
+    const task = taskTitles[entry.taskId];
+    const summary = t(entry.outcome === 'completed' ? 'icsSummary' : 'icsSummaryAbandoned');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry.id}-${entry.phase}@pomopal`,
+      `DTSTAMP:${icsDate(bundle.exportedAt)}`,
+      `DTSTART:${icsDate(entry.startTime)}`,
+      `DTEND:${icsDate(entry.endTime)}`,
+      `SUMMARY:${icsText(task ? t('icsSummaryTask', [summary, task]) : summary)}`
+    );
+    if (entry.reflection) lines.push(`DESCRIPTION:${icsText(reflectionText(entry.reflection))}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  // Fold lines longer than 75 characters as required by RFC 5545
+  return lines.map((line) => line.match(/.{1,74}/g).join('\r\n ')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Produce an export file in the requested format.
+ *
+ * @param {string} format 'json', 'csv' or 'ics'
+ * @returns {Promise<{filename: string, mimeType: string, content: string}|{error: string}>}
+ */
+async function exportData(format) {
+  const bundle = await buildBackup();
+  const stamp = toDateKey(bundle.exportedAt, bundle.data.settings.dayStartHour);
+  switch (format) {
+    case 'json':
+      return {
+        filename: `pomopal-backup-${stamp}.json`,
+        mimeType: 'application/json',
+        content: JSON.stringify(bundle, null, 2)
+      };
+    case 'csv':
+      return { filename: `pomopal-history-${stamp}.csv`, mimeType: 'text/csv', content: backupToCsv(bundle) };
+    case 'ics':
+      return { filename: `pomopal-sessions-${stamp}.ics`, mimeType: 'text/calendar', content: backupToIcs(bundle) };
+    default:
+      return { error: t('exportUnknownFormat', format) };
   }
-  const minutes = Math.ceil(msLeft / 60000);
-  chrome.action.setBadgeText({ text: String(minutes) });
-  // Change colour based on phase
-  const color = state.phase === 'work' ? '#E53935' : '#43A047';
-  chrome.action.setBadgeBackgroundColor({ color });
 }
 
 /**
- * Send a status update to all connected views (e.g. popup) so that they
- * refresh their UI when the internal state changes. Listeners can act on
- * the `type` property to filter messages.
+ * Gather the stored data an import is merged with, in the shape
+ * planImport() takes it.
+ *
+ * @returns {Promise<Object>}
  */
-function broadcastStatus() {
-  chrome.runtime.sendMessage({ type: 'statusUpdate', state });
+async function storedData() {
+  const [settings, history, taskData, installId, stored] = await Promise.all([
+    getSettings(),
+    engine.getHistory(),
+    getTasks(),
+    getInstallId(),
+    chrome.storage.local.get(['mergedSources'])
+  ]);
+  return {
+    settings,
+    history,
+    tasks: taskData.tasks,
+    activeTaskId: taskData.activeTaskId,
+    installId,
+    mergedSources: stored.mergedSources || {}
+  };
 }
 
 /**
- * Schedule the alarms necessary for the current phase. The end alarm will
- * fire when the phase completes and the badge alarm will fire every
- * minute to refresh the badge text. Any existing alarms are cleared
- * beforehand.
+ * Summarise how an import would change the stored data.
+ *
+ * @param {Object} bundle Parsed backup bundle
+ * @param {string} mode 'merge' or 'replace'
+ * @returns {Promise<{errors: string[]}|{preview: Object}>}
+ */
+async function previewImport(bundle, mode) {
+  const errors = validateBackup(bundle);
+  if (errors.length) return { errors };
+  const current = await storedData();
+  const next = planImport(bundle, mode, current);
+  const countCompleted = (entries, totals) =>
+    entries.filter((e) => e.phase === 'work' && e.outcome === 'completed').length +
+    Object.values(totals).reduce((sum, total) => sum + total.completed, 0);
+  return {
+    preview: {
+      mode,
+      exportedAt: bundle.exportedAt,
+      sessions: { before: current.history.entries.length, after: next.history.length },
+      pomodoros: {
+        before: countCompleted(current.history.entries, current.history.dailyTotals),
+        after: countCompleted(next.history, next.dailyTotals)
+      },
+      tasks: { before: current.tasks.length, after: next.tasks.length },
+      settingsChanged: Object.keys(next.settings).filter(
+        (key) => JSON.stringify(next.settings[key]) !== JSON.stringify(current.settings[key])
+      )
+    }
+  };
+}
+
+/**
+ * Import a backup bundle, either merging it with or replacing the current
+ * data. The bundle is validated again so callers cannot skip the preview.
+ *
+ * @param {Object} bundle Parsed backup bundle
+ * @param {string} mode 'merge' or 'replace'
+ * @returns {Promise<{success: boolean, errors?: string[]}>}
+ */
+async function importData(bundle, mode) {
+  const errors = validateBackup(bundle);
+  if (errors.length) return { success: false, errors };
+  const next = planImport(bundle, mode, await storedData());
+  const history = compactHistory(
+    { entries: next.history, dailyTotals: next.dailyTotals, journal: next.journal },
+    next.settings.dayStartHour,
+    Date.now()
+  );
+  await chrome.storage.local.set({
+    settings: next.settings,
+    history: history.entries,
+    dailyTotals: history.dailyTotals,
+    journal: history.journal,
+    tasks: next.tasks,
+    activeTaskId: next.activeTaskId,
+    mergedSources: next.mergedSources,
+    historyVersion: HISTORY_VERSION
+  });
+  // Replay the goal streak against the imported history
+  await chrome.storage.local.remove('goalStreak');
+  return { success: true };
+}
+
+// The distraction blocker lives in blocker.js. The worker hands it
+// chrome.declarativeNetRequest, the optional host permission and an alarm
+// for the end of the earliest bypass.
+const { syncBlocker, bypassBlock, getBlockerLog } = createBlocker({
+  clock: { now: () => Date.now() },
+  storage: chrome.storage.local,
+  rules: chrome.declarativeNetRequest,
+  hasHostAccess: () => chrome.permissions.contains({ origins: BLOCKER_HOST_ORIGINS }),
+  scheduler: {
+    set: (name, when) => chrome.alarms.create(name, { when }),
+    clear: (name) => chrome.alarms.clear(name)
+  },
+  getSettings,
+  getState: async () => engine.state,
+  blockedPageUrl: chrome.runtime.getURL('blocked.html'),
+  translate: t
+});
+
+// ---------------------------------------------------------------------------
+// Sounds
+//
+// Service workers cannot play audio, so sounds are played by an offscreen
+// document (offscreen.html) which the worker creates on demand and drives
+// with messages carrying `target: 'offscreen'`. Chrome closes the document
+// again once it has been silent for a while.
+
+const OFFSCREEN_URL = 'offscreen.html';
+
+// Creation in progress, shared so concurrent callers do not race to create
+// a second document (which Chrome rejects)
+let offscreenCreating = null;
+
+/**
+ * Whether the offscreen audio document currently exists.
+ *
+ * @returns {Promise<boolean>}
  */
-function scheduleAlarms() {
-  chrome.alarms.clearAll(() => {
-    if (!state.running) return;
-    // One‑shot alarm for the end of the current phase
-    chrome.alarms.create('timerEnd', { when: state.endTime });
-    // Repeating alarm every minute to update the badge
-    chrome.alarms.create('updateBadge', { when: Date.now() + 1000, periodInMinutes: 1 });
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
   });
+  return contexts.length > 0;
 }
 
 /**
- * Begin a new phase based on the current state and user settings. When
- * initiating a work phase we use the configured workDuration. When
- * starting a break phase we increment the cycle count and decide between
- * short and long breaks based on the longBreakInterval setting.
+ * Create the offscreen audio document unless it already exists.
  */
-async function startNextPhase() {
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['AUDIO_PLAYBACK'],
+      justification: 'Play timer chimes and the optional ticking sound'
+    }).finally(() => {
+      offscreenCreating = null;
+    });
+  }
+  await offscreenCreating;
+}
+
+/**
+ * Send a message to the offscreen audio document, creating it first.
+ *
+ * @param {Object} message Message with a `type` property
+ */
+async function sendToOffscreen(message) {
+  try {
+    await ensureOffscreenDocument();
+    await chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+  } catch (e) {
+    // Sound is a nicety; never let it break a phase transition
+  }
+}
+
+/**
+ * Play a sound through the offscreen document.
+ *
+ * @param {string} soundId Chime id, 'custom:<id>' or 'none'
+ * @param {number} volume Volume in percent
+ */
+async function playSound(soundId, volume) {
+  if (!soundId || soundId === 'none' || volume <= 0) return;
+  await sendToOffscreen({ type: 'play', sound: soundId, volume: Math.min(volume, 100) / 100 });
+}
+
+/**
+ * Play the sound chosen for the end of a phase.
+ *
+ * @param {string} finishedPhase Phase that just ended
+ * @param {Object} settings Current settings
+ */
+async function playPhaseEndSound(finishedPhase, settings) {
+  const soundId = finishedPhase === 'work' ? settings.workEndSound : settings.breakEndSound;
+  await playSound(soundId, settings.soundVolume);
+}
+
+/**
+ * Start or stop the ticking sound to match the timer: it ticks only while a
+ * work phase is running and ticking is enabled. The offscreen document is
+ * not created just to be told to stay quiet.
+ */
+async function syncTicking() {
+  const { state } = engine;
   const settings = await getSettings();
-  let durationMinutes;
-  if (state.phase === 'idle' || state.phase === 'short_break' || state.phase === 'long_break') {
-    // Start a work session
-    state.phase = 'work';
-    durationMinutes = settings.workDuration;
-  } else if (state.phase === 'work') {
-    // Work just finished; update stats and decide which break to take next
-    state.cycleCount = (state.cycleCount || 0) + 1;
-    if (state.cycleCount % settings.longBreakInterval === 0) {
-      state.phase = 'long_break';
-      durationMinutes = settings.longBreakDuration;
+  if (state.running && state.phase === 'work' && settings.tickingEnabled && settings.tickingVolume > 0) {
+    await sendToOffscreen({ type: 'startTicking', volume: Math.min(settings.tickingVolume, 100) / 100 });
+  } else if (await hasOffscreenDocument()) {
+    chrome.runtime.sendMessage({ target: 'offscreen', type: 'stopTicking' }).catch(() => {});
+  }
+}
+
+// Toolbar colours per phase. A paused phase is drawn in grey whatever its
+// type, so it reads differently from a running one at a glance.
+const PHASE_COLORS = { work: '#E53935', short_break: '#43A047', long_break: '#43A047' };
+const PAUSED_COLOR = '#757575';
+const COMPLETED_COLOR = '#4CAF50';
+// The packaged icon, shown again while the timer is idle
+const DEFAULT_ICON_PATHS = { 16: 'icons/icon16.png', 32: 'icons/icon32.png' };
+// How long the badge shows a check mark after a phase ends
+const CHECK_MARK_MS = 5000;
+
+// When the last phase ended, for the check mark. Kept in memory only: it is
+// a brief acknowledgement, not state worth restoring after a restart.
+let phaseCompletedAt = 0;
+// Badge style from the settings. The badge is refreshed every second in the
+// final minute, so it is not read from storage each time.
+let badgeStyle = DEFAULT_SETTINGS.badgeStyle;
+// Pending refresh while the worker is awake (see scheduleBadgeRefresh)
+let badgeRefreshTimeout = null;
+// What the toolbar icon shows now, so unchanged frames are not redrawn
+let toolbarIconKey = null;
+
+/**
+ * What the toolbar should show for the current state.
+ *
+ * @returns {string} 'idle', 'completed', 'awaiting', 'paused' or 'running'
+ */
+function toolbarLook() {
+  const { state } = engine;
+  if (state.phase === 'idle') return 'idle';
+  if (phaseCompletedAt && Date.now() - phaseCompletedAt < CHECK_MARK_MS) return 'completed';
+  if (state.awaitingStart) return 'awaiting';
+  return state.running ? 'running' : 'paused';
+}
+
+/**
+ * Colour of the toolbar icon and badge for a look.
+ *
+ * @param {string} look As returned by toolbarLook()
+ * @returns {string}
+ */
+function toolbarColor(look) {
+  const { state } = engine;
+  if (look === 'completed') return COMPLETED_COLOR;
+  if (look === 'paused') return PAUSED_COLOR;
+  return PHASE_COLORS[state.phase] || PAUSED_COLOR;
+}
+
+/**
+ * Time left in the current phase.
+ *
+ * @returns {number} ms
+ */
+function msLeftInPhase() {
+  const { state } = engine;
+  if (state.running) return Math.max(state.endTime - Date.now(), 0);
+  return state.remainingTime != null ? state.remainingTime : state.plannedDuration || 0;
+}
+
+/**
+ * Badge text for a look. With the 'countdown' style the last minute is
+ * counted in seconds; 'minutes' always shows whole minutes, rounded up.
+ *
+ * @param {string} look As returned by toolbarLook()
+ * @param {number} msLeft Time left in the phase
+ * @returns {string} At most 4 characters
+ */
+function badgeText(look, msLeft) {
+  if (badgeStyle === 'off' || look === 'idle') return '';
+  if (look === 'completed') return '✓';
+  if (look === 'awaiting') return '▶';
+  const seconds = Math.ceil(msLeft / 1000);
+  if (badgeStyle === 'countdown' && seconds < 60) return `${seconds}s`;
+  return String(Math.ceil(msLeft / 60000));
+}
+
+/**
+ * Tooltip of the toolbar button, so the state drawn on the icon can also
+ * be read by assistive technology.
+ *
+ * @param {number} msLeft Time left in the phase
+ * @returns {string}
+ */
+function toolbarTitle(msLeft) {
+  const { state } = engine;
+  if (state.phase === 'idle') return t('extShortName');
+  if (state.awaitingStart) return t('readyToStart', state.phaseLabel);
+  return t(state.running ? 'toolbarTitleRunning' : 'toolbarTitlePaused', [state.phaseLabel, formatTimeLeft(msLeft)]);
+}
+
+/**
+ * Draw one size of the toolbar icon: a ring that fills clockwise from the
+ * top as the phase elapses, in the phase's colour. A running phase has a dot
+ * in the middle, a paused one is grey with pause bars and a phase waiting to
+ * be started has a dashed ring around a play symbol.
+ *
+ * @param {number} size Icon size in pixels
+ * @param {string} look As returned by toolbarLook()
+ * @param {number} progress Elapsed part of the phase, 0‑1
+ * @returns {ImageData}
+ */
+function drawToolbarIcon(size, look, progress) {
+  const canvas = new OffscreenCanvas(size, size);
+  const ctx = canvas.getContext('2d');
+  const color = toolbarColor(look);
+  const center = size / 2;
+  const lineWidth = size / 7;
+  const radius = center - lineWidth / 2;
+  const top = -Math.PI / 2;
+  ctx.lineWidth = lineWidth;
+  ctx.strokeStyle = 'rgba(128, 128, 128, 0.35)';
+  ctx.beginPath();
+  ctx.arc(center, center, radius, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  if (look === 'awaiting') {
+    ctx.setLineDash([size / 6, size / 10]);
+    progress = 1;
+  }
+  if (look === 'completed') progress = 1;
+  if (progress > 0) {
+    ctx.beginPath();
+    ctx.arc(center, center, radius, top, top + 2 * Math.PI * progress);
+    ctx.stroke();
+  }
+  const inner = radius - lineWidth;
+  if (look === 'paused') {
+    const barWidth = inner * 0.45;
+    ctx.fillRect(center - inner * 0.6, center - inner * 0.6, barWidth, inner * 1.2);
+    ctx.fillRect(center + inner * 0.6 - barWidth, center - inner * 0.6, barWidth, inner * 1.2);
+  } else if (look === 'awaiting') {
+    ctx.beginPath();
+    ctx.moveTo(center - inner * 0.45, center - inner * 0.7);
+    ctx.lineTo(center + inner * 0.75, center);
+    ctx.lineTo(center - inner * 0.45, center + inner * 0.7);
+    ctx.closePath();
+    ctx.fill();
+  } else {
+    ctx.beginPath();
+    ctx.arc(center, center, inner * 0.5, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+  return ctx.getImageData(0, 0, size, size);
+}
+
+/**
+ * Show the current phase on the toolbar button. The icon becomes a
+ * progress ring (see drawToolbarIcon) and returns to the packaged icon when
+ * idle. The badge follows the badgeStyle setting: minutes remaining
+ * (rounded up), switching to seconds in the final minute with the
+ * 'countdown' style, a play symbol while the next phase awaits its start
+ * and a check mark for a few seconds after a phase ends. The icon is only
+ * redrawn when its picture changes.
+ */
+function updateBadge() {
+  const { state } = engine;
+  const look = toolbarLook();
+  const msLeft = msLeftInPhase();
+  const duration = state.plannedDuration || 1;
+  const progress = Math.min(Math.max((duration - msLeft) / duration, 0), 1);
+  const iconKey = look === 'idle' ? look : `${look}:${state.phase}:${Math.round(progress * 48)}`;
+  if (iconKey !== toolbarIconKey) {
+    toolbarIconKey = iconKey;
+    if (look === 'idle') {
+      chrome.action.setIcon({ path: DEFAULT_ICON_PATHS });
     } else {
-      state.phase = 'short_break';
-      durationMinutes = settings.shortBreakDuration;
+      chrome.action.setIcon({
+        imageData: { 16: drawToolbarIcon(16, look, progress), 32: drawToolbarIcon(32, look, progress) }
+      });
     }
-  } else {
-    // Unexpected state; reset to idle
-    resetTimer();
-    return;
   }
-  // Start the timer
-  state.running = true;
-  state.startTime = Date.now();
-  state.endTime = state.startTime + durationMinutes * 60 * 1000;
-  state.remainingTime = null;
-  scheduleAlarms();
-  updateBadge();
-  broadcastStatus();
+  chrome.action.setBadgeText({ text: badgeText(look, msLeft) });
+  chrome.action.setBadgeBackgroundColor({ color: toolbarColor(look) });
+  chrome.action.setTitle({ title: toolbarTitle(msLeft) });
+  scheduleBadgeRefresh(look, msLeft);
 }
 
 /**
- * Pause the current timer. The end and update alarms are cleared and the
- * remaining time is captured so that the timer can be resumed later. If
- * the timer is already paused or idle this has no effect.
+ * Refresh the toolbar again when what it shows next changes: when the
+ * minute count drops, every second of the final minute with the
+ * 'countdown' style, and when the check mark should disappear. This uses a
+ * timeout, which only fires while the worker happens to be awake; it does
+ * not keep the worker alive. The 'updateBadge' alarm (see
+ * scheduleBadgeAlarm) wakes the worker at minute boundaries, and the calls
+ * made every second in the final minute keep it awake until the phase
+ * ends.
+ *
+ * @param {string} look As returned by toolbarLook()
+ * @param {number} msLeft Time left in the phase
  */
-function pauseTimer() {
-  if (!state.running) return;
+function scheduleBadgeRefresh(look, msLeft) {
+  const { state } = engine;
+  clearTimeout(badgeRefreshTimeout);
+  badgeRefreshTimeout = null;
+  const delays = [];
+  if (state.running && msLeft > 0) {
+    const countingSeconds = badgeStyle === 'countdown' && msLeft <= 60000;
+    delays.push(countingSeconds ? ((msLeft - 1) % 1000) + 1 : ((msLeft - 1) % 60000) + 1);
+  }
+  if (look === 'completed') {
+    delays.push(phaseCompletedAt + CHECK_MARK_MS - Date.now());
+  }
+  if (delays.length) {
+    // A little late rather than early, so the next value has changed
+    badgeRefreshTimeout = setTimeout(updateBadge, Math.max(Math.min(...delays), 0) + 20);
+  }
+}
+
+// Open pages following the timer (popup, focus view, blocked page), each
+// connected through a status port
+const statusPorts = new Set();
+// Event ports of allowed companion extensions
+const apiPorts = new Set();
+
+/**
+ * Post a message to a port that may have closed in the meantime.
+ *
+ * @param {chrome.runtime.Port} port
+ * @param {Object} message
+ */
+function postToPort(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (err) {
+    // Closed; its onDisconnect listener forgets it
+  }
+}
+
+/**
+ * Send the timer state to every page connected through a status port (see
+ * status_port.js) so it can refresh its UI.
+ */
+function broadcastStatus() {
+  const { state } = engine;
+  statusPorts.forEach((port) => postToPort(port, { type: 'statusUpdate', state }));
+}
+
+/**
+ * Send a public API event to every subscribed companion extension.
+ *
+ * @param {string} name Event name (see API.md)
+ * @param {Object} [details] Extra fields for the event
+ */
+function publishApiEvent(name, details) {
+  if (!apiPorts.size) return;
   const now = Date.now();
-  state.running = false;
-  state.remainingTime = Math.max(state.endTime - now, 0);
-  chrome.alarms.clearAll();
+  const event = apiEvent(name, apiStatus(engine.state, now), now, details);
+  apiPorts.forEach((port) => postToPort(port, event));
+}
+
+/**
+ * Close the event ports of companion extensions that are no longer on the
+ * allowlist.
+ *
+ * @param {string[]} allowlist Extension IDs from the settings
+ */
+function dropDisallowedApiPorts(allowlist) {
+  apiPorts.forEach((port) => {
+    if (isAllowedSender(port.sender, allowlist)) return;
+    apiPorts.delete(port);
+    port.disconnect();
+  });
+}
+
+/**
+ * Wake the worker when the badge's minute count next drops, in case it is
+ * asleep by then. Alarms cannot fire every second, so the final minute is
+ * counted down by scheduleBadgeRefresh() once this alarm has woken the
+ * worker for it; the engine's end alarm covers the rest.
+ */
+function scheduleBadgeAlarm() {
+  const { state } = engine;
+  const msLeft = state.endTime - Date.now();
+  if (!state.running || msLeft <= 60000) return;
+  chrome.alarms.create('updateBadge', { when: Date.now() + ((msLeft - 1) % 60000) + 1 });
+}
+
+/**
+ * Restore the timer the first time it is needed after the worker starts.
+ * The returned promise is shared, so callers can simply await it at the
+ * top of every event handler.
+ *
+ * @returns {Promise<void>}
+ */
+function loadState() {
+  if (!stateLoaded) {
+    stateLoaded = (async () => {
+      // Messages first: migrations and reconciling may name things or notify
+      const { settings: stored } = await chrome.storage.local.get(['settings']);
+      await initI18n(stored && stored.language);
+      await migrateStoredSettings();
+      const settings = await getSettings();
+      syncIdleDetection(settings);
+      badgeStyle = settings.badgeStyle;
+      await engine.load();
+      // Catch up on a report that fell due while the browser was closed and
+      // on working hours that began or ended meanwhile
+      syncReports();
+      syncWorkingHours();
+    })();
+  }
+  return stateLoaded;
+}
+
+/**
+ * Follow a change of the timer state outside the engine: the toolbar and
+ * its badge alarm, the blocker, ticking and open pages. When a work session
+ * begins or the timer is reset, the tab the focus view took over from comes
+ * back to the front.
+ *
+ * @param {Object} state Timer state
+ * @param {string} change What changed (see timer_engine.js)
+ */
+async function timerChanged(state, change) {
+  chrome.alarms.clear('updateBadge').then(scheduleBadgeAlarm);
+  syncBlocker();
+  syncTicking();
   updateBadge();
   broadcastStatus();
+  if (API_CHANGE_EVENTS[change]) publishApiEvent(API_CHANGE_EVENTS[change]);
+  if (change === 'reset' || (change === 'begin' && state.phase === 'work')) {
+    await returnFromFocusView();
+  }
+  // A reflection not written during the break is let go
+  if (change === 'begin' && state.phase === 'work') {
+    await chrome.storage.local.set({ pendingReflection: null });
+  }
 }
 
 /**
- * Resume a previously paused timer. Remaining time is used to compute the
- * new end timestamp. Alarms are scheduled as normal. If the timer isn't
- * paused this does nothing.
+ * Follow up on a finished phase once the next one is set up: credit
+ * finished work to the active task and offer to reflect on it, show the
+ * check mark, tell subscribed companion extensions, notify the user, play
+ * the chime and bring the focus view forward for a break.
+ *
+ * @param {string} finishedPhase Phase that just ended
+ * @param {Object} settings Current settings
  */
-function resumeTimer() {
-  if (state.running || state.remainingTime == null) return;
-  state.running = true;
-  state.startTime = Date.now();
-  state.endTime = state.startTime + state.remainingTime;
-  state.remainingTime = null;
-  scheduleAlarms();
+async function phaseCompleted(finishedPhase, settings) {
+  phaseCompletedAt = Date.now();
   updateBadge();
-  broadcastStatus();
+  publishApiEvent('phaseCompleted', { phase: finishedPhase });
+  if (finishedPhase === 'work') {
+    await creditActiveTask();
+    await askForReflection(settings);
+  }
+  await notifyPhaseEnd(finishedPhase, settings);
+  await playPhaseEndSound(finishedPhase, settings);
+  const isBreak = engine.state.phase === 'short_break' || engine.state.phase === 'long_break';
+  if (finishedPhase === 'work' && isBreak && settings.breakTakeover) {
+    await showFocusView();
+  }
 }
 
+// With breakTakeover on, the focus view comes to the front of the current
+// window when a break starts: an open focus view tab in that window is
+// activated, otherwise one is opened. The tab that was active before is
+// remembered under 'takeoverReturnTabId' (the worker may sleep through the
+// break) and activated again when the next work session begins.
+const FOCUS_PAGE = 'focus.html';
+
 /**
- * Reset the timer to the idle state. All alarms are cleared and the
- * internal state is returned to its defaults. Cycle count is reset so
- * long breaks will be recalculated from scratch.
+ * Show the focus view in the current window for a break.
  */
-function resetTimer() {
-  state = {
-    phase: 'idle',
-    running: false,
-    startTime: null,
-    endTime: null,
-    remainingTime: null,
-    cycleCount: 0
-  };
-  chrome.alarms.clearAll();
+async function showFocusView() {
+  const url = chrome.runtime.getURL(FOCUS_PAGE);
+  const [previous] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['TAB'], documentUrls: [url] });
+  if (previous && contexts.some((context) => context.tabId === previous.id)) return;
+  const existing = previous && contexts.find((context) => context.windowId === previous.windowId);
+  if (existing) {
+    await chrome.tabs.update(existing.tabId, { active: true });
+  } else {
+    await chrome.tabs.create({ url, windowId: previous ? previous.windowId : undefined });
+  }
+  await chrome.storage.local.set({ takeoverReturnTabId: previous ? previous.id : null });
+}
+
+/**
+ * Go back to the tab the focus view took over from, if there is one.
+ */
+async function returnFromFocusView() {
+  const { takeoverReturnTabId } = await chrome.storage.local.get(['takeoverReturnTabId']);
+  if (takeoverReturnTabId == null) return;
+  await chrome.storage.local.remove('takeoverReturnTabId');
+  try {
+    await chrome.tabs.update(takeoverReturnTabId, { active: true });
+  } catch (err) {
+    // The tab has been closed in the meantime
+  }
+}
+
+// Idle detection. Chrome reports 'idle' once there has been no input for
+// the detection interval (set from idleThresholdMinutes) and 'locked' as
+// soon as the screen locks; the engine decides what that means for the
+// phase (see handleIdleState() in timer_engine.js). When the user comes
+// back to an idle work session, a notification asks whether the time away
+// counts.
+const IDLE_NOTIFICATION_ID = 'idleReturn';
+
+/**
+ * Point Chrome's idle detection at the configured threshold.
+ *
+ * @param {Object} settings Current settings
+ */
+function syncIdleDetection(settings) {
+  chrome.idle.setDetectionInterval(settings.idleThresholdMinutes * 60);
+}
+
+/**
+ * Ask the user who came back to an idle work session what to do with the
+ * time away. Clicking the notification keeps it; the buttons discard it or
+ * restart the session.
+ *
+ * @param {number} minutes Minutes the user was away
+ */
+async function askAboutIdle(minutes) {
+  await showNotification(t('idleWelcomeBack'), tPlural('idleNotification', minutes), ['discardIdle', 'restartIdle'],
+    true, { id: IDLE_NOTIFICATION_ID, quote: false });
+}
+
+// Notification buttons offered after a phase ends. Chrome shows at most two
+// buttons, so the pair depends on what happens next. The actions shown are
+// remembered under 'notificationActions' (keyed by notification id) because
+// the worker may be restarted before a button is clicked.
+const NOTIFICATION_ACTION_LABELS = {
+  start: (phase) => t(phase === 'work' ? 'startWork' : 'startBreak'),
+  skipBreak: () => t('skipBreak'),
+  snooze: () => t('actionSnooze', SNOOZE_MINUTES),
+  startCycle: () => t('startWork'),
+  reflect: () => t('actionReflect'),
+  discardIdle: () => t('actionDiscardIdle'),
+  restartIdle: () => t('actionRestartIdle')
+};
+
+/**
+ * Apply changed settings to the timer. A phase waiting to be started
+ * takes on its new length (see settingsChanged() in timer_engine.js); the
+ * blocker, ticking, idle detection, the toolbar badge, report
+ * notifications, working hours and the language of notifications follow
+ * their settings too. A phase that is already running keeps its length.
+ */
+async function applySettingsChange() {
+  const settings = await getSettings();
+  if (resolveLocale(settings.language) !== currentLocale()) {
+    await initI18n(settings.language);
+  }
+  await syncBlocker();
+  await syncTicking();
+  syncIdleDetection(settings);
+  badgeStyle = settings.badgeStyle;
   updateBadge();
-  broadcastStatus();
+  dropDisallowedApiPorts(settings.externalAllowlist);
+  syncReports();
+  syncWorkingHours();
+  await engine.settingsChanged();
+}
+
+/**
+ * Pick the notification buttons that fit the current state.
+ *
+ * @returns {string[]} Action identifiers, at most two
+ */
+function notificationActionsForState() {
+  const { state } = engine;
+  const isBreak = state.phase === 'short_break' || state.phase === 'long_break';
+  if (state.awaitingStart) {
+    return isBreak ? ['start', 'skipBreak'] : ['start', 'snooze'];
+  }
+  return isBreak && state.running ? ['skipBreak'] : [];
+}
+
+/**
+ * Tell the user a phase has ended and what comes next, with buttons to act
+ * on it. If the timer stopped because working hours are over, say so. A
+ * reflection waiting to be written is offered too: clicking the
+ * notification opens it, and so does a button if there is room for one.
+ *
+ * @param {string} finishedPhase Phase that just ended
+ * @param {Object} settings Current settings
+ */
+async function notifyPhaseEnd(finishedPhase, settings) {
+  const { state } = engine;
+  const template = settings.notificationTemplates[finishedPhase];
+  const values = template.title || template.message ? await templateValues() : null;
+  const nextLabel = t(state.phase === 'work' ? 'backToWork' : 'timeForBreak');
+  const title = template.title
+    ? fillTemplate(template.title, values)
+    : t(finishedPhase === 'work' ? 'pomodoroComplete' : 'breakOver');
+  let message = state.awaitingStart ? t('startWhenReady', nextLabel) : nextLabel;
+  if (template.message) message = fillTemplate(template.message, values);
+  // There is no next phase to describe
+  if (state.phase === 'idle') message = t('workingHoursOver');
+  const actions = notificationActionsForState();
+  const { pendingReflection } = await chrome.storage.local.get(['pendingReflection']);
+  if (finishedPhase === 'work' && pendingReflection) {
+    message = `${message}\n${t('reflectionNotificationHint')}`;
+    // Chrome shows at most two buttons
+    if (actions.length < 2) actions.push('reflect');
+  }
+  await showNotification(title, message, actions, settings.keepNotificationsOpen);
+}
+
+/**
+ * Values for the placeholders of the notification templates, once a phase
+ * has ended and the next one is set up.
+ *
+ * @returns {Promise<Object<string, string>>} Text keyed by placeholder
+ */
+async function templateValues() {
+  const { state } = engine;
+  const [summary, { tasks, activeTaskId }] = await Promise.all([engine.computeStatsSummary(), getTasks()]);
+  const task = tasks.find((item) => item.id === activeTaskId);
+  return {
+    count: formatNumber(summary.today),
+    task: task ? task.title : '',
+    nextPhase: state.phaseLabel,
+    nextDuration: formatNumber(Math.round(state.plannedDuration / 60000)),
+    streak: formatNumber(summary.streak)
+  };
+}
+
+/**
+ * The quotes notifications choose from: the user's own list, or the
+ * built‑in quotes in the interface language.
+ *
+ * @param {Object} settings Current settings
+ * @returns {string[]}
+ */
+function quoteList(settings) {
+  return settings.quotes || MOTIVATIONAL_QUOTES.map((key) => t(key));
+}
+
+/**
+ * Remind the user that a phase is still waiting to be started.
+ */
+async function notifyAwaitingStart() {
+  const { state } = engine;
+  if (!state.awaitingStart) return;
+  const settings = await getSettings();
+  const title = t(state.phase === 'work' ? 'readyToFocus' : 'readyForBreak');
+  await showNotification(title, t('nextPhaseWaiting'), notificationActionsForState(),
+    settings.keepNotificationsOpen);
 }
 
 /**
  * Display a notification when a phase completes. Notifications inform the
- * user that it's time to start the next phase. Because this extension
- * doesn't request sound files we rely on the browser's default sound.
+ * user that it's time to start the next phase. The phase‑end chime is
+ * played separately through the offscreen document. Nothing is shown in
+ * quiet hours; the popup still offers the same choices.
  *
  * @param {string} title Notification title
  * @param {string} message Body text
+ * @param {string[]} [actions] Button actions from NOTIFICATION_ACTION_LABELS
+ * @param {boolean} [requireInteraction] Keep the notification until acted on
+ * @param {Object} [options]
+ * @param {string} [options.id] Notification id; phase notifications share one
+ * @param {boolean} [options.quote] Whether a quote may be added, as often
+ *   as settings.quoteFrequency says
  */
-function showNotification(title, message) {
-  // Choose a random quote 50% of the time to create a variable reward
+async function showNotification(title, message, actions = [], requireInteraction = false,
+  { id = 'phaseEnd', quote = true } = {}) {
+  const { state } = engine;
+  const settings = await getSettings();
+  if (quietHoursEndAt(settings, Date.now()) !== null) return;
+  // Add a random quote some of the time to create a variable reward
   // pattern. Research suggests unpredictable rewards keep users engaged【553471993785898†L154-L182】.
   let fullMessage = message;
-  if (Math.random() < 0.5) {
-    const quote = MOTIVATIONAL_QUOTES[Math.floor(Math.random() * MOTIVATIONAL_QUOTES.length)];
-    fullMessage = `${message}\n\n${quote}`;
-  }
-  chrome.notifications.create({
+  const chosen = quote ? pickQuote(quoteList(settings), settings.quoteFrequency) : null;
+  if (chosen) fullMessage = `${message}\n\n${chosen}`;
+  // A fixed id replaces the previous phase notification instead of stacking
+  const notificationId = id;
+  const { notificationActions } = await chrome.storage.local.get(['notificationActions']);
+  await chrome.storage.local.set({
+    notificationActions: Object.assign({}, notificationActions, { [notificationId]: actions })
+  });
+  chrome.notifications.create(notificationId, {
     type: 'basic',
     iconUrl: 'icons/icon128.png',
     title,
     message: fullMessage,
-    priority: 2
+    priority: 2,
+    requireInteraction,
+    buttons: actions.map((action) => ({ title: NOTIFICATION_ACTION_LABELS[action](state.phase) }))
   });
 }
 
+/**
+ * Carry out a notification button action.
+ *
+ * @param {string} action Action identifier
+ */
+async function runNotificationAction(action) {
+  if (action === 'start' && engine.state.awaitingStart) {
+    await engine.startNextPhase();
+  } else if (action === 'startCycle' && engine.state.phase === 'idle') {
+    await engine.startNextPhase();
+  } else if (action === 'skipBreak') {
+    await engine.skipBreak();
+  } else if (action === 'snooze') {
+    await engine.snoozePhase();
+  } else if (action === 'discardIdle') {
+    await engine.resolveIdle('discard');
+  } else if (action === 'restartIdle') {
+    await engine.resolveIdle('restart');
+  } else if (action === 'reflect') {
+    await openReflection();
+  }
+}
+
 // Alarm listener for handling timer completions and badge updates
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await loadState();
   if (alarm.name === 'timerEnd') {
-    // Timer completed: update stats if finishing a work phase
-    if (state.phase === 'work') {
-      const dateKey = new Date().toISOString().split('T')[0];
-      await incrementStat(dateKey);
-    }
-    state.running = false;
-    state.remainingTime = null;
-    updateBadge();
-    broadcastStatus();
-    // Choose next phase automatically
-    const nextPhase = (state.phase === 'work') ? 'break' : 'work';
-    // Show a notification to the user
-    if (state.phase === 'work') {
-      showNotification('Pomodoro complete!', 'Time for a break');
-    } else {
-      showNotification('Break over!', 'Back to work');
-    }
-    // Start the next phase after a brief delay to allow UI updates
-    setTimeout(() => { startNextPhase(); }, 500);
+    await engine.timerEnded();
   } else if (alarm.name === 'updateBadge') {
     updateBadge();
-    // keep the alarm; it will fire again automatically due to periodInMinutes
+    scheduleBadgeAlarm();
+    // Chrome may have closed a silent audio document; bring ticking back
+    syncTicking();
+  } else if (alarm.name === BYPASS_END_ALARM) {
+    await syncBlocker();
+  } else if (alarm.name === 'snooze') {
+    await notifyAwaitingStart();
+  } else if (alarm.name === 'report') {
+    await syncReports();
+  } else if (alarm.name === WORKING_HOURS_ALARM) {
+    await syncWorkingHours();
+  }
+});
+
+// Global keyboard shortcuts declared under "commands" in the manifest
+chrome.commands.onCommand.addListener(async (command) => {
+  await loadState();
+  if (command === 'toggle-timer') {
+    await engine.toggleTimer();
+  } else if (command === 'skip-phase') {
+    await engine.skipPhase();
+  } else if (command === 'extend-phase') {
+    await engine.extendPhase();
+  }
+});
+
+// Notification buttons drive the state machine directly
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  await loadState();
+  const result = await chrome.storage.local.get(['notificationActions']);
+  const actions = (result.notificationActions || {})[notificationId] || [];
+  chrome.notifications.clear(notificationId);
+  if (actions[buttonIndex]) {
+    await runNotificationAction(actions[buttonIndex]);
+  }
+});
+
+// Clicking the body of the welcome‑back notification keeps the idle time;
+// clicking a report opens it on the report page and clicking a phase
+// notification opens the reflection waiting to be written, if there is one
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId === 'phaseEnd') {
+    const { pendingReflection } = await chrome.storage.local.get(['pendingReflection']);
+    if (!pendingReflection) return;
+    chrome.notifications.clear(notificationId);
+    await openReflection();
+    return;
+  }
+  if (notificationId.startsWith(REPORT_NOTIFICATION_PREFIX)) {
+    const [kind, from] = notificationId.slice(REPORT_NOTIFICATION_PREFIX.length).split(':');
+    chrome.notifications.clear(notificationId);
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`report.html?kind=${kind}&from=${from}`) });
+    return;
   }
+  if (notificationId !== IDLE_NOTIFICATION_ID) return;
+  await loadState();
+  await engine.resolveIdle('keep');
 });
 
-// Message listener for popup and options interactions
+chrome.idle.onStateChanged.addListener(async (newState) => {
+  await loadState();
+  await engine.handleIdleState(newState);
+});
+
+/**
+ * Execute a command sent by the popup or options page and produce the
+ * response object. The persisted state is restored first so commands never
+ * operate on the in‑memory default of a freshly started worker.
+ *
+ * @param {Object} message Message with a `command` property
+ * @returns {Promise<Object|undefined>} Response, or undefined if unknown
+ */
+async function handleCommand(message) {
+  await loadState();
+  switch (message.command) {
+    case 'getState':
+      return { state: engine.state };
+    case 'start':
+      await engine.startNextPhase();
+      return { state: engine.state };
+    case 'pause':
+      await engine.pauseTimer(message.reason, message.note);
+      return { state: engine.state };
+    case 'resolveIdle':
+      await engine.resolveIdle(message.decision);
+      return { state: engine.state };
+    case 'setPauseReason':
+      await engine.setPauseReason(message.reason, message.note);
+      return { state: engine.state };
+    case 'resume':
+      await engine.resumeTimer();
+      return { state: engine.state };
+    case 'reset':
+      await engine.resetTimer();
+      return { state: engine.state };
+    case 'skipBreak':
+      await engine.skipBreak();
+      return { state: engine.state };
+    case 'finishEarly':
+      await engine.finishEarly();
+      return { state: engine.state };
+    case 'skipPhase':
+      await engine.skipPhase();
+      return { state: engine.state };
+    case 'extend':
+      // Without minutes the phase grows by EXTEND_MINUTES, as with the shortcut
+      await engine.extendPhase(message.minutes);
+      return { state: engine.state };
+    case 'jumpToLongBreak':
+      await engine.jumpToLongBreak();
+      return { state: engine.state };
+    case 'getSettings':
+      return { settings: await getSettings() };
+    case 'createProfile':
+      return { profile: await createProfile(message.name, message.copyFromId) };
+    case 'deleteProfile':
+      await deleteProfile(message.profileId);
+      return { settings: await getSettings() };
+    case 'switchProfile':
+      await engine.switchProfile(message.profileId);
+      return { state: engine.state, settings: await getSettings() };
+    case 'saveSettings':
+      // The storage change listener applies the new settings to the timer
+      return saveSettings(message.settings);
+    case 'previewSound':
+      await playSound(message.sound, message.volume);
+      return { success: true };
+    case 'getStats':
+      return engine.computeStatsSummary();
+    case 'clearStats':
+      await engine.clearStats();
+      return { success: true };
+    case 'getPendingReflection':
+      return { session: await getPendingReflection() };
+    case 'saveReflection':
+      return saveReflection(message.sessionId, { note: message.note, focus: message.focus });
+    case 'skipReflection':
+      await finishReflection(String(message.sessionId));
+      return { success: true };
+    case 'deleteReflection':
+      return { success: await engine.reflectOnSession(String(message.sessionId), null) };
+    case 'getJournal':
+      return getJournal();
+    case 'getStatsRange':
+      return computeStatsRange(message.from, message.to);
+    case 'getReports':
+      return {
+        reports: await getReports(message.kind === 'month' ? 'month' : 'week', Math.min(message.count || 12, 60))
+      };
+    case 'exportData':
+      return exportData(message.format);
+    case 'previewImport':
+      return previewImport(message.bundle, message.mode);
+    case 'importData':
+      return importData(message.bundle, message.mode);
+    case 'bypassBlock':
+      return bypassBlock(message.url);
+    case 'getBlockerLog':
+      return { log: await getBlockerLog() };
+    case 'getTasks':
+      return getTasks();
+    case 'addTask':
+      return { task: await addTask(message.title, message.estimate) };
+    case 'setActiveTask':
+      await setActiveTask(message.taskId);
+      return getTasks();
+    case 'completeTask':
+      await completeTask(message.taskId);
+      return getTasks();
+    case 'deleteTask':
+      await deleteTask(message.taskId);
+      return getTasks();
+    default:
+      return undefined;
+  }
+}
+
+// Message listener for popup and options interactions. Every command is
+// answered asynchronously, so we return true to keep the channel open.
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Commands can be handled synchronously or asynchronously. When a
-  // promise is involved we return true so that the response can be sent
-  // asynchronously.
   if (!message || !message.command) {
     return false;
   }
-  switch (message.command) {
-    case 'getState': {
-      sendResponse({ state });
-      return true;
-    }
-    case 'start': {
-      startNextPhase();
-      sendResponse({ state });
-      return true;
-    }
-    case 'pause': {
-      pauseTimer();
-      sendResponse({ state });
-      return true;
-    }
-    case 'resume': {
-      resumeTimer();
-      sendResponse({ state });
-      return true;
-    }
-    case 'reset': {
-      resetTimer();
-      sendResponse({ state });
-      return true;
-    }
-    case 'getSettings': {
-      getSettings().then((settings) => sendResponse({ settings }));
-      return true;
-    }
-    case 'saveSettings': {
-      saveSettings(message.settings).then(() => sendResponse({ success: true }));
-      return true;
-    }
-    case 'getStats': {
-      computeStatsSummary().then((summary) => sendResponse(summary));
-      return true;
-    }
-    case 'clearStats': {
-      clearStats().then(() => sendResponse({ success: true }));
-      return true;
-    }
+  // A command that fails still answers, so the page is not left waiting
+  handleCommand(message)
+    .then(sendResponse)
+    .catch((err) => sendResponse({ success: false, error: err.message }));
+  return true;
+});
+
+// Pages showing the timer subscribe to its changes through a status port
+// and get the current state straight away
+chrome.runtime.onConnect.addListener(async (port) => {
+  if (port.name !== 'status') return;
+  let open = true;
+  port.onDisconnect.addListener(() => {
+    open = false;
+    statusPorts.delete(port);
+  });
+  await loadState();
+  if (!open) return;
+  statusPorts.add(port);
+  postToPort(port, { type: 'statusUpdate', state: engine.state });
+});
+
+/**
+ * Answer a public API request from another extension. Only extensions on
+ * the allowlist get anything but an error.
+ *
+ * @param {*} message Request as received
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Promise<Object>} Response (see API.md)
+ */
+async function handleApiRequest(message, sender) {
+  await loadState();
+  const { externalAllowlist } = await getSettings();
+  if (!isAllowedSender(sender, externalAllowlist)) {
+    return apiResponse(undefined, {
+      code: 'forbidden',
+      message: 'Add this extension\'s ID to the allowed extensions in the PomoPal settings.'
+    });
+  }
+  const request = parseApiRequest(message);
+  if (request.error) return apiResponse(undefined, request.error);
+  switch (request.command) {
+    case 'start':
+      // Starting never skips a phase that is already running
+      if (!engine.state.running) await engine.toggleTimer();
+      break;
+    case 'pause':
+      await engine.pauseTimer();
+      break;
+    case 'toggle':
+      await engine.toggleTimer();
+      break;
     default:
-      return false;
+      break;
   }
+  return apiResponse(apiStatus(engine.state, Date.now()));
+}
+
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  // Every request gets an envelope, even when handling it fails
+  handleApiRequest(message, sender)
+    .then(sendResponse)
+    .catch((err) => sendResponse(apiResponse(undefined, { code: 'internal', message: err.message })));
+  return true;
+});
+
+// Allowed companion extensions subscribe to events by connecting a port
+// named API_EVENTS_PORT. The first event describes the current state.
+chrome.runtime.onConnectExternal.addListener(async (port) => {
+  let open = true;
+  port.onDisconnect.addListener(() => {
+    open = false;
+    apiPorts.delete(port);
+  });
+  await loadState();
+  const { externalAllowlist } = await getSettings();
+  if (!open) return;
+  if (port.name !== API_EVENTS_PORT || !isAllowedSender(port.sender, externalAllowlist)) {
+    port.disconnect();
+    return;
+  }
+  apiPorts.add(port);
+  const now = Date.now();
+  postToPort(port, apiEvent('status', apiStatus(engine.state, now), now));
+});
+
+// Settings can change from the options page, an import or another
+// profile; pick them up wherever they came from
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) return;
+  await loadState();
+  await applySettingsChange();
 });
 
 // On installation reset the badge background color so it's visible on all themes
 chrome.runtime.onInstalled.addListener(() => {
   chrome.action.setBadgeBackgroundColor({ color: '#E53935' });
-});
\ No newline at end of file
+  loadState();
+});
+
+// Rebuild the timer after a browser restart, reconciling any phase that
+// finished while the browser was closed and restoring its alarms.
+chrome.runtime.onStartup.addListener(() => {
+  loadState();
+});
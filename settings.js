@@ -0,0 +1,699 @@
+/*
+ * Settings: the defaults, the schema every value is checked against, the
+ * upgrades between schema versions and the timer profiles. Nothing here
+ * touches the browser directly; createSettings() is handed:
+ *
+ *   storage    an object shaped like chrome.storage.local: async get(keys)
+ *              and set(items); the settings live under 'settings'
+ *   translate(key, substitutions)  a message in the user's language, for
+ *              field errors and default names
+ *   locales    the languages that can be picked besides 'auto'
+ *
+ * The service worker wires these to chrome.storage.local and i18n.js. The
+ * tests in tests/ wire them to an in‑memory storage and the message names.
+ *
+ * The file is a classic script that needs DEFAULT_PROFILE_ID of
+ * timer_engine.js, the template helpers and limits of templates.js and
+ * EXTENSION_ID_PATTERN of external_api.js: the service worker loads it
+ * after them with importScripts() and Node can require() it once they
+ * have been loaded. The options page loads it with a <script> tag for the
+ * limits and phase type names it shares with the schema, without creating
+ * a store.
+ */
+
+// Default durations (in minutes) for each Pomodoro phase. These values are
+// merged with any user defined settings from storage on demand.
+const DEFAULT_SETTINGS = {
+  workDuration: 25,
+  shortBreakDuration: 5,
+  longBreakDuration: 15,
+  longBreakInterval: 4,
+  // UI theme preference: 'light', 'dark', 'system' to follow the
+  // operating system, or 'high-contrast'. Defaults to light.
+  theme: 'light',
+  // Toolbar badge: 'countdown' shows minutes and then seconds in the final
+  // minute, 'minutes' only ever shows minutes and 'off' hides the badge
+  badgeStyle: 'countdown',
+  // Local hour (0‑23) at which a new day starts for stats and streaks, so
+  // sessions after midnight can still count towards the previous day.
+  dayStartHour: 0,
+  // Number of completed pomodoros that counts as a successful day
+  dailyGoal: 4,
+  // Optional per‑weekday goals, indexed 0 = Sunday … 6 = Saturday. A null
+  // entry falls back to dailyGoal; 0 makes that weekday a rest day.
+  weekdayGoals: [null, null, null, null, null, null, null],
+  // Treat Saturday and Sunday as rest days regardless of weekdayGoals
+  weekendsOff: false,
+  // Distraction blocker, active only while a work phase is running.
+  // 'blocklist' redirects the listed sites; 'allowlist' redirects every
+  // site except the listed ones.
+  blockerEnabled: false,
+  blockerMode: 'blocklist',
+  blockedSites: [],
+  allowedSites: [],
+  // How long a confirmed bypass from the blocked page lasts
+  bypassMinutes: 5,
+  // Whether the next phase starts by itself when the previous one ends.
+  // When off, the phase waits in an "awaiting start" state.
+  autoStartBreaks: true,
+  autoStartWork: true,
+  // Keep phase notifications on screen until the user acts on them
+  keepNotificationsOpen: false,
+  // Ask for a reason (internal, external, …) whenever the popup pauses
+  askPauseReason: true,
+  // Ask for a note on what got done and a focus rating after each work
+  // session
+  reflectionPrompt: true,
+  // Bring the focus view to the front when a break starts, and go back to
+  // the previous tab when work resumes
+  breakTakeover: false,
+  // Sounds played when a work phase or a break ends: a bundled chime id,
+  // 'custom:<id>' for an uploaded sound or 'none'
+  workEndSound: 'bell',
+  breakEndSound: 'soft',
+  // Volume of phase‑end sounds in percent
+  soundVolume: 70,
+  // Optional ticking while a work phase is running, with its own volume
+  tickingEnabled: false,
+  tickingVolume: 30,
+  // Custom phase sequence as a list of { label, type, duration } steps,
+  // duration in minutes. null runs the classic Pomodoro cycle built from
+  // the durations and longBreakInterval above.
+  sequence: null,
+  // Named timer profiles. Each holds its own copy of the PROFILE_KEYS
+  // settings, which override the values above for the active profile. An
+  // empty list means the pre‑profile settings form the only profile.
+  profiles: [],
+  activeProfileId: 'default',
+  // What switching profiles during a phase does: 'next' keeps the current
+  // phase as it is and applies the profile from the next phase, 'now'
+  // rescales the current phase to the new profile's duration straight away
+  profileSwitch: 'next',
+  // Idle detection during work phases. After idleThresholdMinutes without
+  // input (or as soon as the screen locks) the work phase is either paused
+  // ('pause') or keeps running with the idle time marked ('mark'); either
+  // way the user decides on return whether to keep, discard or restart.
+  idleDetection: true,
+  idleThresholdMinutes: 5,
+  idleAction: 'pause',
+  // Pause breaks too while idle, resuming them on return. Off lets breaks
+  // run down while the user is away.
+  pauseBreaksWhenIdle: false,
+  // IDs of other extensions allowed to use the public messaging API
+  externalAllowlist: [],
+  // Report notifications: 'weekly', 'monthly', 'both' or 'off'. A report
+  // arrives at reportTime (local 'HH:MM') on the day after its period.
+  reportSchedule: 'weekly',
+  reportTime: '09:00',
+  // Working hours: weekly windows ({ days, start, end }, days 0 = Sunday …
+  // 6 = Saturday) in which a cycle is offered ('prompt') or started
+  // ('autoStart'); the timer stops after the phase running when one ends.
+  workingHoursMode: 'off',
+  workingHours: [
+    { days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' },
+    { days: [1, 2, 3, 4, 5], start: '13:00', end: '17:00' }
+  ],
+  // Daily quiet hours, possibly past midnight, without notifications
+  quietHoursEnabled: false,
+  quietHours: { start: '22:00', end: '07:00' },
+  // Quotes added to phase notifications: null uses the built‑in quotes in
+  // the interface language, a list the user's own. quoteFrequency is the
+  // chance in percent that a notification gets one; 0 turns quotes off.
+  quotes: null,
+  quoteFrequency: 50,
+  // Title and message of the notification shown when a phase of each type
+  // ends, with placeholders such as {count} (see templates.js). An empty
+  // template keeps the built‑in wording.
+  notificationTemplates: {
+    work: { title: '', message: '' },
+    short_break: { title: '', message: '' },
+    long_break: { title: '', message: '' }
+  },
+  // Language of the interface and notifications: a locale shipped in
+  // _locales, or 'auto' to follow the browser
+  language: 'auto'
+};
+
+// Settings that belong to a timer profile rather than to PomoPal as a whole
+const PROFILE_KEYS = [
+  'name',
+  'workDuration',
+  'shortBreakDuration',
+  'longBreakDuration',
+  'longBreakInterval',
+  'autoStartBreaks',
+  'autoStartWork',
+  'keepNotificationsOpen',
+  'workEndSound',
+  'breakEndSound',
+  'soundVolume',
+  'tickingEnabled',
+  'tickingVolume',
+  'sequence'
+];
+const MAX_PROFILES = 20;
+
+// Limits for custom phase sequences
+const PHASE_TYPES = ['work', 'short_break', 'long_break'];
+const MAX_SEQUENCE_STEPS = 20;
+const MAX_STEP_MINUTES = 240;
+const MAX_STEP_LABEL = 30;
+// Messages naming each phase type, used as the default step labels
+const PHASE_TYPE_MESSAGES = {
+  work: 'phaseTypeWork',
+  short_break: 'phaseTypeShortBreak',
+  long_break: 'phaseTypeLongBreak'
+};
+
+// Settings are checked against SETTINGS_SCHEMA whenever they are saved and
+// whenever they are read back, so a bad value from a page, an import or an
+// older version can never reach the timer. Saving reports every problem as
+// a field error keyed by the setting's path (e.g. 'weekdayGoals.3' or
+// 'sequence.2.duration') and writes nothing; reading clamps numbers into
+// range and replaces unusable values with their defaults.
+//
+// The stored settings carry a schemaVersion. When the stored shape
+// changes, bump SETTINGS_VERSION and add a migration that upgrades settings
+// from the previous version; settings without a version are version 1.
+const SETTINGS_VERSION = 2;
+const SOUND_ID_PATTERN = /^(none|[a-z]+|custom:[a-z0-9]+)$/;
+const PROFILE_ID_PATTERN = /^[a-z0-9]{1,40}$/;
+const MAX_SITES = 500;
+const MAX_EXTERNAL_IDS = 50;
+const MAX_WORKING_WINDOWS = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Copy the profile settings out of a settings object.
+ *
+ * @param {Object} source Settings or profile
+ * @returns {Object}
+ */
+function pickProfileSettings(source) {
+  const profile = {};
+  PROFILE_KEYS.forEach((key) => {
+    if (source[key] !== undefined) profile[key] = source[key];
+  });
+  return profile;
+}
+
+/**
+ * Reduce user input such as "https://www.example.com/feed" to a bare
+ * lower‑case domain. Returns null for anything that is not a domain.
+ *
+ * @param {string} input
+ * @returns {string|null}
+ */
+function normaliseDomain(input) {
+  const domain = String(input || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+}
+
+/**
+ * Create the settings store.
+ *
+ * @param {Object} deps See the top of this file
+ * @returns {Object} The store: getSettings(), saveSettings() and the
+ *   checks and upgrades behind them
+ */
+function createSettings({ storage, translate, locales }) {
+  const SETTINGS_SCHEMA = {
+    workDuration: { type: 'integer', min: 1, max: 180 },
+    shortBreakDuration: { type: 'integer', min: 1, max: 60 },
+    longBreakDuration: { type: 'integer', min: 1, max: 120 },
+    longBreakInterval: { type: 'integer', min: 1, max: 10 },
+    theme: { type: 'enum', values: ['light', 'dark', 'system', 'high-contrast'] },
+    badgeStyle: { type: 'enum', values: ['countdown', 'minutes', 'off'] },
+    language: { type: 'enum', values: ['auto'].concat(locales) },
+    dayStartHour: { type: 'integer', min: 0, max: 23 },
+    dailyGoal: { type: 'integer', min: 0, max: 50 },
+    weekdayGoals: { type: 'list', length: 7, item: { type: 'integer', min: 0, max: 50, nullable: true } },
+    weekendsOff: { type: 'boolean' },
+    blockerEnabled: { type: 'boolean' },
+    blockerMode: { type: 'enum', values: ['blocklist', 'allowlist'] },
+    blockedSites: { type: 'sites' },
+    allowedSites: { type: 'sites' },
+    bypassMinutes: { type: 'integer', min: 1, max: 60 },
+    autoStartBreaks: { type: 'boolean' },
+    autoStartWork: { type: 'boolean' },
+    keepNotificationsOpen: { type: 'boolean' },
+    askPauseReason: { type: 'boolean' },
+    reflectionPrompt: { type: 'boolean' },
+    breakTakeover: { type: 'boolean' },
+    workEndSound: { type: 'sound' },
+    breakEndSound: { type: 'sound' },
+    soundVolume: { type: 'integer', min: 0, max: 100 },
+    tickingEnabled: { type: 'boolean' },
+    tickingVolume: { type: 'integer', min: 0, max: 100 },
+    sequence: { type: 'sequence' },
+    name: { type: 'string', minLength: 1, maxLength: 40 },
+    profiles: { type: 'profiles' },
+    activeProfileId: { type: 'string', pattern: PROFILE_ID_PATTERN },
+    profileSwitch: { type: 'enum', values: ['next', 'now'] },
+    idleDetection: { type: 'boolean' },
+    idleThresholdMinutes: { type: 'integer', min: 1, max: 60 },
+    idleAction: { type: 'enum', values: ['pause', 'mark'] },
+    pauseBreaksWhenIdle: { type: 'boolean' },
+    externalAllowlist: { type: 'extensionIds' },
+    reportSchedule: { type: 'enum', values: ['weekly', 'monthly', 'both', 'off'] },
+    reportTime: { type: 'time' },
+    workingHoursMode: { type: 'enum', values: ['off', 'prompt', 'autoStart'] },
+    workingHours: { type: 'workingHours' },
+    quietHoursEnabled: { type: 'boolean' },
+    quietHours: { type: 'timeRange' },
+    quotes: { type: 'quotes' },
+    quoteFrequency: { type: 'integer', min: 0, max: 100 },
+    notificationTemplates: { type: 'templates' }
+  };
+
+  // Upgrades from the previous version, keyed by the version they produce
+  const SETTINGS_MIGRATIONS = {
+    // Timer profiles: the flat duration, notification and sound settings
+    // become the first profile
+    2: (settings) => {
+      if (!Array.isArray(settings.profiles) || !settings.profiles.length) {
+        settings.profiles = [Object.assign(pickProfileSettings(Object.assign({}, DEFAULT_SETTINGS, settings)), {
+          id: DEFAULT_PROFILE_ID,
+          name: translate('defaultProfileName')
+        })];
+        settings.activeProfileId = DEFAULT_PROFILE_ID;
+      }
+      PROFILE_KEYS.forEach((key) => delete settings[key]);
+    }
+  };
+
+  /**
+   * Upgrade stored settings to SETTINGS_VERSION.
+   *
+   * @param {Object} stored Settings as stored, possibly by an older version
+   * @returns {Object} Upgraded copy
+   */
+  function migrateSettings(stored) {
+    const settings = JSON.parse(JSON.stringify(stored || {}));
+    for (let version = (settings.schemaVersion || 1) + 1; version <= SETTINGS_VERSION; version++) {
+      SETTINGS_MIGRATIONS[version](settings);
+    }
+    settings.schemaVersion = SETTINGS_VERSION;
+    return settings;
+  }
+
+  /**
+   * Bring the stored settings up to the current schema version once, when
+   * the worker starts.
+   */
+  async function migrateStoredSettings() {
+    const result = await storage.get(['settings']);
+    if (result.settings && result.settings.schemaVersion === SETTINGS_VERSION) return;
+    await storage.set({ settings: migrateSettings(result.settings) });
+  }
+
+  /**
+   * Check one value against its schema rule.
+   *
+   * @param {Object} rule Entry of SETTINGS_SCHEMA
+   * @param {*} value Value to check
+   * @param {string} path Setting path used for error keys
+   * @param {Object} errors Field errors, added to in place
+   * @returns {*} Cleaned value, or undefined if nothing usable is left
+   */
+  function checkSetting(rule, value, path, errors) {
+    switch (rule.type) {
+      case 'integer': {
+        if (value === null && rule.nullable) return null;
+        const message = translate('errorWholeNumber', [rule.min, rule.max]);
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors[path] = message;
+          return undefined;
+        }
+        const clamped = Math.min(Math.max(Math.round(value), rule.min), rule.max);
+        if (clamped !== value) errors[path] = message;
+        return clamped;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        errors[path] = translate('errorOnOff');
+        return undefined;
+      case 'enum':
+        if (rule.values.includes(value)) return value;
+        errors[path] = translate('errorChooseOption');
+        return undefined;
+      case 'string': {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (rule.pattern ? !rule.pattern.test(text) : text.length < rule.minLength) {
+          errors[path] = translate(rule.pattern ? 'errorInvalidId' : 'errorEmpty');
+          return undefined;
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+          errors[path] = translate('errorMaxCharacters', rule.maxLength);
+          return text.slice(0, rule.maxLength);
+        }
+        return text;
+      }
+      case 'time':
+        if (typeof value === 'string' && TIME_PATTERN.test(value)) return value;
+        errors[path] = translate('errorTime');
+        return undefined;
+      case 'timeRange': {
+        if (!value || typeof value !== 'object') {
+          errors[path] = translate('errorTime');
+          return undefined;
+        }
+        const start = checkSetting({ type: 'time' }, value.start, `${path}.start`, errors);
+        const end = checkSetting({ type: 'time' }, value.end, `${path}.end`, errors);
+        if (start === undefined || end === undefined) return undefined;
+        if (start === end) {
+          errors[`${path}.end`] = translate('errorSameTimes');
+          return undefined;
+        }
+        return { start, end };
+      }
+      case 'workingHours': {
+        if (!Array.isArray(value)) {
+          errors[path] = translate('errorWorkingHoursList');
+          return undefined;
+        }
+        if (value.length > MAX_WORKING_WINDOWS) errors[path] = translate('errorMaxWorkingHours', MAX_WORKING_WINDOWS);
+        const windows = [];
+        value.slice(0, MAX_WORKING_WINDOWS).forEach((slot, i) => {
+          const days = slot && Array.isArray(slot.days)
+            ? Array.from(new Set(slot.days.filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)))
+            : [];
+          if (!days.length) errors[`${path}.${i}.days`] = translate('errorNoDays');
+          const start = checkSetting({ type: 'time' }, slot && slot.start, `${path}.${i}.start`, errors);
+          const end = checkSetting({ type: 'time' }, slot && slot.end, `${path}.${i}.end`, errors);
+          if (start === undefined || end === undefined) return;
+          if (end <= start) {
+            errors[`${path}.${i}.end`] = translate('errorEndBeforeStart');
+          } else if (days.length) {
+            windows.push({ days: days.sort((a, b) => a - b), start, end });
+          }
+        });
+        return windows;
+      }
+      case 'quotes': {
+        if (value === null) return null;
+        if (!Array.isArray(value)) {
+          errors[path] = translate('errorQuoteList');
+          return undefined;
+        }
+        if (value.length > MAX_QUOTES) errors[path] = translate('errorMaxQuotes', MAX_QUOTES);
+        const quotes = [];
+        value.slice(0, MAX_QUOTES).forEach((item, i) => {
+          const quote = typeof item === 'string' ? item.replace(/\s+/g, ' ').trim() : '';
+          if (!quote) {
+            errors[`${path}.${i}`] = translate('errorEmpty');
+          } else if (quote.length > MAX_QUOTE_LENGTH) {
+            errors[`${path}.${i}`] = translate('errorMaxCharacters', MAX_QUOTE_LENGTH);
+            quotes.push(quote.slice(0, MAX_QUOTE_LENGTH));
+          } else {
+            quotes.push(quote);
+          }
+        });
+        return quotes;
+      }
+      case 'template': {
+        // A template that cannot be used falls back to the built‑in wording
+        const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+        const found = templateProblem(text);
+        if (found) {
+          errors[path] = found.problem === 'placeholder'
+            ? translate('errorUnknownPlaceholder', found.name)
+            : translate('errorUnmatchedBrace');
+          return '';
+        }
+        if (text.length > rule.maxLength) {
+          errors[path] = translate('errorMaxCharacters', rule.maxLength);
+          return '';
+        }
+        return text;
+      }
+      case 'templates': {
+        if (!value || typeof value !== 'object') {
+          errors[path] = translate('errorTemplates');
+          return undefined;
+        }
+        const templates = {};
+        PHASE_TYPES.forEach((type) => {
+          const phase = value[type] || {};
+          templates[type] = {
+            title: checkSetting({ type: 'template', maxLength: MAX_TEMPLATE_TITLE_LENGTH }, phase.title,
+              `${path}.${type}.title`, errors),
+            message: checkSetting({ type: 'template', maxLength: MAX_TEMPLATE_MESSAGE_LENGTH }, phase.message,
+              `${path}.${type}.message`, errors)
+          };
+        });
+        return templates;
+      }
+      case 'sound':
+        if (typeof value === 'string' && SOUND_ID_PATTERN.test(value)) return value;
+        errors[path] = translate('errorChooseSound');
+        return undefined;
+      case 'list': {
+        if (!Array.isArray(value) || value.length !== rule.length) {
+          errors[path] = translate('errorValueCount', rule.length);
+          return undefined;
+        }
+        return value.map((item, i) => {
+          const cleaned = checkSetting(rule.item, item, `${path}.${i}`, errors);
+          return cleaned === undefined ? null : cleaned;
+        });
+      }
+      case 'sites': {
+        if (!Array.isArray(value)) {
+          errors[path] = translate('errorSiteList');
+          return undefined;
+        }
+        const domains = [];
+        value.forEach((site) => {
+          const domain = normaliseDomain(site);
+          if (!domain) {
+            errors[path] = translate('errorInvalidSite', String(site).slice(0, 60));
+          } else if (!domains.includes(domain)) {
+            domains.push(domain);
+          }
+        });
+        if (domains.length > MAX_SITES) errors[path] = translate('errorMaxSites', MAX_SITES);
+        return domains.slice(0, MAX_SITES);
+      }
+      case 'extensionIds': {
+        if (!Array.isArray(value)) {
+          errors[path] = translate('errorExtensionList');
+          return undefined;
+        }
+        const ids = [];
+        value.forEach((id) => {
+          const text = String(id).trim();
+          if (!EXTENSION_ID_PATTERN.test(text)) {
+            errors[path] = translate('errorInvalidExtensionId', text.slice(0, 60));
+          } else if (!ids.includes(text)) {
+            ids.push(text);
+          }
+        });
+        if (ids.length > MAX_EXTERNAL_IDS) errors[path] = translate('errorMaxExtensions', MAX_EXTERNAL_IDS);
+        return ids.slice(0, MAX_EXTERNAL_IDS);
+      }
+      case 'sequence': {
+        if (value === null) return null;
+        if (!Array.isArray(value)) {
+          errors[path] = translate('errorPhaseList');
+          return undefined;
+        }
+        if (value.length > MAX_SEQUENCE_STEPS) {
+          errors[path] = translate('errorMaxPhases', MAX_SEQUENCE_STEPS);
+        }
+        value.slice(0, MAX_SEQUENCE_STEPS).forEach((step, i) => {
+          if (!step || !PHASE_TYPES.includes(step.type)) {
+            errors[`${path}.${i}.type`] = translate('errorPhaseType');
+            return;
+          }
+          checkSetting({ type: 'integer', min: 1, max: MAX_STEP_MINUTES }, step.duration,
+            `${path}.${i}.duration`, errors);
+          if (typeof step.label === 'string' && step.label.trim().length > MAX_STEP_LABEL) {
+            errors[`${path}.${i}.label`] = translate('errorMaxCharacters', MAX_STEP_LABEL);
+          }
+        });
+        const sequence = normaliseSequence(value);
+        if (!sequence && value.length) errors[path] = translate('errorNoWorkPhase');
+        return sequence;
+      }
+      case 'profiles': {
+        if (!Array.isArray(value)) {
+          errors[path] = translate('errorProfileList');
+          return undefined;
+        }
+        const profiles = [];
+        value.slice(0, MAX_PROFILES).forEach((profile, i) => {
+          const id = profile && checkSetting(SETTINGS_SCHEMA.activeProfileId, profile.id, `${path}.${i}.id`, errors);
+          if (!id || profiles.some((p) => p.id === id)) {
+            errors[`${path}.${i}.id`] = translate('errorProfileId');
+            return;
+          }
+          const checked = validateSettings(pickProfileSettings(profile), `${path}.${i}.`);
+          Object.assign(errors, checked.errors);
+          profiles.push(Object.assign(checked.settings, { id }));
+        });
+        return profiles;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Validate (part of) a settings object against SETTINGS_SCHEMA. Keys the
+   * schema does not know are dropped.
+   *
+   * @param {Object} input Settings to check
+   * @param {string} [prefix] Prepended to error keys, for nested settings
+   * @returns {{settings: Object, errors: Object}} Cleaned settings and the
+   *   field errors found, keyed by path; empty when everything was valid
+   */
+  function validateSettings(input, prefix = '') {
+    const settings = {};
+    const errors = {};
+    Object.keys(input || {}).forEach((key) => {
+      const rule = SETTINGS_SCHEMA[key];
+      if (!rule) return;
+      const value = checkSetting(rule, input[key], `${prefix}${key}`, errors);
+      if (value !== undefined) settings[key] = value;
+    });
+    return { settings, errors };
+  }
+
+  /**
+   * Fill in defaults and make sure there is at least one profile and the
+   * active profile exists. Migrated settings always have profiles, but a
+   * profiles list emptied by an import still needs a fallback.
+   *
+   * @param {Object} stored Raw settings from storage
+   * @returns {Object} Settings with a non‑empty profiles list
+   */
+  function withProfiles(stored) {
+    const settings = Object.assign({}, DEFAULT_SETTINGS, stored);
+    if (!settings.profiles.length) {
+      settings.profiles = [Object.assign(pickProfileSettings(settings), {
+        id: DEFAULT_PROFILE_ID,
+        name: translate('defaultProfileName')
+      })];
+    }
+    if (!settings.profiles.some((profile) => profile.id === settings.activeProfileId)) {
+      settings.activeProfileId = settings.profiles[0].id;
+    }
+    return settings;
+  }
+
+  /**
+   * Read the user settings from storage and merge them with the defaults.
+   * The active profile's values are applied on top, so callers simply read
+   * e.g. `settings.workDuration` for the duration currently in effect.
+   *
+   * @returns {Promise<Object>} Resolved settings object
+   */
+  async function getSettings() {
+    const result = await storage.get(['settings']);
+    const stored = validateSettings(migrateSettings(result.settings)).settings;
+    const settings = withProfiles(stored);
+    const active = settings.profiles.find((profile) => profile.id === settings.activeProfileId);
+    return Object.assign(settings, pickProfileSettings(active), { schemaVersion: SETTINGS_VERSION });
+  }
+
+  /**
+   * Validate and persist new settings. Only the provided keys are
+   * overwritten; others are preserved. Profile settings are written to the
+   * active profile (after any change of profiles or activeProfileId in the
+   * same call). Nothing is written if any field is invalid.
+   *
+   * @param {Object} newSettings Partial settings object
+   * @returns {Promise<{success: boolean, errors?: Object}>} Field errors keyed
+   *   by setting path when the settings were rejected
+   */
+  async function saveSettings(newSettings) {
+    const { settings: valid, errors } = validateSettings(newSettings);
+    if (Object.keys(errors).length) {
+      return { success: false, errors };
+    }
+    const result = await storage.get(['settings']);
+    const settings = Object.assign(migrateSettings(result.settings), valid);
+    const { profiles, activeProfileId } = withProfiles(settings);
+    const changes = pickProfileSettings(valid);
+    settings.profiles = profiles.map((profile) => (
+      profile.id === activeProfileId ? Object.assign({}, profile, changes) : profile
+    ));
+    settings.activeProfileId = activeProfileId;
+    // Profile values only live inside the profiles
+    PROFILE_KEYS.forEach((key) => delete settings[key]);
+    await storage.set({ settings });
+    return { success: true };
+  }
+
+  /**
+   * Clean up a custom phase sequence: steps need a known type and a whole
+   * number of minutes within limits, labels are trimmed and default to the
+   * type's name. A sequence without any work phase is useless and, like an
+   * empty one, turns back into the classic cycle (null).
+   *
+   * @param {*} sequence Steps as sent by the options page
+   * @returns {Object[]|null}
+   */
+  function normaliseSequence(sequence) {
+    if (!Array.isArray(sequence)) return null;
+    const steps = sequence.slice(0, MAX_SEQUENCE_STEPS)
+      .filter((step) => step && PHASE_TYPES.includes(step.type))
+      .map((step) => ({
+        label: String(step.label || '').trim().slice(0, MAX_STEP_LABEL) || translate(PHASE_TYPE_MESSAGES[step.type]),
+        type: step.type,
+        duration: Math.min(Math.max(Math.round(Number(step.duration) || 0), 1), MAX_STEP_MINUTES)
+      }));
+    return steps.some((step) => step.type === 'work') ? steps : null;
+  }
+
+  /**
+   * Turn settings from a backup into settings ready to store: upgraded to
+   * the current schema version and validated, with unusable values replaced
+   * by defaults.
+   *
+   * @param {Object} [imported] Settings section of a backup
+   * @returns {Object}
+   */
+  function importedSettings(imported) {
+    const settings = withProfiles(validateSettings(migrateSettings(imported)).settings);
+    PROFILE_KEYS.forEach((key) => delete settings[key]);
+    settings.schemaVersion = SETTINGS_VERSION;
+    return settings;
+  }
+
+  return {
+    schema: SETTINGS_SCHEMA,
+    migrateSettings,
+    migrateStoredSettings,
+    validateSettings,
+    withProfiles,
+    getSettings,
+    saveSettings,
+    normaliseSequence,
+    importedSettings
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_SETTINGS,
+    PROFILE_KEYS,
+    MAX_PROFILES,
+    PHASE_TYPES,
+    MAX_SEQUENCE_STEPS,
+    MAX_STEP_MINUTES,
+    MAX_STEP_LABEL,
+    PHASE_TYPE_MESSAGES,
+    SETTINGS_VERSION,
+    MAX_SITES,
+    MAX_EXTERNAL_IDS,
+    MAX_WORKING_WINDOWS,
+    pickProfileSettings,
+    normaliseDomain,
+    createSettings
+  };
+}
@@ -0,0 +1,202 @@
+/*
+ * Sound definitions and storage shared by the offscreen audio document and
+ * the options page. The bundled chimes are synthesised with the Web Audio
+ * API from the note lists below, so no audio files need to ship with the
+ * extension. Sounds uploaded by the user are kept in IndexedDB, which the
+ * options page and the offscreen document share because they run on the
+ * same extension origin.
+ *
+ * Sound ids are either a key of CHIMES, 'none', or 'custom:<id>' for an
+ * uploaded sound. Chime names are message names; the options page, which
+ * also loads i18n.js, translates them and the upload errors.
+ */
+
+// Each chime is a list of notes: frequency (Hz), start offset and length in
+// seconds, and the oscillator waveform.
+const CHIMES = {
+  bell: {
+    label: 'chimeBell',
+    notes: [
+      { freq: 880, start: 0, length: 1.2, type: 'sine' },
+      { freq: 1318.5, start: 0, length: 0.9, type: 'sine' },
+      { freq: 660, start: 0.35, length: 1.4, type: 'sine' }
+    ]
+  },
+  digital: {
+    label: 'chimeDigital',
+    notes: [
+      { freq: 1200, start: 0, length: 0.12, type: 'square' },
+      { freq: 1200, start: 0.2, length: 0.12, type: 'square' },
+      { freq: 1600, start: 0.4, length: 0.25, type: 'square' }
+    ]
+  },
+  soft: {
+    label: 'chimeSoft',
+    notes: [
+      { freq: 523.25, start: 0, length: 0.6, type: 'triangle' },
+      { freq: 659.25, start: 0.2, length: 0.6, type: 'triangle' },
+      { freq: 783.99, start: 0.4, length: 0.9, type: 'triangle' }
+    ]
+  },
+  gong: {
+    label: 'chimeGong',
+    notes: [
+      { freq: 110, start: 0, length: 2.5, type: 'sine' },
+      { freq: 220.5, start: 0, length: 2, type: 'sine' },
+      { freq: 331, start: 0, length: 1.5, type: 'sine' }
+    ]
+  }
+};
+
+// Uploaded sounds are limited to keep storage small and sounds short
+const MAX_CUSTOM_SOUND_BYTES = 1024 * 1024;
+const SOUND_DB_NAME = 'pomopal-sounds';
+const SOUND_STORE = 'sounds';
+
+/**
+ * Play a bundled chime.
+ *
+ * @param {AudioContext} ctx Audio context to play through
+ * @param {string} chimeId Key of CHIMES
+ * @param {number} volume 0‑1
+ * @returns {number} Length of the chime in seconds
+ */
+function playChime(ctx, chimeId, volume) {
+  const chime = CHIMES[chimeId];
+  if (!chime) return 0;
+  let end = 0;
+  chime.notes.forEach((note) => {
+    const start = ctx.currentTime + note.start;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = note.type;
+    osc.frequency.value = note.freq;
+    // Quick attack and exponential decay give a struck‑bell envelope
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(Math.max(volume, 0.0001) * 0.4, start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + note.length);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(start);
+    osc.stop(start + note.length + 0.05);
+    end = Math.max(end, note.start + note.length);
+  });
+  return end;
+}
+
+/**
+ * Play one tick of the optional ticking sound: a very short filtered noise
+ * burst, similar to a mechanical kitchen timer.
+ *
+ * @param {AudioContext} ctx Audio context to play through
+ * @param {number} volume 0‑1
+ */
+function playTick(ctx, volume) {
+  const length = Math.floor(ctx.sampleRate * 0.02);
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    data[i] = (Math.random() * 2 - 1) * (1 - i / length);
+  }
+  const source = ctx.createBufferSource();
+  const filter = ctx.createBiquadFilter();
+  const gain = ctx.createGain();
+  source.buffer = buffer;
+  filter.type = 'bandpass';
+  filter.frequency.value = 3000;
+  gain.gain.value = volume * 0.5;
+  source.connect(filter).connect(gain).connect(ctx.destination);
+  source.start();
+}
+
+/**
+ * Open (and create on first use) the IndexedDB database for uploaded
+ * sounds.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSoundDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SOUND_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SOUND_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the sound store.
+ *
+ * @param {string} mode 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @returns {Promise<any>} Result of the request
+ */
+async function withSoundStore(mode, operation) {
+  const db = await openSoundDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SOUND_STORE, mode);
+    const request = operation(tx.objectStore(SOUND_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+/**
+ * Store an uploaded audio file.
+ *
+ * @param {File} file Audio file chosen by the user
+ * @returns {Promise<{id: string, name: string}>}
+ */
+async function saveCustomSound(file) {
+  if (!file.type.startsWith('audio/')) {
+    throw new Error(t('soundNotAudio'));
+  }
+  if (file.size > MAX_CUSTOM_SOUND_BYTES) {
+    throw new Error(t('soundTooLarge'));
+  }
+  const sound = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: file.name,
+    type: file.type,
+    blob: file
+  };
+  await withSoundStore('readwrite', (store) => store.put(sound));
+  return { id: sound.id, name: sound.name };
+}
+
+/**
+ * List uploaded sounds without their audio data.
+ *
+ * @returns {Promise<{id: string, name: string}[]>}
+ */
+async function listCustomSounds() {
+  const sounds = await withSoundStore('readonly', (store) => store.getAll());
+  return sounds.map((sound) => ({ id: sound.id, name: sound.name }));
+}
+
+/**
+ * Load an uploaded sound's audio data.
+ *
+ * @param {string} id Sound id (without the 'custom:' prefix)
+ * @returns {Promise<Blob|null>}
+ */
+async function getCustomSoundBlob(id) {
+  const sound = await withSoundStore('readonly', (store) => store.get(id));
+  return sound ? sound.blob : null;
+}
+
+/**
+ * Delete an uploaded sound.
+ *
+ * @param {string} id Sound id (without the 'custom:' prefix)
+ */
+async function deleteCustomSound(id) {
+  await withSoundStore('readwrite', (store) => store.delete(id));
+}
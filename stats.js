@@ -0,0 +1,453 @@
+/*
+ * Logic for the statistics dashboard. The page asks the background service
+ * worker for aggregates over the last year and renders them as a calendar
+ * heatmap, bar charts and summary cards. All charts are plain SVG built
+ * here, so no external libraries or network requests are involved. Date
+ * keys come from the shared helpers in dates.js; numbers, dates and month
+ * and weekday names are formatted for the current language by i18n.js.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const summaryCards = document.getElementById('summary-cards');
+const heatmapContainer = document.getElementById('heatmap');
+const dailyChart = document.getElementById('daily-chart');
+const weeklyChart = document.getElementById('weekly-chart');
+const monthlyChart = document.getElementById('monthly-chart');
+const hourChart = document.getElementById('hour-chart');
+const weekdayChart = document.getElementById('weekday-chart');
+const focusCards = document.getElementById('focus-cards');
+const interruptionChart = document.getElementById('interruption-chart');
+const reasonList = document.getElementById('reason-list');
+const profileRows = document.getElementById('profile-rows');
+
+// Messages naming the pause reasons recorded by the service worker
+const REASON_MESSAGES = {
+  internal: 'reasonLabelInternal',
+  external: 'reasonLabelExternal',
+  break: 'reasonLabelBreak',
+  unspecified: 'reasonLabelUnspecified'
+};
+
+/**
+ * Send a command to the background service worker.
+ *
+ * @param {string} command Command identifier
+ * @param {Object} [payload]
+ * @returns {Promise<any>}
+ */
+function sendCommand(command, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ command, ...payload }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * Create an SVG element with the given attributes.
+ *
+ * @param {string} tag Element name
+ * @param {Object} [attrs]
+ * @returns {SVGElement}
+ */
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+/**
+ * Format an average with one decimal.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatAverage(value) {
+  return formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Short label for a day on a chart axis, e.g. 3/14 or 14.3.
+ *
+ * @param {string} key Date key
+ * @returns {string}
+ */
+function shortDay(key) {
+  return formatDay(key, { month: 'numeric', day: 'numeric' });
+}
+
+/**
+ * Name of the month of a 'YYYY‑MM' key.
+ *
+ * @param {string} month
+ * @param {boolean} [withYear] Full month name and year instead of the short name
+ * @returns {string}
+ */
+function monthName(month, withYear = false) {
+  return formatDay(`${month}-01`, withYear ? { year: 'numeric', month: 'long' } : { month: 'short' });
+}
+
+/**
+ * Format an hour of the day as a clock time.
+ *
+ * @param {number} hour 0‑23
+ * @param {number} [minute]
+ * @returns {string}
+ */
+function clockTime(hour, minute = 0) {
+  return formatDate(Date.UTC(1970, 0, 1, hour, minute), { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+}
+
+/**
+ * Render a simple vertical bar chart.
+ *
+ * @param {HTMLElement} container Element to render into
+ * @param {{label: string, value: number, title: string}[]} items Bars in order
+ */
+function renderBarChart(container, items) {
+  const barWidth = 16;
+  const gap = 4;
+  const chartHeight = 100;
+  const labelHeight = 16;
+  const max = Math.max(1, ...items.map((item) => item.value));
+  const labelEvery = Math.ceil(items.length / 12);
+  const svg = svgEl('svg', {
+    width: items.length * (barWidth + gap),
+    height: chartHeight + labelHeight,
+    role: 'img'
+  });
+  items.forEach((item, index) => {
+    const height = Math.round((item.value / max) * chartHeight);
+    const x = index * (barWidth + gap);
+    const bar = svgEl('rect', {
+      class: 'bar',
+      x,
+      y: chartHeight - height,
+      width: barWidth,
+      height: Math.max(height, item.value ? 1 : 0)
+    });
+    const title = svgEl('title');
+    title.textContent = item.title;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+    if (index % labelEvery === 0) {
+      const label = svgEl('text', { x, y: chartHeight + 12 });
+      label.textContent = item.label;
+      svg.appendChild(label);
+    }
+  });
+  container.textContent = '';
+  container.appendChild(svg);
+}
+
+/**
+ * Render a year‑long calendar heatmap with one column per week and one row
+ * per weekday. Colour intensity is relative to the busiest day.
+ *
+ * @param {string} from First date key
+ * @param {string} to Last date key
+ * @param {Object} days Map of date key to {completed, focusMs}
+ */
+function renderHeatmap(from, to, days) {
+  const cell = 12;
+  const gap = 2;
+  const top = 14;
+  const left = 28;
+  const max = Math.max(1, ...Object.values(days).map((day) => day.completed));
+  const offset = weekdayOfKey(from);
+  let totalDays = 0;
+  for (let key = from; key <= to; key = addDaysToKey(key, 1)) totalDays += 1;
+  const weeks = Math.ceil((totalDays + offset) / 7);
+  const svg = svgEl('svg', {
+    width: left + weeks * (cell + gap),
+    height: top + 7 * (cell + gap),
+    role: 'img'
+  });
+  const weekdayLabels = weekdayNames();
+  [1, 3, 5].forEach((weekday) => {
+    const label = svgEl('text', { x: 0, y: top + weekday * (cell + gap) + cell - 2 });
+    label.textContent = weekdayLabels[weekday];
+    svg.appendChild(label);
+  });
+  let index = offset;
+  for (let key = from; key <= to; key = addDaysToKey(key, 1), index += 1) {
+    const column = Math.floor(index / 7);
+    const row = index % 7;
+    const count = days[key] ? days[key].completed : 0;
+    const level = count === 0 ? 0 : Math.min(Math.max(Math.ceil((count / max) * 4), 1), 4);
+    const rect = svgEl('rect', {
+      class: `heat-${level}`,
+      x: left + column * (cell + gap),
+      y: top + row * (cell + gap),
+      width: cell,
+      height: cell,
+      rx: 2
+    });
+    const title = svgEl('title');
+    title.textContent = tPlural('heatmapTitle', count, [formatDay(key)]);
+    rect.appendChild(title);
+    svg.appendChild(rect);
+    if (key.endsWith('-01')) {
+      const month = svgEl('text', { x: left + column * (cell + gap), y: 10 });
+      month.textContent = monthName(key.slice(0, 7));
+      svg.appendChild(month);
+    }
+  }
+  heatmapContainer.textContent = '';
+  heatmapContainer.appendChild(svg);
+}
+
+/**
+ * Group per‑day counts into consecutive 7‑day blocks ending on `to`.
+ *
+ * @param {string} to Last date key
+ * @param {Object} days Map of date key to {completed, focusMs}
+ * @param {number} count Number of weeks
+ * @returns {{start: string, completed: number}[]} Oldest first
+ */
+function groupWeeks(to, days, count) {
+  const weeks = [];
+  for (let w = count - 1; w >= 0; w--) {
+    const start = addDaysToKey(to, -(w * 7 + 6));
+    let completed = 0;
+    for (let d = 0; d < 7; d++) {
+      const day = days[addDaysToKey(start, d)];
+      completed += day ? day.completed : 0;
+    }
+    weeks.push({ start, completed });
+  }
+  return weeks;
+}
+
+/**
+ * Group per‑day counts by calendar month for the last `count` months.
+ *
+ * @param {string} to Last date key
+ * @param {Object} days Map of date key to {completed, focusMs}
+ * @param {number} count Number of months
+ * @returns {{month: string, completed: number}[]} Oldest first
+ */
+function groupMonths(to, days, count) {
+  const totals = {};
+  Object.entries(days).forEach(([key, day]) => {
+    const month = key.slice(0, 7);
+    totals[month] = (totals[month] || 0) + day.completed;
+  });
+  const months = [];
+  let year = Number(to.slice(0, 4));
+  let month = Number(to.slice(5, 7));
+  for (let i = 0; i < count; i++) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    months.unshift({ month: key, completed: totals[key] || 0 });
+    month -= 1;
+    if (month === 0) {
+      month = 12;
+      year -= 1;
+    }
+  }
+  return months;
+}
+
+/**
+ * Fill a card grid with label/value pairs.
+ *
+ * @param {HTMLElement} container Grid element
+ * @param {Array<[string, (string|number)]>} cards Label and value pairs
+ */
+function renderCards(container, cards) {
+  container.textContent = '';
+  cards.forEach(([label, value]) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const valueEl = document.createElement('div');
+    valueEl.className = 'value';
+    valueEl.textContent = value;
+    const labelEl = document.createElement('div');
+    labelEl.className = 'label';
+    labelEl.textContent = label;
+    card.append(valueEl, labelEl);
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Turn a reason key from the service worker into display text. Custom
+ * reasons arrive as 'custom:<note>'.
+ *
+ * @param {string} reason
+ * @returns {string}
+ */
+function reasonLabel(reason) {
+  if (reason.startsWith('custom:')) return reason.slice(7);
+  return REASON_MESSAGES[reason] ? t(REASON_MESSAGES[reason]) : reason;
+}
+
+/**
+ * Render interruption counts, pause reasons, idle time and the completion
+ * rate.
+ *
+ * @param {Object} range Aggregates returned by the service worker
+ * @param {string} to Last date key
+ */
+function renderFocusQuality(range, to) {
+  renderCards(focusCards, [
+    [t('cardCompletionRate'), range.completionRate == null ? '–' : formatPercent(range.completionRate)],
+    [t('cardAbandoned'), formatNumber(range.totals.abandoned)],
+    [t('cardInterruptionsYear'), formatNumber(range.totals.interruptions)],
+    [t('cardInterruptionsPerDay'), formatAverage(range.averages.interruptionsPerDay)],
+    [t('cardTimeAway'), formatHours(range.totals.idleMs)]
+  ]);
+  const daily = [];
+  for (let i = 29; i >= 0; i--) {
+    const key = addDaysToKey(to, -i);
+    const count = range.days[key] ? range.days[key].interruptions : 0;
+    const title = t('chartBarTitle', [formatDay(key), formatNumber(count)]);
+    daily.push({ label: shortDay(key), value: count, title });
+  }
+  renderBarChart(interruptionChart, daily);
+  reasonList.textContent = '';
+  range.reasons.slice(0, 8).forEach(({ reason, count }) => {
+    const item = document.createElement('li');
+    item.textContent = t('reasonCount', [reasonLabel(reason), formatNumber(count)]);
+    reasonList.appendChild(item);
+  });
+  if (!range.reasons.length) {
+    const item = document.createElement('li');
+    item.textContent = t('noInterruptions');
+    reasonList.appendChild(item);
+  }
+}
+
+/**
+ * List work sessions and focus time per timer profile.
+ *
+ * @param {Object} range Aggregates returned by the service worker
+ */
+function renderProfiles(range) {
+  profileRows.textContent = '';
+  range.profiles.forEach((profile) => {
+    const row = document.createElement('tr');
+    [profile.name || t('deletedProfile'), formatNumber(profile.completed), formatNumber(profile.abandoned),
+      formatHours(profile.focusMs)]
+      .forEach((value, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        if (index > 0) cell.className = 'num';
+        row.appendChild(cell);
+      });
+    profileRows.appendChild(row);
+  });
+}
+
+/**
+ * Render the summary cards with totals, averages and personal bests.
+ *
+ * @param {Object} range Aggregates returned by the service worker
+ * @param {Object} summary Current stats summary (today/week/streak)
+ * @param {Object[]} weeks Output of groupWeeks() for the whole range
+ * @param {Object[]} months Output of groupMonths() for the whole range
+ */
+function renderSummary(range, summary, weeks, months) {
+  const bestWeek = weeks.reduce((best, week) => (week.completed > best.completed ? week : best), weeks[0]);
+  const bestMonth = months.reduce((best, month) => (month.completed > best.completed ? month : best), months[0]);
+  const cards = [
+    [t('cardPomodorosYear'), formatNumber(range.totals.completed)],
+    [t('cardFocusYear'), formatHours(range.totals.focusMs)],
+    [t('cardAveragePerDay'), formatAverage(range.averages.perDay)],
+    [t('cardAveragePerActiveDay'), formatAverage(range.averages.perActiveDay)],
+    [t('cardActiveDays'), formatNumber(range.totals.activeDays)],
+    [t('cardGoalStreak'), tPlural('dayCount', summary.streak)],
+    [t('cardBestGoalStreak'), tPlural('dayCount', summary.bestStreak)],
+    [t('cardLongestRun'), tPlural('dayCount', range.bests.longestStreak)],
+    [t('cardBestDay'), range.bests.day
+      ? t('bestOn', [formatNumber(range.bests.day.completed), formatDay(range.bests.day.date)])
+      : '–'],
+    [t('cardBestWeek'), bestWeek && bestWeek.completed
+      ? t('bestWeekFrom', [formatNumber(bestWeek.completed), formatDay(bestWeek.start)])
+      : '–'],
+    [t('cardBestMonth'), bestMonth && bestMonth.completed
+      ? t('bestOn', [formatNumber(bestMonth.completed), monthName(bestMonth.month, true)])
+      : '–']
+  ];
+  renderCards(summaryCards, cards);
+}
+
+/**
+ * Load the aggregates for the last year and render every chart.
+ */
+async function loadDashboard() {
+  const { settings } = await sendCommand('getSettings');
+  applyTheme(settings.theme);
+  const to = toDateKey(Date.now(), settings.dayStartHour);
+  const from = addDaysToKey(to, -364);
+  const [range, summary] = await Promise.all([
+    sendCommand('getStatsRange', { from, to }),
+    sendCommand('getStats')
+  ]);
+  const { days } = range;
+
+  renderHeatmap(from, to, days);
+
+  const daily = [];
+  for (let i = 29; i >= 0; i--) {
+    const key = addDaysToKey(to, -i);
+    const count = days[key] ? days[key].completed : 0;
+    const title = t('chartBarTitle', [formatDay(key), formatNumber(count)]);
+    daily.push({ label: shortDay(key), value: count, title });
+  }
+  renderBarChart(dailyChart, daily);
+
+  const allWeeks = groupWeeks(to, days, 52);
+  renderBarChart(weeklyChart, allWeeks.slice(-12).map((week) => ({
+    label: shortDay(week.start),
+    value: week.completed,
+    title: t('weekFromTitle', [formatDay(week.start), formatNumber(week.completed)])
+  })));
+
+  const allMonths = groupMonths(to, days, 12);
+  renderBarChart(monthlyChart, allMonths.map((month) => ({
+    label: monthName(month.month),
+    value: month.completed,
+    title: t('chartBarTitle', [monthName(month.month, true), formatNumber(month.completed)])
+  })));
+
+  renderBarChart(hourChart, range.hourOfDay.map((count, hour) => ({
+    label: formatNumber(hour),
+    value: count,
+    title: t('chartBarTitle', [t('timeRange', [clockTime(hour), clockTime(hour, 59)]), formatNumber(count)])
+  })));
+
+  // Show the week starting on Monday
+  const weekdayOrder = [1, 2, 3, 4, 5, 6, 0];
+  const weekdayLabels = weekdayNames();
+  const weekdayTitles = weekdayNames('long');
+  renderBarChart(weekdayChart, weekdayOrder.map((weekday) => ({
+    label: weekdayLabels[weekday],
+    value: range.dayOfWeek[weekday],
+    title: t('chartBarTitle', [weekdayTitles[weekday], formatNumber(range.dayOfWeek[weekday])])
+  })));
+
+  renderSummary(range, summary, allWeeks, allMonths);
+  renderFocusQuality(range, to);
+  renderProfiles(range);
+}
+
+// Follow theme and language changes made on the options page while the
+// dashboard is open
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !changes.settings) return;
+  const { settings } = await sendCommand('getSettings');
+  if (resolveLocale(settings.language) !== currentLocale()) {
+    location.reload();
+    return;
+  }
+  applyTheme(settings.theme);
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { settings } = await sendCommand('getSettings');
+  await initI18n(settings.language);
+  localizePage();
+  loadDashboard();
+});
@@ -0,0 +1,50 @@
+/*
+ * Live timer updates for the extension pages. A page connects a port named
+ * 'status' to the service worker, which sends it the timer state straight
+ * away and again after every change. The port closes when the worker is
+ * stopped for being idle. Connecting starts the worker again, so the page
+ * only reconnects straight away while the timer is running, when the next
+ * change is on its way anyway; otherwise it waits until the user comes
+ * back to the page or acts on it, and lets the worker rest meanwhile.
+ */
+
+// Wait before reconnecting, so a worker that fails to start is not hammered
+const STATUS_RECONNECT_MS = 1000;
+
+/**
+ * Call `onState` with the timer state now and whenever it changes, for as
+ * long as the page is open.
+ *
+ * @param {function(Object)} onState Called with the timer state
+ */
+function subscribeToStatus(onState) {
+  let connected = false;
+  let lastState = null;
+
+  /**
+   * Open the port unless it is open already.
+   */
+  function connect() {
+    if (connected) return;
+    connected = true;
+    const port = chrome.runtime.connect({ name: 'status' });
+    port.onMessage.addListener((message) => {
+      if (message.type !== 'statusUpdate') return;
+      lastState = message.state;
+      onState(message.state);
+    });
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      if (lastState && lastState.running) setTimeout(connect, STATUS_RECONNECT_MS);
+    });
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') connect();
+  });
+  window.addEventListener('focus', connect);
+  // A click or key press is about to need the current state
+  document.addEventListener('pointerdown', connect, true);
+  document.addEventListener('keydown', connect, true);
+  connect();
+}
@@ -0,0 +1,120 @@
+/*
+ * Notification templates and quotes. The title and message of the
+ * notification shown when a phase ends can be rewritten per phase type
+ * with placeholders in braces, such as 'Pomodoro {count} done!'; an empty
+ * template keeps PomoPal's own wording. A quote from the user's list (or
+ * the built‑in one) is added to a share of the notifications.
+ *
+ * The file is a classic script without dependencies. The service worker
+ * loads it with importScripts(), the options page with a <script> tag, and
+ * Node can require() it.
+ */
+
+// Placeholders a template may use:
+//   {count}         pomodoros completed today
+//   {task}          title of the active task, empty without one
+//   {nextPhase}     label of the phase that comes next
+//   {nextDuration}  length of the next phase in minutes
+//   {streak}        current goal streak in days
+const TEMPLATE_PLACEHOLDERS = ['count', 'task', 'nextPhase', 'nextDuration', 'streak'];
+const MAX_TEMPLATE_TITLE_LENGTH = 60;
+const MAX_TEMPLATE_MESSAGE_LENGTH = 200;
+
+// A collection of motivational quotes used to add variety to notifications.
+// Randomly selected when a session completes to provide a variable reward
+// experience. Citations: research shows unpredictable rewards increase
+// engagement and motivation【553471993785898†L154-L182】.
+// Each entry is the name of a translated message. These are the built‑in
+// quotes, used until the user edits the list on the options page.
+const MOTIVATIONAL_QUOTES = [
+  'quote1',
+  'quote2',
+  'quote3',
+  'quote4',
+  'quote5',
+  'quote6',
+  'quote7',
+  'quote8',
+  'quote9',
+  'quote10'
+];
+// Limits of the user's own quote list
+const MAX_QUOTES = 100;
+const MAX_QUOTE_LENGTH = 200;
+
+/**
+ * Find what is wrong with a template, if anything.
+ *
+ * @param {string} text Template
+ * @returns {{problem: 'placeholder', name: string}|{problem: 'brace'}|null}
+ *   'placeholder' names an unknown placeholder, 'brace' is a brace without
+ *   its partner; null when the template is fine
+ */
+function templateProblem(text) {
+  let unknown = null;
+  const rest = text.replace(/\{([^{}]*)\}/g, (match, name) => {
+    if (!unknown && !TEMPLATE_PLACEHOLDERS.includes(name)) unknown = name;
+    return '';
+  });
+  if (unknown !== null) return { problem: 'placeholder', name: unknown };
+  return /[{}]/.test(rest) ? { problem: 'brace' } : null;
+}
+
+/**
+ * Replace the placeholders of a valid template with their values. Runs of
+ * spaces left by an empty value are closed up.
+ *
+ * @param {string} text Template
+ * @param {Object<string, string>} values Text for each placeholder
+ * @returns {string}
+ */
+function fillTemplate(text, values) {
+  return text
+    .replace(/\{([^{}]*)\}/g, (match, name) => (values[name] == null ? '' : String(values[name])))
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Read quotes from a text file, one per line. Blank lines and repeats are
+ * left out.
+ *
+ * @param {string} text File contents
+ * @returns {string[]}
+ */
+function parseQuotes(text) {
+  const quotes = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const quote = line.replace(/\s+/g, ' ').trim();
+    if (quote && !quotes.includes(quote)) quotes.push(quote);
+  });
+  return quotes;
+}
+
+/**
+ * Decide whether a notification gets a quote and pick one.
+ *
+ * @param {string[]} quotes Quotes to choose from
+ * @param {number} frequency Chance of a quote in percent; 0 never adds one
+ * @param {function(): number} [random] Source of numbers in [0, 1)
+ * @returns {string|null}
+ */
+function pickQuote(quotes, frequency, random = Math.random) {
+  if (!quotes.length || random() * 100 >= frequency) return null;
+  return quotes[Math.floor(random() * quotes.length)];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEMPLATE_PLACEHOLDERS,
+    MOTIVATIONAL_QUOTES,
+    MAX_TEMPLATE_TITLE_LENGTH,
+    MAX_TEMPLATE_MESSAGE_LENGTH,
+    MAX_QUOTES,
+    MAX_QUOTE_LENGTH,
+    templateProblem,
+    fillTemplate,
+    parseQuotes,
+    pickQuote
+  };
+}
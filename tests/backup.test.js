@@ -0,0 +1,191 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MINUTE, START, createDailyTotal } = require('./fakes.js');
+
+// backup.js is a classic script that expects toDateKey(), createDailyTotal()
+// and isReflection() as globals, as in the service worker; fakes.js provides
+// the helpers of dates.js
+Object.assign(global, { createDailyTotal }, { isReflection: require('../reflections.js').isReflection });
+
+const { BACKUP_FORMAT, BACKUP_VERSION, csvField, backupToCsv, createImporter } = require('../backup.js');
+
+// Messages come out as their names, imported settings are only marked
+const { validateBackup, planImport } = createImporter({
+  translate: (key, substitutions) => [key].concat(substitutions === undefined ? [] : substitutions).join(' '),
+  translatePlural: (key, count) => `${key} ${count}`,
+  importedSettings: (settings) => Object.assign({ imported: true }, settings)
+});
+
+/**
+ * A completed work session ending a number of hours after START.
+ *
+ * @param {string} id
+ * @param {number} hours
+ * @param {Object} [extra] Fields to override
+ * @returns {Object} History entry
+ */
+function session(id, hours, extra = {}) {
+  const endTime = START + hours * 60 * MINUTE;
+  return Object.assign({
+    id,
+    phase: 'work',
+    outcome: 'completed',
+    plannedDuration: 25 * MINUTE,
+    actualDuration: 25 * MINUTE,
+    startTime: endTime - 25 * MINUTE,
+    endTime,
+    taskId: null
+  }, extra);
+}
+
+/**
+ * A backup bundle around some data.
+ *
+ * @param {Object} data Sections to override
+ * @param {string} [sourceId]
+ * @returns {Object}
+ */
+function bundle(data, sourceId = 'other') {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: START,
+    sourceId,
+    data: Object.assign({
+      settings: {},
+      history: [],
+      dailyTotals: {},
+      journal: [],
+      tasks: [],
+      activeTaskId: null
+    }, data)
+  };
+}
+
+/**
+ * Stored data as the service worker passes it to planImport().
+ *
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function current(overrides = {}) {
+  return Object.assign({
+    settings: { theme: 'dark' },
+    history: { entries: [], dailyTotals: {}, journal: [] },
+    tasks: [],
+    activeTaskId: null,
+    installId: 'mine',
+    mergedSources: {}
+  }, overrides);
+}
+
+const reflection = { note: 'Drafted the intro', focus: 4, recordedAt: START };
+
+test('a file that is not a PomoPal backup is refused outright', () => {
+  assert.deepEqual(validateBackup(null), ['backupNotPomoPal']);
+  assert.deepEqual(validateBackup({ format: 'other' }), ['backupNotPomoPal']);
+  assert.deepEqual(validateBackup(Object.assign(bundle({}), { version: BACKUP_VERSION + 1 })),
+    [`backupUnsupportedVersion ${BACKUP_VERSION + 1}`]);
+  assert.deepEqual(validateBackup(Object.assign(bundle({}), { data: [] })), ['backupNoData']);
+  assert.deepEqual(validateBackup(bundle({})), []);
+});
+
+test('every broken section of a backup is reported, up to a limit', () => {
+  const broken = bundle({
+    history: [session('1', 1), session('2', 2, { outcome: 'lost' }), session('3', 3, { reflection: { note: 1 } })],
+    dailyTotals: { '2024-05-01': createDailyTotal(), yesterday: createDailyTotal() },
+    tasks: [{ id: 't', title: 'Report', estimate: -1, completedPomodoros: 0, done: false }]
+  });
+  assert.deepEqual(validateBackup(broken), [
+    'backupHistoryEntryInvalid 2',
+    'backupHistoryEntryInvalid 3',
+    'backupDailyTotalInvalid yesterday',
+    'backupTaskInvalid 1'
+  ]);
+  const many = bundle({ history: Array.from({ length: 12 }, (_, i) => session(String(i), i, { endTime: 0 })) });
+  const problems = validateBackup(many);
+  assert.equal(problems.length, 11);
+  assert.equal(problems[10], 'backupMoreProblems 2');
+});
+
+test('replacing takes the backup as it is', () => {
+  const incoming = bundle({
+    settings: { theme: 'light' },
+    history: [session('2', 2)],
+    dailyTotals: { '2024-05-01': Object.assign(createDailyTotal(), { completed: 3 }) },
+    tasks: [{ id: 't', title: 'Report', estimate: 2, completedPomodoros: 1, done: false }],
+    activeTaskId: 'gone'
+  });
+  const stored = current({ history: { entries: [session('1', 1)], dailyTotals: {}, journal: [] } });
+  const next = planImport(incoming, 'replace', stored);
+  assert.deepEqual(next.settings, { imported: true, theme: 'light' });
+  assert.deepEqual(next.history.map((entry) => entry.id), ['2']);
+  assert.equal(next.dailyTotals['2024-05-01'].completed, 3);
+  assert.equal(next.tasks.length, 1);
+  // The active task must be one of the imported tasks
+  assert.equal(next.activeTaskId, null);
+  assert.deepEqual(next.mergedSources, {});
+});
+
+test('merging adds unknown sessions and tasks and fills in missing reflections', () => {
+  const stored = current({
+    history: { entries: [session('1', 1), session('2', 2)], dailyTotals: {}, journal: [] },
+    tasks: [
+      { id: 'a', title: 'Report', estimate: 2, completedPomodoros: 2, done: false },
+      { id: 'b', title: 'Slides', estimate: 3, completedPomodoros: 0, done: false }
+    ],
+    activeTaskId: 'a'
+  });
+  const incoming = bundle({
+    history: [session('3', 3), session('0', 0)],
+    journal: [{ id: '2', outcome: 'completed', actualDuration: 25 * MINUTE, startTime: 1, endTime: 2, reflection }],
+    tasks: [
+      { id: 'a', title: 'Report', estimate: 2, completedPomodoros: 1, done: false },
+      { id: 'b', title: 'Slides', estimate: 3, completedPomodoros: 2, done: false },
+      { id: 'c', title: 'Email', estimate: 1, completedPomodoros: 0, done: true }
+    ]
+  });
+  const next = planImport(incoming, 'merge', stored);
+  assert.deepEqual(next.settings, { imported: true, theme: 'dark' });
+  assert.deepEqual(next.history.map((entry) => entry.id), ['0', '1', '2', '3']);
+  assert.deepEqual(next.history[2].reflection, reflection);
+  // The session is kept in detail, so its reflection is not added twice
+  assert.deepEqual(next.journal, []);
+  assert.deepEqual(next.tasks.map((task) => [task.id, task.completedPomodoros]), [['a', 2], ['b', 2], ['c', 0]]);
+  assert.equal(next.activeTaskId, 'a');
+  // What is stored stays untouched until the plan is written
+  assert.equal(stored.history.entries.length, 2);
+});
+
+test('importing a newer backup from the same source only adds the difference', () => {
+  const day = (completed) => ({ '2024-05-01': Object.assign(createDailyTotal(), { completed }) });
+  const stored = current({ history: { entries: [], dailyTotals: day(2), journal: [] } });
+  const first = planImport(bundle({ dailyTotals: day(3) }), 'merge', stored);
+  assert.equal(first.dailyTotals['2024-05-01'].completed, 5);
+  assert.deepEqual(first.mergedSources.other, day(3));
+  const second = planImport(bundle({ dailyTotals: day(4) }), 'merge', current({
+    history: { entries: [], dailyTotals: first.dailyTotals, journal: [] },
+    mergedSources: first.mergedSources
+  }));
+  assert.equal(second.dailyTotals['2024-05-01'].completed, 6);
+  // A backup of this browser only fills in what is missing
+  const own = planImport(bundle({ dailyTotals: day(4) }, 'mine'), 'merge', stored);
+  assert.equal(own.dailyTotals['2024-05-01'].completed, 4);
+  assert.deepEqual(own.mergedSources, {});
+});
+
+test('exported text cannot run as a spreadsheet formula', () => {
+  assert.equal(csvField('Write report'), 'Write report');
+  assert.equal(csvField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvField('+1'), "'+1");
+  assert.equal(csvField('-2'), "'-2");
+  assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvField(null), '');
+  const csv = backupToCsv(bundle({
+    settings: { dayStartHour: 0 },
+    history: [session('1', 1, { taskId: 't', reflection: { note: '=cmd|calc', focus: 4, recordedAt: START } })],
+    tasks: [{ id: 't', title: '@Report, final', estimate: 1, completedPomodoros: 1, done: true }]
+  }));
+  const row = csv.split('\r\n')[1];
+  assert.ok(row.endsWith(`,"'@Report, final",,,'=cmd|calc,4`), row);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MINUTE, createFakeClock, createFakeChrome } = require('./fakes.js');
+
+// blocker.js is a classic script that expects normaliseDomain() as a
+// global, as in the service worker
+Object.assign(global, { normaliseDomain: require('../settings.js').normaliseDomain });
+
+const { BYPASS_END_ALARM, createBlocker } = require('../blocker.js');
+
+const BLOCKED_PAGE = 'chrome-extension://pomopal/blocked.html';
+
+/**
+ * A blocker wired to fakes, blocking example.com during running work.
+ *
+ * @returns {Object} The blocker with its clock, storage data, alarms, the
+ *   installed rules and the timer state to change
+ */
+function createSetup() {
+  const clock = createFakeClock();
+  const fake = createFakeChrome();
+  const timer = { state: { phase: 'work', running: true } };
+  let sessionRules = [];
+  const blocker = createBlocker({
+    clock,
+    storage: fake.storage.local,
+    rules: {
+      async getSessionRules() {
+        return sessionRules.slice();
+      },
+      async updateSessionRules({ removeRuleIds, addRules }) {
+        sessionRules = sessionRules.filter((rule) => !removeRuleIds.includes(rule.id)).concat(addRules);
+      }
+    },
+    hasHostAccess: async () => true,
+    scheduler: {
+      set: (name, when) => fake.alarms.create(name, { when }),
+      clear: (name) => fake.alarms.clear(name)
+    },
+    getSettings: async () => ({
+      blockerEnabled: true,
+      blockerMode: 'blocklist',
+      blockedSites: ['example.com'],
+      allowedSites: [],
+      bypassMinutes: 5
+    }),
+    getState: async () => timer.state,
+    blockedPageUrl: BLOCKED_PAGE,
+    translate: (key) => key
+  });
+  return Object.assign({ clock, data: fake.data, alarms: fake.alarms, timer, rules: () => sessionRules }, blocker);
+}
+
+/**
+ * Domains with an allow rule from a bypass.
+ *
+ * @param {Object[]} rules
+ * @returns {string[]}
+ */
+function allowedDomains(rules) {
+  return rules.filter((rule) => rule.priority === 3).map((rule) => rule.condition.requestDomains[0]);
+}
+
+test('blocking follows running work', async () => {
+  const setup = createSetup();
+  await setup.syncBlocker();
+  assert.equal(setup.rules().length, 1);
+  assert.equal(setup.rules()[0].action.redirect.regexSubstitution, `${BLOCKED_PAGE}#\\0`);
+  setup.timer.state = { phase: 'short_break', running: true };
+  await setup.syncBlocker();
+  assert.deepEqual(setup.rules(), []);
+});
+
+test('a bypass survives a pause within its time', async () => {
+  const setup = createSetup();
+  await setup.syncBlocker();
+  assert.deepEqual(await setup.bypassBlock('https://www.example.com/feed'), { success: true, minutes: 5 });
+  assert.deepEqual(allowedDomains(setup.rules()), ['example.com']);
+  setup.clock.advance(MINUTE);
+  setup.timer.state = { phase: 'work', running: false };
+  await setup.syncBlocker();
+  assert.deepEqual(setup.rules(), []);
+  setup.clock.advance(MINUTE);
+  setup.timer.state = { phase: 'work', running: true };
+  await setup.syncBlocker();
+  assert.deepEqual(allowedDomains(setup.rules()), ['example.com']);
+  assert.deepEqual((await setup.alarms.getAll()).map((alarm) => alarm.name), [BYPASS_END_ALARM]);
+  // Once it runs out the site is blocked again
+  setup.clock.advance(3 * MINUTE);
+  await setup.syncBlocker();
+  assert.deepEqual(allowedDomains(setup.rules()), []);
+  assert.deepEqual(setup.data.blockerBypasses, {});
+  assert.deepEqual(await setup.alarms.getAll(), []);
+});
+
+test('bypasses are logged by domain, newest first', async () => {
+  const setup = createSetup();
+  assert.deepEqual(await setup.bypassBlock('not a url'), { success: false, error: 'bypassUnknownSite' });
+  await setup.bypassBlock('https://example.com/a?secret=1');
+  setup.clock.advance(MINUTE);
+  await setup.bypassBlock('https://news.example.org/');
+  const log = await setup.getBlockerLog();
+  assert.deepEqual(log.map((entry) => entry.domain), ['news.example.org', 'example.com']);
+  assert.equal(log[1].phase, 'work');
+});
@@ -0,0 +1,61 @@
+// Clocks in Berlin go forward on 31 March 2024 and back on 27 October 2024
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toDateKey, addDaysToKey, weekdayOfKey, daysBetweenKeys, startOfDay } = require('../dates.js');
+
+test('timestamps are keyed by their local calendar day', () => {
+  // 23:30 UTC on 5 May is already 6 May in Berlin
+  assert.equal(toDateKey(Date.UTC(2024, 4, 5, 23, 30)), '2024-05-06');
+  assert.equal(toDateKey(new Date(2024, 4, 6, 0, 0).getTime()), '2024-05-06');
+  assert.equal(toDateKey(new Date(2024, 4, 5, 23, 59, 59, 999).getTime()), '2024-05-05');
+});
+
+test('times before the start hour belong to the previous day', () => {
+  const early = new Date(2024, 0, 1, 3, 59).getTime();
+  assert.equal(toDateKey(early, 4), '2023-12-31');
+  assert.equal(toDateKey(early + 60000, 4), '2024-01-01');
+});
+
+test('keys shift across month, year and leap day boundaries', () => {
+  assert.equal(addDaysToKey('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDaysToKey('2024-02-29', 1), '2024-03-01');
+  assert.equal(addDaysToKey('2024-01-01', -1), '2023-12-31');
+  assert.equal(addDaysToKey('2024-03-30', 2), '2024-04-01');
+});
+
+test('days between keys ignore daylight saving changes', () => {
+  assert.equal(daysBetweenKeys('2024-03-30', '2024-04-01'), 2);
+  assert.equal(daysBetweenKeys('2024-10-28', '2024-10-26'), -2);
+  assert.equal(daysBetweenKeys('2023-01-01', '2024-01-01'), 365);
+});
+
+test('weekdays are those of the calendar date', () => {
+  assert.equal(weekdayOfKey('2024-05-06'), 1);
+  assert.equal(weekdayOfKey('2024-03-31'), 0);
+});
+
+test('days around the clock changes are 23 and 25 hours long', () => {
+  const hours = (key) => (startOfDay(addDaysToKey(key, 1)) - startOfDay(key)) / 3600000;
+  assert.equal(hours('2024-03-31'), 23);
+  assert.equal(hours('2024-10-27'), 25);
+  assert.equal(hours('2024-05-06'), 24);
+});
+
+test('a start hour skipped by the clocks going forward begins at the next valid instant', () => {
+  assert.equal(startOfDay('2024-03-31', 2), Date.UTC(2024, 2, 31, 1, 0));
+  assert.equal(toDateKey(startOfDay('2024-03-31', 2), 2), '2024-03-31');
+  assert.equal(toDateKey(startOfDay('2024-03-31', 2) - 1, 2), '2024-03-30');
+});
+
+test('every day of a year starts where the previous one ends', () => {
+  let key = '2024-01-01';
+  for (let i = 0; i < 366; i++) {
+    const next = addDaysToKey(key, 1);
+    assert.equal(toDateKey(startOfDay(next, 4) - 1, 4), key);
+    assert.equal(toDateKey(startOfDay(next, 4), 4), next);
+    key = next;
+  }
+  assert.equal(key, '2025-01-01');
+});
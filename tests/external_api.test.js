@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  API_VERSION,
+  apiStatus,
+  parseApiRequest,
+  apiResponse,
+  apiEvent,
+  isAllowedSender
+} = require('../external_api.js');
+const { MINUTE, START, createIdleState, createHarness } = require('./fakes.js');
+
+const COMPANION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+
+test('an idle timer has no phase details', () => {
+  assert.deepEqual(apiStatus(createIdleState(), START), {
+    phase: 'idle',
+    label: null,
+    running: false,
+    paused: false,
+    awaitingStart: false,
+    startedAt: null,
+    endsAt: null,
+    remainingMs: null,
+    plannedMs: null,
+    sequenceIndex: 0,
+    sequenceLength: 0,
+    stopsAfterPhase: false
+  });
+});
+
+test('the status follows a phase through running, paused and waiting', async () => {
+  const h = createHarness({ settings: { autoStartBreaks: false } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(10 * MINUTE);
+  let status = apiStatus(h.engine.state, h.clock.now());
+  assert.equal(status.phase, 'work');
+  assert.equal(status.label, 'Work');
+  assert.equal(status.running, true);
+  assert.equal(status.paused, false);
+  assert.equal(status.startedAt, START);
+  assert.equal(status.endsAt, START + 25 * MINUTE);
+  assert.equal(status.remainingMs, 15 * MINUTE);
+  assert.equal(status.plannedMs, 25 * MINUTE);
+  assert.equal(status.sequenceLength, 8);
+
+  await h.engine.pauseTimer();
+  status = apiStatus(h.engine.state, h.clock.now() + MINUTE);
+  assert.equal(status.paused, true);
+  assert.equal(status.endsAt, null);
+  assert.equal(status.remainingMs, 15 * MINUTE);
+
+  await h.engine.resumeTimer();
+  await h.advance(15 * MINUTE);
+  status = apiStatus(h.engine.state, h.clock.now());
+  assert.equal(status.phase, 'short_break');
+  assert.equal(status.awaitingStart, true);
+  assert.equal(status.paused, false);
+  assert.equal(status.remainingMs, 5 * MINUTE);
+});
+
+test('the status only carries the documented fields', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.engine.pauseTimer('custom', 'Private note');
+  const status = apiStatus(h.engine.state, h.clock.now());
+  assert.equal(JSON.stringify(status).includes('Private note'), false);
+  assert.equal('interruptions' in status, false);
+});
+
+test('requests need an object, a supported version and a known command', () => {
+  assert.equal(parseApiRequest('getStatus').error.code, 'badRequest');
+  assert.equal(parseApiRequest(null).error.code, 'badRequest');
+  assert.equal(parseApiRequest({ command: 'getStatus' }).error.code, 'unsupportedVersion');
+  assert.equal(parseApiRequest({ apiVersion: API_VERSION + 1, command: 'getStatus' }).error.code,
+    'unsupportedVersion');
+  assert.equal(parseApiRequest({ apiVersion: 1, command: 'clearStats' }).error.code, 'unknownCommand');
+  assert.deepEqual(parseApiRequest({ apiVersion: 1, command: 'pause' }), { command: 'pause' });
+});
+
+test('responses and events carry the API version', () => {
+  const status = apiStatus(createIdleState(), START);
+  assert.deepEqual(apiResponse(status), { apiVersion: API_VERSION, ok: true, status });
+  const error = { code: 'forbidden', message: 'No' };
+  assert.deepEqual(apiResponse(undefined, error), { apiVersion: API_VERSION, ok: false, error });
+  assert.deepEqual(apiEvent('phaseCompleted', status, START, { phase: 'work' }), {
+    apiVersion: API_VERSION, type: 'event', event: 'phaseCompleted', at: START, status, phase: 'work'
+  });
+});
+
+test('only extensions on the allowlist may use the API', () => {
+  assert.equal(isAllowedSender({ id: COMPANION_ID }, [COMPANION_ID]), true);
+  assert.equal(isAllowedSender({ id: COMPANION_ID }, []), false);
+  assert.equal(isAllowedSender({ url: 'https://example.com/' }, [COMPANION_ID]), false);
+  assert.equal(isAllowedSender(undefined, [COMPANION_ID]), false);
+});
@@ -0,0 +1,218 @@
+/*
+ * In‑memory fakes of the extension APIs the timer engine is wired to, and
+ * a harness that wires a fresh engine to them the way service_worker.js
+ * wires it to chrome.*. Settings come from the real store of settings.js,
+ * so the engine sees the shipped defaults. Time only moves when a test
+ * moves it.
+ */
+
+const dates = require('../dates.js');
+
+// timer_engine.js is a classic script that expects the helpers of dates.js
+// as globals, as in the service worker
+Object.assign(global, dates);
+
+const engineModule = require('../timer_engine.js');
+
+// settings.js expects DEFAULT_PROFILE_ID, the template helpers and
+// EXTENSION_ID_PATTERN as globals, as in the service worker
+Object.assign(global, { DEFAULT_PROFILE_ID: engineModule.DEFAULT_PROFILE_ID }, require('../templates.js'), {
+  EXTENSION_ID_PATTERN: require('../external_api.js').EXTENSION_ID_PATTERN
+});
+
+const {
+  DEFAULT_SETTINGS,
+  PHASE_TYPE_MESSAGES,
+  SETTINGS_VERSION,
+  pickProfileSettings,
+  createSettings
+} = require('../settings.js');
+const messages = require('../_locales/en/messages.json');
+
+const MINUTE = 60000;
+
+// 09:00 local time on Monday 6 May 2024
+const START = new Date(2024, 4, 6, 9, 0, 0).getTime();
+
+/**
+ * English text of a message, without its substitutions filled in.
+ *
+ * @param {string} key Message name
+ * @returns {string}
+ */
+function translate(key) {
+  return messages[key] ? messages[key].message : key;
+}
+
+/**
+ * A clock that stands still until moved.
+ *
+ * @param {number} [start] Epoch ms
+ * @returns {{now: function(): number, set: function(number), advance: function(number)}}
+ */
+function createFakeClock(start = START) {
+  let time = start;
+  return {
+    now: () => time,
+    set: (ms) => {
+      time = ms;
+    },
+    advance: (ms) => {
+      time += ms;
+    }
+  };
+}
+
+/**
+ * A fake of chrome.storage.local and chrome.alarms. Values are copied in
+ * and out as JSON, like the real storage, so a test cannot mutate what is
+ * stored by accident. `data` exposes the stored values.
+ *
+ * @returns {Object}
+ */
+function createFakeChrome() {
+  const data = {};
+  const alarms = new Map();
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  return {
+    data,
+    storage: {
+      local: {
+        async get(keys) {
+          const result = {};
+          [].concat(keys).forEach((key) => {
+            if (key in data) result[key] = copy(data[key]);
+          });
+          return result;
+        },
+        async set(items) {
+          Object.assign(data, copy(items));
+        },
+        async remove(keys) {
+          [].concat(keys).forEach((key) => delete data[key]);
+        }
+      }
+    },
+    alarms: {
+      create(name, { when }) {
+        alarms.set(name, { name, scheduledTime: when });
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      },
+      async getAll() {
+        return Array.from(alarms.values());
+      },
+      // Not part of the real API: remove and return the alarms due by `now`
+      takeDue(now) {
+        const due = Array.from(alarms.values()).filter((alarm) => alarm.scheduledTime <= now);
+        due.forEach((alarm) => alarms.delete(alarm.name));
+        return due;
+      }
+    }
+  };
+}
+
+/**
+ * The settings store of settings.js on its own in‑memory storage, starting
+ * from the shipped defaults with a single profile.
+ *
+ * @param {Object} [overrides] Settings; profile fields go to the default profile
+ * @returns {{getSettings: function(): Promise<Object>, saveSettings: function(Object): Promise<Object>,
+ *   addProfile: function(Object)}}
+ */
+function createFakeSettings(overrides = {}) {
+  const fake = createFakeChrome();
+  const profile = Object.assign(pickProfileSettings(DEFAULT_SETTINGS), {
+    id: engineModule.DEFAULT_PROFILE_ID,
+    name: translate('defaultProfileName')
+  }, pickProfileSettings(overrides));
+  const stored = Object.assign({}, overrides, { profiles: [profile], schemaVersion: SETTINGS_VERSION });
+  Object.keys(pickProfileSettings(overrides)).forEach((key) => delete stored[key]);
+  fake.data.settings = stored;
+  const store = createSettings({ storage: fake.storage.local, translate, locales: ['en'] });
+  return {
+    getSettings: store.getSettings,
+    saveSettings: store.saveSettings,
+    addProfile(extra) {
+      fake.data.settings.profiles.push(Object.assign({}, profile, extra));
+    }
+  };
+}
+
+/**
+ * Wire a timer engine to the fakes and record what its hooks report.
+ * Pass the `chrome` and `clock` of an earlier harness to simulate the
+ * worker being restarted with the same storage.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.settings] Overrides for createFakeSettings()
+ * @param {Object} [options.chrome] Fake from createFakeChrome()
+ * @param {Object} [options.clock] Fake from createFakeClock()
+ * @param {Object} [options.fakeSettings] Settings fake to share
+ * @returns {Object}
+ */
+function createHarness({ settings, chrome, clock, fakeSettings } = {}) {
+  const fake = chrome || createFakeChrome();
+  const time = clock || createFakeClock();
+  const store = fakeSettings || createFakeSettings(settings);
+  const events = { changes: [], completed: [], idleReturned: [], idleSettled: 0 };
+  const engine = engineModule.createTimerEngine({
+    clock: time,
+    storage: fake.storage.local,
+    scheduler: {
+      set: (name, when) => fake.alarms.create(name, { when }),
+      clear: (name) => fake.alarms.clear(name)
+    },
+    getSettings: store.getSettings,
+    saveSettings: store.saveSettings,
+    phaseLabel: (type) => translate(PHASE_TYPE_MESSAGES[type]),
+    hooks: {
+      changed: (state, change) => {
+        events.changes.push(change);
+      },
+      completed: (phase) => {
+        events.completed.push(phase);
+      },
+      idleReturned: (minutes) => {
+        events.idleReturned.push(minutes);
+      },
+      idleSettled: () => {
+        events.idleSettled += 1;
+      }
+    }
+  });
+
+  /**
+   * Move the clock forward, firing due alarms on the way as the service
+   * worker would, in the order they fall due.
+   *
+   * @param {number} ms
+   */
+  async function advance(ms) {
+    const target = time.now() + ms;
+    for (;;) {
+      const alarms = await fake.alarms.getAll();
+      const next = alarms.filter((alarm) => alarm.scheduledTime <= target)
+        .sort((a, b) => a.scheduledTime - b.scheduledTime)[0];
+      if (!next) break;
+      time.set(Math.max(next.scheduledTime, time.now()));
+      fake.alarms.takeDue(next.scheduledTime);
+      if (next.name === 'timerEnd') {
+        await engine.timerEnded();
+      }
+    }
+    time.set(target);
+  }
+
+  return { engine, chrome: fake, clock: time, settings: store, events, advance };
+}
+
+module.exports = Object.assign({}, engineModule, {
+  MINUTE,
+  START,
+  createFakeClock,
+  createFakeChrome,
+  createFakeSettings,
+  createHarness
+});
@@ -0,0 +1,119 @@
+// Day boundaries are local; pin a zone with daylight saving time
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dates = require('../dates.js');
+
+// reflections.js is a classic script that expects the helpers of dates.js
+// as globals, as in the service worker
+Object.assign(global, dates);
+
+const {
+  REFLECTION_NOTE_MAX_LENGTH,
+  createReflection,
+  isReflection,
+  journalEntries,
+  filterJournal,
+  focusTrend
+} = require('../reflections.js');
+
+const MINUTE = 60000;
+
+/**
+ * Local time on a day.
+ *
+ * @param {string} key Date key
+ * @param {number} hour
+ * @returns {number} Epoch ms
+ */
+function at(key, hour) {
+  const { year, month, day } = dates.parseDateKey(key);
+  return new Date(year, month - 1, day, hour).getTime();
+}
+
+/**
+ * A journal entry as journalEntries() returns it.
+ *
+ * @param {string} key Date key
+ * @param {number} hour Local hour the session ended
+ * @param {string} note
+ * @param {number|null} focus
+ * @param {string|null} [taskTitle]
+ * @returns {Object}
+ */
+function entry(key, hour, note, focus, taskTitle = null) {
+  return { id: `${key}T${hour}`, endTime: at(key, hour), note, focus, taskTitle };
+}
+
+test('a reflection keeps one line of note and a rating from 1 to 5', () => {
+  assert.deepEqual(createReflection({ note: '  Wrote\n the tests ', focus: 4 }, 7), {
+    note: 'Wrote the tests', focus: 4, recordedAt: 7
+  });
+  assert.equal(createReflection({ note: 'x'.repeat(200), focus: null }, 7).note.length, REFLECTION_NOTE_MAX_LENGTH);
+  assert.deepEqual(createReflection({ note: '', focus: 5 }, 7), { note: '', focus: 5, recordedAt: 7 });
+  // Out of range ratings are dropped; with nothing left there is nothing to store
+  assert.equal(createReflection({ note: 'Done', focus: 6 }, 7).focus, null);
+  assert.equal(createReflection({ note: ' ', focus: 0 }, 7), null);
+  assert.equal(createReflection({}, 7), null);
+});
+
+test('only well-formed reflections pass the check', () => {
+  assert.equal(isReflection({ note: 'Done', focus: 3, recordedAt: 1 }), true);
+  assert.equal(isReflection({ note: '', focus: null, recordedAt: 1 }), false);
+  assert.equal(isReflection({ note: 'Done', focus: 2.5, recordedAt: 1 }), false);
+  assert.equal(isReflection({ note: 'x'.repeat(REFLECTION_NOTE_MAX_LENGTH + 1), focus: null, recordedAt: 1 }), false);
+  assert.equal(isReflection(null), false);
+});
+
+test('the journal lists reflected work sessions from history and journal, newest first', () => {
+  const reflection = (note) => ({ note, focus: 3, recordedAt: 1 });
+  const history = {
+    entries: [
+      { id: '2', phase: 'work', startTime: 0, endTime: at('2024-05-06', 10), actualDuration: 25 * MINUTE,
+        taskId: 'a', reflection: reflection('Outline') },
+      { id: '3', phase: 'work', startTime: 0, endTime: at('2024-05-06', 11), actualDuration: 25 * MINUTE,
+        taskId: 'a' },
+      { id: '4', phase: 'short_break', startTime: 0, endTime: at('2024-05-06', 12), actualDuration: 5 * MINUTE,
+        taskId: null }
+    ],
+    journal: [
+      { id: '1', startTime: 0, endTime: at('2024-01-02', 10), actualDuration: 25 * MINUTE, outcome: 'completed',
+        taskId: 'gone', reflection: reflection('Planning') }
+    ]
+  };
+  const entries = journalEntries(history, [{ id: 'a', title: 'Write report' }]);
+  assert.deepEqual(entries.map((item) => [item.id, item.note, item.taskTitle]),
+    [['2', 'Outline', 'Write report'], ['1', 'Planning', null]]);
+});
+
+test('the journal is searched by note and task and filtered by day', () => {
+  const entries = [
+    entry('2024-05-07', 1, 'Late fix', 2),
+    entry('2024-05-06', 15, 'Reviewed the Budget', null, 'Finance'),
+    entry('2024-05-06', 10, 'Drafted the intro', 4, 'Write report')
+  ];
+  const ids = (list) => list.map((item) => item.note);
+  assert.deepEqual(ids(filterJournal(entries, { query: 'budget' }, 0)), ['Reviewed the Budget']);
+  assert.deepEqual(ids(filterJournal(entries, { query: 'report intro' }, 0)), ['Drafted the intro']);
+  assert.deepEqual(ids(filterJournal(entries, { query: 'finance review' }, 0)), ['Reviewed the Budget']);
+  assert.deepEqual(ids(filterJournal(entries, { from: '2024-05-07' }, 0)), ['Late fix']);
+  // With a later day start, the session after midnight belongs to the 6th
+  assert.deepEqual(ids(filterJournal(entries, { from: '2024-05-06', to: '2024-05-06' }, 4)),
+    ['Late fix', 'Reviewed the Budget', 'Drafted the intro']);
+  assert.equal(filterJournal(entries, { query: 'nothing' }, 0).length, 0);
+});
+
+test('the focus trend averages the rated sessions of each day', () => {
+  const entries = [
+    entry('2024-05-08', 10, 'c', 5),
+    entry('2024-05-07', 11, 'b', 2),
+    entry('2024-05-07', 10, 'a', 3),
+    entry('2024-05-06', 10, 'unrated', null)
+  ];
+  assert.deepEqual(focusTrend(entries, 0), [
+    { date: '2024-05-07', average: 2.5, ratings: 2 },
+    { date: '2024-05-08', average: 5, ratings: 1 }
+  ]);
+  assert.deepEqual(focusTrend([], 0), []);
+});
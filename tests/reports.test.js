@@ -0,0 +1,148 @@
+// Clocks in Berlin go forward on 31 March 2024 and back on 27 October 2024
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dates = require('../dates.js');
+
+// reports.js is a classic script that expects the helpers of dates.js and
+// goalForDay() as globals, as in the service worker
+Object.assign(global, dates);
+Object.assign(global, { goalForDay: require('../timer_engine.js').goalForDay });
+
+const { REPORT_TOP_TASKS, reportPeriod, reportDueAt, buildReport } = require('../reports.js');
+
+const MINUTE = 60000;
+
+const SETTINGS = {
+  dayStartHour: 0,
+  dailyGoal: 2,
+  weekdayGoals: [null, null, null, null, null, null, null],
+  weekendsOff: false
+};
+
+/**
+ * Local time on a day.
+ *
+ * @param {string} key Date key
+ * @param {number} hour
+ * @returns {number} Epoch ms
+ */
+function at(key, hour) {
+  const { year, month, day } = dates.parseDateKey(key);
+  return new Date(year, month - 1, day, hour).getTime();
+}
+
+/**
+ * A completed 25 minute work session in the detailed history.
+ *
+ * @param {string} key Date key
+ * @param {number} hour Local hour it ended
+ * @param {string} [taskId]
+ * @returns {Object}
+ */
+function work(key, hour, taskId = null) {
+  return { phase: 'work', outcome: 'completed', endTime: at(key, hour), actualDuration: 25 * MINUTE, taskId };
+}
+
+test('weeks run from Monday to Sunday', () => {
+  assert.deepEqual(reportPeriod('week', '2024-05-08'), { kind: 'week', from: '2024-05-06', to: '2024-05-12' });
+  assert.deepEqual(reportPeriod('week', '2024-05-12'), { kind: 'week', from: '2024-05-06', to: '2024-05-12' });
+  assert.deepEqual(reportPeriod('week', '2024-05-06', -1), { kind: 'week', from: '2024-04-29', to: '2024-05-05' });
+  assert.deepEqual(reportPeriod('week', '2024-01-03', -1), { kind: 'week', from: '2023-12-25', to: '2023-12-31' });
+});
+
+test('months are calendar months', () => {
+  assert.deepEqual(reportPeriod('month', '2024-02-14'), { kind: 'month', from: '2024-02-01', to: '2024-02-29' });
+  assert.deepEqual(reportPeriod('month', '2024-01-31', -1), { kind: 'month', from: '2023-12-01', to: '2023-12-31' });
+  assert.deepEqual(reportPeriod('month', '2024-11-30', 2), { kind: 'month', from: '2025-01-01', to: '2025-01-31' });
+});
+
+test('a report is due at the report time on the day after its period', () => {
+  const week = reportPeriod('week', '2024-05-08');
+  assert.equal(reportDueAt(week, '09:00', 0), at('2024-05-13', 9));
+  // Never before the next day has begun
+  assert.equal(reportDueAt(week, '09:00', 10), at('2024-05-13', 10));
+  // The month ends just before clocks go back
+  const october = reportPeriod('month', '2024-10-15');
+  assert.equal(reportDueAt(october, '08:30', 0), new Date(2024, 10, 1, 8, 30).getTime());
+});
+
+test('a report totals its period and compares it with the one before', () => {
+  const history = {
+    entries: [
+      work('2024-05-06', 10, 'a'),
+      work('2024-05-06', 11, 'a'),
+      work('2024-05-07', 10, 'b'),
+      work('2024-05-08', 10, 'a'),
+      work('2024-05-08', 11, 'c'),
+      work('2024-05-08', 12, 'd'),
+      { phase: 'work', outcome: 'abandoned', endTime: at('2024-05-09', 10), actualDuration: 10 * MINUTE },
+      { phase: 'short_break', outcome: 'completed', endTime: at('2024-05-09', 11), actualDuration: 5 * MINUTE },
+      work('2024-05-13', 10, 'a')
+    ],
+    dailyTotals: {
+      '2024-04-30': { completed: 3, focusMs: 75 * MINUTE },
+      '2024-05-02': { completed: 1, focusMs: 30 * MINUTE }
+    }
+  };
+  const tasks = [{ id: 'a', title: 'Write report' }, { id: 'b', title: 'Review' }, { id: 'c', title: 'Email' }];
+  const week = reportPeriod('week', '2024-05-06');
+  const report = buildReport(history, tasks, SETTINGS, week, at('2024-05-14', 9));
+
+  assert.equal(report.complete, true);
+  assert.equal(report.pomodoros, 6);
+  assert.equal(report.focusMs, 160 * MINUTE);
+  assert.deepEqual(report.previous, { from: '2024-04-29', to: '2024-05-05', pomodoros: 4, focusMs: 105 * MINUTE });
+  assert.deepEqual(report.bestDay, { date: '2024-05-08', completed: 3 });
+  assert.equal(report.topTasks.length, REPORT_TOP_TASKS);
+  assert.deepEqual(report.topTasks[0], { taskId: 'a', title: 'Write report', pomodoros: 3 });
+  // A deleted task keeps its count
+  const deleted = buildReport(history, [], SETTINGS, week, at('2024-05-14', 9)).topTasks[0];
+  assert.deepEqual(deleted, { taskId: 'a', title: null, pomodoros: 3 });
+});
+
+test('a report for the running period is marked incomplete', () => {
+  const history = { entries: [work('2024-05-06', 10)], dailyTotals: {} };
+  const week = reportPeriod('week', '2024-05-06');
+  assert.equal(buildReport(history, [], SETTINGS, week, at('2024-05-12', 23)).complete, false);
+  assert.equal(buildReport(history, [], SETTINGS, week, at('2024-05-13', 0)).complete, true);
+  // With a later day start, the early hours of Monday still belong to Sunday
+  const lateStart = Object.assign({}, SETTINGS, { dayStartHour: 4 });
+  assert.equal(buildReport(history, [], lateStart, week, at('2024-05-13', 3)).complete, false);
+});
+
+test('the longest streak counts days that met their goal and skips rest days', () => {
+  const history = {
+    entries: [
+      // Thursday and Friday meet the goal of 2, the weekend is off and
+      // Monday meets it again; Tuesday falls short
+      work('2024-05-09', 10), work('2024-05-09', 11),
+      work('2024-05-10', 10), work('2024-05-10', 11),
+      work('2024-05-13', 10), work('2024-05-13', 11),
+      work('2024-05-14', 10)
+    ],
+    dailyTotals: {}
+  };
+  const settings = Object.assign({}, SETTINGS, { weekendsOff: true });
+  const month = reportPeriod('month', '2024-05-01');
+  assert.equal(buildReport(history, [], settings, month, at('2024-06-01', 9)).longestStreak, 3);
+  assert.equal(buildReport(history, [], SETTINGS, month, at('2024-06-01', 9)).longestStreak, 2);
+});
+
+test('sessions after midnight count towards the evening before', () => {
+  const history = { entries: [work('2024-05-13', 1)], dailyTotals: {} };
+  const lateStart = Object.assign({}, SETTINGS, { dayStartHour: 4 });
+  const week = reportPeriod('week', '2024-05-06');
+  assert.equal(buildReport(history, [], lateStart, week, at('2024-05-14', 9)).pomodoros, 1);
+  assert.equal(buildReport(history, [], SETTINGS, week, at('2024-05-14', 9)).pomodoros, 0);
+});
+
+test('a period without sessions has no best day', () => {
+  const report = buildReport({ entries: [], dailyTotals: {} }, [], SETTINGS, reportPeriod('week', '2024-05-06'),
+    at('2024-05-14', 9));
+  assert.equal(report.pomodoros, 0);
+  assert.equal(report.bestDay, null);
+  assert.equal(report.longestStreak, 0);
+  assert.deepEqual(report.topTasks, []);
+});
@@ -0,0 +1,88 @@
+// Clocks in Berlin go forward on 31 March 2024 and back on 27 October 2024
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dates = require('../dates.js');
+
+// schedule.js is a classic script that expects the helpers of dates.js as
+// globals, as in the service worker
+Object.assign(global, dates);
+
+const { workingHoursOnDay, currentWorkingHours, nextWorkingHoursChange, quietHoursEndAt } = require('../schedule.js');
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const OFFICE = [
+  { days: WEEKDAYS, start: '09:00', end: '12:00' },
+  { days: WEEKDAYS, start: '13:00', end: '17:00' }
+];
+
+/**
+ * Local time on a day.
+ *
+ * @param {string} key Date key
+ * @param {number} hour
+ * @param {number} [minute]
+ * @returns {number} Epoch ms
+ */
+function at(key, hour, minute = 0) {
+  const { year, month, day } = dates.parseDateKey(key);
+  return new Date(year, month - 1, day, hour, minute).getTime();
+}
+
+test('windows that touch or overlap on a day are merged', () => {
+  const windows = [
+    { days: [1], start: '13:00', end: '15:00' },
+    { days: [1], start: '09:00', end: '12:00' },
+    { days: [1, 2], start: '12:00', end: '13:30' },
+    { days: [1], start: '16:00', end: '17:00' }
+  ];
+  assert.deepEqual(workingHoursOnDay(windows, '2024-05-06'), [
+    { start: at('2024-05-06', 9), end: at('2024-05-06', 15) },
+    { start: at('2024-05-06', 16), end: at('2024-05-06', 17) }
+  ]);
+  assert.deepEqual(workingHoursOnDay(windows, '2024-05-07'), [
+    { start: at('2024-05-07', 12), end: at('2024-05-07', 13, 30) }
+  ]);
+  assert.deepEqual(workingHoursOnDay(windows, '2024-05-08'), []);
+});
+
+test('a moment is inside working hours from their start up to their end', () => {
+  assert.deepEqual(currentWorkingHours(OFFICE, at('2024-05-06', 9)),
+    { start: at('2024-05-06', 9), end: at('2024-05-06', 12) });
+  assert.equal(currentWorkingHours(OFFICE, at('2024-05-06', 12)), null);
+  assert.equal(currentWorkingHours(OFFICE, at('2024-05-11', 10)), null);
+});
+
+test('the next change is the next start or end, skipping days off', () => {
+  assert.equal(nextWorkingHoursChange(OFFICE, at('2024-05-06', 8)), at('2024-05-06', 9));
+  assert.equal(nextWorkingHoursChange(OFFICE, at('2024-05-06', 10)), at('2024-05-06', 12));
+  assert.equal(nextWorkingHoursChange(OFFICE, at('2024-05-06', 12)), at('2024-05-06', 13));
+  // Friday evening waits for Monday morning
+  assert.equal(nextWorkingHoursChange(OFFICE, at('2024-05-10', 17)), at('2024-05-13', 9));
+  // A single weekly window is found a week ahead
+  assert.equal(nextWorkingHoursChange([{ days: [1], start: '09:00', end: '10:00' }], at('2024-05-06', 11)),
+    at('2024-05-13', 9));
+  assert.equal(nextWorkingHoursChange([], at('2024-05-06', 11)), null);
+});
+
+test('working hours follow the wall clock across a change of clocks', () => {
+  const sunday = [{ days: [0], start: '01:00', end: '05:00' }];
+  // 31 March 2024 lasts 23 hours in Berlin, so the window does too
+  const [range] = workingHoursOnDay(sunday, '2024-03-31');
+  assert.equal(range.end - range.start, 3 * 60 * 60000);
+  assert.equal(new Date(range.end).getHours(), 5);
+});
+
+test('quiet hours may run past midnight', () => {
+  const settings = { quietHoursEnabled: true, quietHours: { start: '22:00', end: '07:00' } };
+  assert.equal(quietHoursEndAt(settings, at('2024-05-06', 21, 59)), null);
+  assert.equal(quietHoursEndAt(settings, at('2024-05-06', 23)), at('2024-05-07', 7));
+  assert.equal(quietHoursEndAt(settings, at('2024-05-07', 6)), at('2024-05-07', 7));
+  assert.equal(quietHoursEndAt(settings, at('2024-05-07', 7)), null);
+
+  const lunch = { quietHoursEnabled: true, quietHours: { start: '12:00', end: '13:00' } };
+  assert.equal(quietHoursEndAt(lunch, at('2024-05-06', 12, 30)), at('2024-05-06', 13));
+  assert.equal(quietHoursEndAt(lunch, at('2024-05-06', 13)), null);
+  assert.equal(quietHoursEndAt(Object.assign({}, settings, { quietHoursEnabled: false }), at('2024-05-06', 23)), null);
+});
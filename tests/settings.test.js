@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+// fakes.js also provides the globals settings.js expects
+const { DEFAULT_PROFILE_ID, createFakeChrome } = require('./fakes.js');
+
+const {
+  DEFAULT_SETTINGS,
+  PROFILE_KEYS,
+  SETTINGS_VERSION,
+  normaliseDomain,
+  createSettings
+} = require('../settings.js');
+
+/**
+ * A settings store on in‑memory storage. Messages come out as their names.
+ *
+ * @param {Object} [stored] Settings already in storage
+ * @returns {{store: Object, data: Object}}
+ */
+function createStore(stored) {
+  const fake = createFakeChrome();
+  if (stored) fake.data.settings = stored;
+  const store = createSettings({
+    storage: fake.storage.local,
+    translate: (key) => key,
+    locales: ['en', 'de']
+  });
+  return { store, data: fake.data };
+}
+
+test('without stored settings the defaults form the only profile', async () => {
+  const { store } = createStore();
+  const settings = await store.getSettings();
+  assert.equal(settings.schemaVersion, SETTINGS_VERSION);
+  assert.equal(settings.profiles.length, 1);
+  assert.equal(settings.profiles[0].id, DEFAULT_PROFILE_ID);
+  assert.equal(settings.profiles[0].name, 'defaultProfileName');
+  // The active profile's values are flattened into the top level
+  assert.equal(settings.workDuration, DEFAULT_SETTINGS.workDuration);
+  assert.equal(settings.name, 'defaultProfileName');
+});
+
+test('settings from before profiles are moved into the first profile', async () => {
+  const { store, data } = createStore({ workDuration: 50, theme: 'dark', dailyGoal: 6 });
+  await store.migrateStoredSettings();
+  const stored = data.settings;
+  assert.equal(stored.schemaVersion, SETTINGS_VERSION);
+  assert.equal(stored.theme, 'dark');
+  assert.equal(stored.dailyGoal, 6);
+  assert.equal(stored.workDuration, undefined);
+  assert.equal(stored.profiles[0].workDuration, 50);
+  assert.equal(stored.activeProfileId, DEFAULT_PROFILE_ID);
+  // Settings already at the current version are left alone
+  data.settings.theme = 'light';
+  await store.migrateStoredSettings();
+  assert.equal(data.settings.theme, 'light');
+});
+
+test('invalid settings are rejected with an error per field and nothing is written', async () => {
+  const { store, data } = createStore();
+  const result = await store.saveSettings({
+    workDuration: 0,
+    theme: 'purple',
+    weekdayGoals: [1, 2, 3, 4, 5, 6, 'many'],
+    sequence: [{ type: 'work', duration: 25 }, { type: 'short_break', duration: 500 }],
+    reportTime: '25:00'
+  });
+  assert.deepEqual(result, {
+    success: false,
+    errors: {
+      workDuration: 'errorWholeNumber',
+      theme: 'errorChooseOption',
+      'weekdayGoals.6': 'errorWholeNumber',
+      'sequence.1.duration': 'errorWholeNumber',
+      reportTime: 'errorTime'
+    }
+  });
+  assert.equal(data.settings, undefined);
+});
+
+test('values are cleaned up and unknown settings dropped', () => {
+  const { store } = createStore();
+  const { settings, errors } = store.validateSettings({
+    blockedSites: ['https://www.Example.com/feed', 'example.com', 'news.site.org'],
+    sequence: [{ type: 'short_break', duration: 5 }],
+    quotes: ['  Keep   going. '],
+    language: 'de',
+    volumeKnob: 11
+  });
+  assert.deepEqual(settings, {
+    blockedSites: ['example.com', 'news.site.org'],
+    sequence: null,
+    quotes: ['Keep going.'],
+    language: 'de'
+  });
+  // A sequence needs at least one work phase
+  assert.deepEqual(errors, { sequence: 'errorNoWorkPhase' });
+  assert.deepEqual(store.validateSettings({ language: 'fr' }).errors, { language: 'errorChooseOption' });
+});
+
+test('profile settings are saved to the active profile', async () => {
+  const { store, data } = createStore();
+  await store.saveSettings({
+    profiles: [
+      { id: DEFAULT_PROFILE_ID, name: 'Work', workDuration: 25 },
+      { id: 'study', name: 'Study', workDuration: 45 }
+    ],
+    activeProfileId: 'study'
+  });
+  assert.deepEqual(await store.saveSettings({ workDuration: 50, dailyGoal: 3 }), { success: true });
+  const stored = data.settings;
+  assert.equal(stored.workDuration, undefined);
+  assert.equal(stored.dailyGoal, 3);
+  assert.deepEqual(stored.profiles.map((profile) => profile.workDuration), [25, 50]);
+  const settings = await store.getSettings();
+  assert.equal(settings.name, 'Study');
+  assert.equal(settings.workDuration, 50);
+});
+
+test('imported settings are upgraded, checked and kept free of profile values', () => {
+  const { store } = createStore();
+  const settings = store.importedSettings({ workDuration: 500, theme: 'dark', activeProfileId: 'gone' });
+  assert.equal(settings.schemaVersion, SETTINGS_VERSION);
+  assert.equal(settings.theme, 'dark');
+  assert.equal(settings.profiles[0].workDuration, 180);
+  assert.equal(settings.activeProfileId, DEFAULT_PROFILE_ID);
+  PROFILE_KEYS.forEach((key) => assert.equal(settings[key], undefined, key));
+});
+
+test('sites are reduced to bare domains', () => {
+  assert.equal(normaliseDomain('HTTPS://www.Example.com:8080/path?q=1'), 'example.com');
+  assert.equal(normaliseDomain('sub.example.co.uk'), 'sub.example.co.uk');
+  assert.equal(normaliseDomain('localhost'), null);
+  assert.equal(normaliseDomain(''), null);
+});
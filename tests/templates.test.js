@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MOTIVATIONAL_QUOTES, templateProblem, fillTemplate, parseQuotes, pickQuote } = require('../templates.js');
+
+test('a template may only use the known placeholders', () => {
+  assert.equal(templateProblem(''), null);
+  assert.equal(templateProblem('Pomodoro {count} done – {nextPhase} for {nextDuration} min'), null);
+  assert.equal(templateProblem('{task}, day {streak}'), null);
+  assert.deepEqual(templateProblem('Well done {name}, {count} today'), { problem: 'placeholder', name: 'name' });
+  // Placeholder names are case sensitive
+  assert.deepEqual(templateProblem('{Count}'), { problem: 'placeholder', name: 'Count' });
+  assert.deepEqual(templateProblem('{}'), { problem: 'placeholder', name: '' });
+});
+
+test('a brace without its partner is reported', () => {
+  assert.deepEqual(templateProblem('Done {count'), { problem: 'brace' });
+  assert.deepEqual(templateProblem('Done count}'), { problem: 'brace' });
+  assert.deepEqual(templateProblem('{{count}}'), { problem: 'brace' });
+});
+
+test('placeholders are filled in and gaps closed up', () => {
+  const values = { count: '3', task: 'Write report', nextPhase: 'Short break', nextDuration: '5', streak: '2' };
+  assert.equal(fillTemplate('Pomodoro {count} done: {task}', values), 'Pomodoro 3 done: Write report');
+  assert.equal(fillTemplate('{nextPhase} for {nextDuration} min, day {streak}', values),
+    'Short break for 5 min, day 2');
+  // Without an active task the sentence closes up around it
+  assert.equal(fillTemplate('Finished {task} now', Object.assign({}, values, { task: '' })), 'Finished now');
+  assert.equal(fillTemplate('{task}', {}), '');
+});
+
+test('quotes are read one per line without blanks or repeats', () => {
+  const text = 'Keep going.\r\n\n  Small   steps   count. \nKeep going.\n\t\nDone is better than perfect.';
+  assert.deepEqual(parseQuotes(text), ['Keep going.', 'Small steps count.', 'Done is better than perfect.']);
+  assert.deepEqual(parseQuotes(''), []);
+});
+
+test('a quote is added as often as the frequency says', () => {
+  const quotes = ['a', 'b', 'c', 'd'];
+  // The first number decides whether, the second which
+  const sequence = (...numbers) => () => numbers.shift();
+  assert.equal(pickQuote(quotes, 50, sequence(0.49, 0.5)), 'c');
+  assert.equal(pickQuote(quotes, 50, sequence(0.5, 0)), null);
+  assert.equal(pickQuote(quotes, 0, sequence(0, 0)), null);
+  assert.equal(pickQuote(quotes, 100, sequence(0.999, 0.999)), 'd');
+  assert.equal(pickQuote([], 100, sequence(0, 0)), null);
+  assert.equal(MOTIVATIONAL_QUOTES.length, 10);
+});
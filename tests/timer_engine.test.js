@@ -0,0 +1,678 @@
+// Day boundaries are local; pin a zone with daylight saving time
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MINUTE,
+  START,
+  STATE_STORAGE_KEY,
+  createHarness,
+  compactHistory,
+  createDailyTotal
+} = require('./fakes.js');
+
+/**
+ * The phases the timer walks through, as 'phase@index'.
+ *
+ * @param {Object} harness
+ * @param {number} count Phases to run through
+ * @returns {Promise<string[]>}
+ */
+async function walk(harness, count) {
+  const seen = [];
+  for (let i = 0; i < count; i++) {
+    const { state } = harness.engine;
+    seen.push(`${state.phase}@${state.sequenceIndex}`);
+    await harness.advance(state.endTime - harness.clock.now());
+  }
+  return seen;
+}
+
+/**
+ * Seed completed work sessions, `perDay[i]` of them on the day `i` days
+ * before the start day.
+ *
+ * @param {Object} harness
+ * @param {number[]} perDay
+ */
+async function seedSessions(harness, perDay) {
+  const history = [];
+  perDay.forEach((count, daysAgo) => {
+    for (let i = 0; i < count; i++) {
+      const endTime = START - daysAgo * 24 * 60 * MINUTE + i * 30 * MINUTE;
+      history.push({
+        id: String(endTime - 25 * MINUTE),
+        phase: 'work',
+        plannedDuration: 25 * MINUTE,
+        actualDuration: 25 * MINUTE,
+        startTime: endTime - 25 * MINUTE,
+        endTime,
+        outcome: 'completed',
+        interruptions: [],
+        idle: []
+      });
+    }
+  });
+  await harness.chrome.storage.local.set({ history, historyVersion: 1 });
+}
+
+test('starting from idle begins the first work session', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  const { state } = h.engine;
+  assert.equal(state.phase, 'work');
+  assert.equal(state.running, true);
+  assert.equal(state.phaseLabel, 'Work');
+  assert.equal(state.endTime, START + 25 * MINUTE);
+  assert.deepEqual(await h.chrome.alarms.getAll(), [{ name: 'timerEnd', scheduledTime: START + 25 * MINUTE }]);
+  assert.equal(h.chrome.data[STATE_STORAGE_KEY].phase, 'work');
+  assert.deepEqual(h.events.changes, ['restore', 'begin']);
+});
+
+test('a finished work session is logged and the break starts at its end time', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(25 * MINUTE + 30000);
+  const { state } = h.engine;
+  assert.equal(state.phase, 'short_break');
+  assert.equal(state.startTime, START + 25 * MINUTE);
+  assert.equal(state.endTime, START + 30 * MINUTE);
+  assert.deepEqual(h.events.completed, ['work']);
+  const [entry] = h.chrome.data.history;
+  assert.equal(entry.outcome, 'completed');
+  assert.equal(entry.actualDuration, 25 * MINUTE);
+  assert.equal(entry.endTime, START + 25 * MINUTE);
+  assert.equal(entry.profileId, 'default');
+});
+
+test('the classic cycle takes a long break after every longBreakInterval sessions', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  assert.deepEqual(await walk(h, 10), [
+    'work@0', 'short_break@1', 'work@2', 'short_break@3', 'work@4', 'short_break@5', 'work@6', 'long_break@7',
+    'work@0', 'short_break@1'
+  ]);
+  assert.equal(h.engine.state.sequenceLength, 8);
+});
+
+test('a long break interval of one alternates work and long breaks', async () => {
+  const h = createHarness({ settings: { longBreakInterval: 1 } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  assert.deepEqual(await walk(h, 4), ['work@0', 'long_break@1', 'work@0', 'long_break@1']);
+});
+
+test('a custom sequence is walked in order and wraps around', async () => {
+  const sequence = [
+    { label: 'Warm-up', type: 'work', duration: 15 },
+    { label: 'Stretch', type: 'short_break', duration: 3 },
+    { label: 'Deep', type: 'work', duration: 45 },
+    { label: 'Rest', type: 'long_break', duration: 20 }
+  ];
+  const h = createHarness({ settings: { sequence } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  const labels = [];
+  for (let i = 0; i < 5; i++) {
+    labels.push(`${h.engine.state.phaseLabel}:${h.engine.state.plannedDuration / MINUTE}`);
+    await h.advance(h.engine.state.endTime - h.clock.now());
+  }
+  assert.deepEqual(labels, ['Warm-up:15', 'Stretch:3', 'Deep:45', 'Rest:20', 'Warm-up:15']);
+});
+
+test('without auto-start the next phase waits for the user', async () => {
+  const h = createHarness({ settings: { autoStartBreaks: false } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(40 * MINUTE);
+  let { state } = h.engine;
+  assert.equal(state.phase, 'short_break');
+  assert.equal(state.awaitingStart, true);
+  assert.equal(state.running, false);
+  assert.equal(state.remainingTime, 5 * MINUTE);
+  assert.deepEqual(await h.chrome.alarms.getAll(), []);
+
+  await h.engine.startNextPhase();
+  state = h.engine.state;
+  assert.equal(state.awaitingStart, false);
+  assert.equal(state.running, true);
+  assert.equal(state.startTime, START + 40 * MINUTE);
+  assert.equal(state.endTime, START + 45 * MINUTE);
+});
+
+test('pausing keeps the time left and resuming counts it down again', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(10 * MINUTE);
+  await h.engine.pauseTimer('external');
+  assert.equal(h.engine.state.remainingTime, 15 * MINUTE);
+  assert.deepEqual(await h.chrome.alarms.getAll(), []);
+
+  // Nothing runs out while paused
+  await h.advance(60 * MINUTE);
+  assert.equal(h.engine.state.phase, 'work');
+  assert.equal(h.engine.state.remainingTime, 15 * MINUTE);
+
+  await h.engine.resumeTimer();
+  assert.equal(h.engine.state.endTime, START + 85 * MINUTE);
+  assert.equal(h.engine.state.remainingTime, null);
+  await h.advance(15 * MINUTE);
+
+  const [entry] = h.chrome.data.history;
+  assert.equal(entry.outcome, 'completed');
+  assert.equal(entry.actualDuration, 25 * MINUTE);
+  assert.equal(entry.startTime, START);
+  assert.deepEqual(entry.interruptions.map((pause) => [pause.reason, pause.durationMs]), [['external', 60 * MINUTE]]);
+});
+
+test('a reason can be given for the pause in progress only', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.engine.pauseTimer();
+  await h.engine.setPauseReason('custom', 'Phone call');
+  assert.deepEqual(h.engine.state.interruptions.map((pause) => [pause.reason, pause.note]), [['custom', 'Phone call']]);
+  await h.engine.resumeTimer();
+  await h.engine.setPauseReason('internal');
+  assert.equal(h.engine.state.interruptions[0].reason, 'custom');
+});
+
+test('pausing or resuming twice changes nothing', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.resumeTimer();
+  assert.equal(h.engine.state.phase, 'idle');
+  await h.engine.startNextPhase();
+  await h.advance(5 * MINUTE);
+  await h.engine.pauseTimer();
+  await h.advance(5 * MINUTE);
+  await h.engine.pauseTimer();
+  assert.equal(h.engine.state.interruptions.length, 1);
+  assert.equal(h.engine.state.remainingTime, 20 * MINUTE);
+  await h.engine.resumeTimer();
+  await h.engine.resumeTimer();
+  assert.equal(h.engine.state.endTime, START + 30 * MINUTE);
+});
+
+test('toggling starts, pauses and resumes', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.toggleTimer();
+  assert.equal(h.engine.state.running, true);
+  await h.engine.toggleTimer();
+  assert.equal(h.engine.state.running, false);
+  await h.engine.toggleTimer();
+  assert.equal(h.engine.state.running, true);
+  assert.equal(h.engine.state.phase, 'work');
+});
+
+test('resetting logs the abandoned session and returns to idle', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(12 * MINUTE);
+  await h.engine.resetTimer();
+  assert.equal(h.engine.state.phase, 'idle');
+  assert.deepEqual(await h.chrome.alarms.getAll(), []);
+  const [entry] = h.chrome.data.history;
+  assert.equal(entry.outcome, 'reset');
+  assert.equal(entry.actualDuration, 12 * MINUTE);
+
+  // The sequence starts from the top again
+  await h.engine.startNextPhase();
+  assert.equal(h.engine.state.sequenceIndex, 0);
+});
+
+test('resetting a phase that never started does not log it', async () => {
+  const h = createHarness({ settings: { autoStartBreaks: false } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(25 * MINUTE);
+  await h.engine.resetTimer();
+  assert.deepEqual(h.chrome.data.history.map((entry) => entry.outcome), ['completed']);
+});
+
+test('a stale end alarm does not end anything', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.engine.resetTimer();
+  await h.engine.timerEnded();
+  assert.equal(h.engine.state.phase, 'idle');
+  await h.engine.startNextPhase();
+  await h.engine.timerEnded();
+  assert.equal(h.engine.state.phase, 'work');
+});
+
+test('skipping a break logs it and starts the next work session', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(26 * MINUTE);
+  await h.engine.skipBreak();
+  const { state } = h.engine;
+  assert.equal(state.phase, 'work');
+  assert.equal(state.sequenceIndex, 2);
+  assert.equal(state.startTime, START + 26 * MINUTE);
+  assert.deepEqual(h.chrome.data.history.map((entry) => [entry.phase, entry.outcome, entry.actualDuration / MINUTE]),
+    [['work', 'completed', 25], ['short_break', 'skipped', 1]]);
+});
+
+test('a timer asked to stop goes back to idle when the phase ends', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(10 * MINUTE);
+  await h.engine.stopAfterPhase();
+  assert.equal(h.engine.state.stopAfterPhase, true);
+  assert.equal(h.chrome.data[STATE_STORAGE_KEY].stopAfterPhase, true);
+  await h.advance(15 * MINUTE);
+  const { state } = h.engine;
+  assert.equal(state.phase, 'idle');
+  assert.equal(state.stopAfterPhase, false);
+  assert.deepEqual(h.events.completed, ['work']);
+  assert.deepEqual(h.events.changes.slice(-2), ['stopAfter', 'reset']);
+  assert.deepEqual(await h.chrome.alarms.getAll(), []);
+  assert.deepEqual(h.chrome.data.history.map((entry) => [entry.phase, entry.outcome]), [['work', 'completed']]);
+});
+
+test('a timer asked to stop drops a phase waiting to be started and ends a skipped break', async () => {
+  const waiting = createHarness({ settings: { autoStartBreaks: false } });
+  await waiting.engine.load();
+  await waiting.engine.startNextPhase();
+  await waiting.advance(25 * MINUTE);
+  assert.equal(waiting.engine.state.awaitingStart, true);
+  await waiting.engine.stopAfterPhase();
+  assert.equal(waiting.engine.state.phase, 'idle');
+  assert.equal(waiting.chrome.data.history.length, 1);
+
+  const skipped = createHarness();
+  await skipped.engine.load();
+  await skipped.engine.startNextPhase();
+  await skipped.advance(26 * MINUTE);
+  await skipped.engine.stopAfterPhase();
+  await skipped.engine.skipBreak();
+  assert.equal(skipped.engine.state.phase, 'idle');
+  assert.deepEqual(skipped.chrome.data.history.map((entry) => [entry.phase, entry.outcome]),
+    [['work', 'completed'], ['short_break', 'skipped']]);
+
+  // An idle timer has nothing to stop
+  const idle = createHarness();
+  await idle.engine.load();
+  await idle.engine.stopAfterPhase();
+  assert.equal(idle.engine.state.stopAfterPhase, false);
+});
+
+test('finishing early counts the session with the time actually spent', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(20 * MINUTE);
+  await h.engine.skipPhase();
+  assert.equal(h.engine.state.phase, 'short_break');
+  assert.equal(h.engine.state.startTime, START + 20 * MINUTE);
+  const [entry] = h.chrome.data.history;
+  assert.equal(entry.outcome, 'completed');
+  assert.equal(entry.actualDuration, 20 * MINUTE);
+});
+
+test('extending adds time whether the phase runs or is paused', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.engine.extendPhase();
+  assert.equal(h.engine.state.endTime, START + 30 * MINUTE);
+  assert.equal(h.engine.state.plannedDuration, 30 * MINUTE);
+  assert.deepEqual(await h.chrome.alarms.getAll(), [{ name: 'timerEnd', scheduledTime: START + 30 * MINUTE }]);
+  await h.engine.pauseTimer();
+  await h.engine.extendPhase(10);
+  assert.equal(h.engine.state.remainingTime, 40 * MINUTE);
+  await h.engine.extendPhase(-3);
+  assert.equal(h.engine.state.remainingTime, 40 * MINUTE);
+});
+
+test('jumping to a long break skips the session and restarts the sequence afterwards', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(5 * MINUTE);
+  await h.engine.jumpToLongBreak();
+  let { state } = h.engine;
+  assert.equal(state.phase, 'long_break');
+  assert.equal(state.plannedDuration, 15 * MINUTE);
+  assert.equal(state.sequenceIndex, 7);
+  assert.deepEqual(h.chrome.data.history.map((entry) => entry.outcome), ['skipped']);
+  await h.advance(15 * MINUTE);
+  state = h.engine.state;
+  assert.equal(state.phase, 'work');
+  assert.equal(state.sequenceIndex, 0);
+});
+
+test('snoozing only applies to a phase waiting to be started', async () => {
+  const h = createHarness({ settings: { autoStartBreaks: false } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.engine.snoozePhase();
+  assert.deepEqual((await h.chrome.alarms.getAll()).map((alarm) => alarm.name), ['timerEnd']);
+  await h.advance(25 * MINUTE);
+  await h.engine.snoozePhase();
+  assert.deepEqual(await h.chrome.alarms.getAll(), [{ name: 'snooze', scheduledTime: START + 30 * MINUTE }]);
+  await h.engine.startNextPhase();
+  assert.deepEqual((await h.chrome.alarms.getAll()).map((alarm) => alarm.name), ['timerEnd']);
+});
+
+test('a phase waiting to be started takes on changed settings', async () => {
+  const h = createHarness({ settings: { autoStartBreaks: false } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(25 * MINUTE);
+  assert.deepEqual(await h.settings.saveSettings({ shortBreakDuration: 8 }), { success: true });
+  await h.engine.settingsChanged();
+  assert.equal(h.engine.state.remainingTime, 8 * MINUTE);
+  assert.equal(h.engine.state.awaitingStart, true);
+});
+
+test('a profile switch during a phase applies from the next phase by default', async () => {
+  const h = createHarness();
+  h.settings.addProfile({ id: 'study', name: 'Study', workDuration: 50, shortBreakDuration: 10 });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.engine.switchProfile('study');
+  assert.equal(h.engine.state.pendingProfileId, 'study');
+  assert.equal(h.engine.state.plannedDuration, 25 * MINUTE);
+  await h.advance(25 * MINUTE);
+  assert.equal(h.engine.state.pendingProfileId, null);
+  assert.equal(h.engine.state.profileId, 'study');
+  assert.equal(h.engine.state.plannedDuration, 10 * MINUTE);
+  assert.equal(h.chrome.data.history[0].profileId, 'default');
+});
+
+test('switching profile now keeps the time spent and completes a phase already past its new length', async () => {
+  const h = createHarness({ settings: { profileSwitch: 'now' } });
+  h.settings.addProfile({ id: 'short', name: 'Short', workDuration: 15 });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(10 * MINUTE);
+  await h.engine.switchProfile('short');
+  assert.equal(h.engine.state.endTime, START + 15 * MINUTE);
+  await h.advance(3 * MINUTE);
+  await h.engine.switchProfile('default');
+  assert.equal(h.engine.state.endTime, START + 25 * MINUTE);
+  h.settings.addProfile({ id: 'tiny', name: 'Tiny', workDuration: 5 });
+  await h.engine.switchProfile('tiny');
+  assert.equal(h.engine.state.phase, 'short_break');
+  assert.deepEqual(h.chrome.data.history.map((entry) => [entry.phase, entry.outcome]), [['work', 'completed']]);
+});
+
+test('a pending switch to a deleted profile is dropped', async () => {
+  const h = createHarness();
+  h.settings.addProfile({ id: 'study', name: 'Study' });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.engine.switchProfile('study');
+  await h.engine.profileDeleted('study');
+  assert.equal(h.engine.state.pendingProfileId, null);
+});
+
+test('going idle pauses work as of the moment input stopped', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(15 * MINUTE);
+  await h.engine.handleIdleState('idle');
+  let { state } = h.engine;
+  assert.equal(state.running, false);
+  assert.equal(state.remainingTime, 15 * MINUTE);
+  assert.equal(state.idle.since, START + 10 * MINUTE);
+
+  await h.advance(20 * MINUTE);
+  await h.engine.handleIdleState('active');
+  assert.deepEqual(h.events.idleReturned, [25]);
+
+  await h.engine.resolveIdle('keep');
+  state = h.engine.state;
+  assert.equal(state.phase, 'short_break');
+  assert.equal(h.events.idleSettled, 1);
+  const [entry] = h.chrome.data.history;
+  assert.deepEqual(entry.idle, [{ since: START + 10 * MINUTE, durationMs: 25 * MINUTE, decision: 'keep' }]);
+});
+
+test('discarding idle time gives it back to the session', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(15 * MINUTE);
+  await h.engine.handleIdleState('locked');
+  await h.advance(20 * MINUTE);
+  await h.engine.handleIdleState('active');
+  await h.engine.resolveIdle('discard');
+  const { state } = h.engine;
+  assert.equal(state.running, true);
+  assert.equal(state.endTime, START + 45 * MINUTE);
+});
+
+test('in mark mode a session that runs out while away is held until the user answers', async () => {
+  const h = createHarness({ settings: { idleAction: 'mark' } });
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(20 * MINUTE);
+  await h.engine.handleIdleState('locked');
+  assert.equal(h.engine.state.running, true);
+  await h.advance(30 * MINUTE);
+  assert.equal(h.engine.state.phase, 'work');
+  assert.equal(h.engine.state.remainingTime, 0);
+  assert.equal(h.engine.state.idle.heldAt, START + 25 * MINUTE);
+
+  await h.engine.handleIdleState('active');
+  await h.engine.resolveIdle('discard');
+  // The 5 minutes away before the end are given back
+  assert.equal(h.engine.state.phase, 'work');
+  assert.equal(h.engine.state.endTime, START + 55 * MINUTE);
+});
+
+test('breaks keep running while away unless configured otherwise', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(26 * MINUTE);
+  await h.engine.handleIdleState('locked');
+  assert.equal(h.engine.state.running, true);
+  assert.equal(h.engine.state.idle, null);
+});
+
+test('a running phase survives a worker restart', async () => {
+  const first = createHarness();
+  await first.engine.load();
+  await first.engine.startNextPhase();
+  await first.advance(10 * MINUTE);
+  await first.engine.pauseTimer();
+
+  const second = createHarness({ chrome: first.chrome, clock: first.clock, fakeSettings: first.settings });
+  await second.engine.load();
+  assert.deepEqual(second.engine.state, first.engine.state);
+  await second.engine.resumeTimer();
+  assert.equal(second.engine.state.endTime, START + 25 * MINUTE);
+});
+
+test('a phase that ended while the worker slept is completed on its end time', async () => {
+  const first = createHarness();
+  await first.engine.load();
+  await first.engine.startNextPhase();
+
+  // The alarm never fires; the worker comes back two minutes late
+  first.clock.advance(27 * MINUTE);
+  const second = createHarness({ chrome: first.chrome, clock: first.clock, fakeSettings: first.settings });
+  await second.engine.load();
+  const { state } = second.engine;
+  assert.equal(state.phase, 'short_break');
+  assert.equal(state.running, true);
+  assert.equal(state.startTime, START + 25 * MINUTE);
+  assert.deepEqual(await second.chrome.alarms.getAll(), [{ name: 'timerEnd', scheduledTime: START + 30 * MINUTE }]);
+  assert.equal(first.chrome.data.history[0].endTime, START + 25 * MINUTE);
+});
+
+test('a follow-up phase that would have ended too waits to be started after a restart', async () => {
+  const first = createHarness();
+  await first.engine.load();
+  await first.engine.startNextPhase();
+
+  // The browser was closed over night
+  first.clock.advance(12 * 60 * MINUTE);
+  const second = createHarness({ chrome: first.chrome, clock: first.clock, fakeSettings: first.settings });
+  await second.engine.load();
+  const { state } = second.engine;
+  assert.equal(state.phase, 'short_break');
+  assert.equal(state.awaitingStart, true);
+  assert.equal(state.remainingTime, 5 * MINUTE);
+  assert.deepEqual(second.events.completed, ['work']);
+});
+
+test('an old state counting cycles is moved to its place in the sequence', async () => {
+  const h = createHarness();
+  h.chrome.data[STATE_STORAGE_KEY] = {
+    phase: 'short_break', running: false, remainingTime: MINUTE, cycleCount: 3, interruptions: []
+  };
+  await h.engine.load();
+  const { state } = h.engine;
+  assert.equal(state.sequenceIndex, 5);
+  assert.equal(state.sequenceLength, 8);
+  assert.equal(state.phaseLabel, 'Short break');
+  assert.equal(state.cycleCount, undefined);
+});
+
+test('legacy per-day counts are migrated into daily totals', async () => {
+  const h = createHarness();
+  h.chrome.data.stats = { '2024-05-01': 3 };
+  h.chrome.data.streak = 2;
+  await h.engine.load();
+  assert.equal(h.chrome.data.dailyTotals['2024-05-01'].completed, 3);
+  assert.equal(h.chrome.data.stats, undefined);
+  assert.equal(h.chrome.data.streak, undefined);
+  assert.equal((await h.engine.getDailyCounts(0))['2024-05-01'], 3);
+});
+
+test('sessions count towards the local day they ended on', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  // 00:30 in Berlin is still the previous day in UTC
+  h.clock.set(new Date(2024, 4, 7, 0, 5).getTime());
+  await h.engine.startNextPhase();
+  await h.advance(25 * MINUTE);
+  assert.deepEqual(await h.engine.getDailyCounts(0), { '2024-05-07': 1 });
+  // With the day starting at 04:00 it belongs to the evening before
+  assert.deepEqual(await h.engine.getDailyCounts(4), { '2024-05-06': 1 });
+});
+
+test('the summary counts today and the last seven days', async () => {
+  const h = createHarness();
+  await seedSessions(h, [2, 1, 0, 3, 0, 0, 0, 5]);
+  await h.engine.load();
+  const summary = await h.engine.computeStatsSummary();
+  assert.equal(summary.today, 2);
+  assert.equal(summary.week, 6);
+  assert.equal(summary.goal, 4);
+  assert.equal(summary.goalMet, false);
+});
+
+test('the streak counts goal days, skips rest days and is broken by a missed day', async () => {
+  const h = createHarness({ settings: { dailyGoal: 2, weekendsOff: true } });
+  // Monday back to the Monday before: Sunday and Saturday are rest days
+  await seedSessions(h, [0, 0, 0, 2, 2, 2, 2, 1, 2]);
+  await h.engine.load();
+  let summary = await h.engine.computeStatsSummary();
+  assert.equal(summary.streak, 4);
+  assert.equal(summary.bestStreak, 4);
+
+  // Meeting today's goal counts today straight away
+  await h.engine.startNextPhase();
+  await h.advance(30 * MINUTE);
+  await h.advance(25 * MINUTE);
+  summary = await h.engine.computeStatsSummary();
+  assert.equal(summary.today, 2);
+  assert.equal(summary.streak, 5);
+
+  // Missing Tuesday breaks it
+  h.clock.set(START + 2 * 24 * 60 * MINUTE);
+  summary = await h.engine.computeStatsSummary();
+  assert.equal(summary.streak, 0);
+  assert.equal(summary.bestStreak, 5);
+});
+
+test('every seven goal days earn a freeze that saves the streak on a missed day', async () => {
+  const h = createHarness({ settings: { dailyGoal: 1 } });
+  // Eight goal days in a row up to the day before yesterday, then a miss
+  await seedSessions(h, [0, 0, 1, 1, 1, 1, 1, 1, 1, 1]);
+  await h.engine.load();
+  const summary = await h.engine.computeStatsSummary();
+  assert.equal(summary.streak, 8);
+  assert.equal(summary.freezes, 0);
+  assert.deepEqual(h.chrome.data.goalStreak.frozenDays, ['2024-05-05']);
+});
+
+test('resetting statistics clears the history and the streak', async () => {
+  const h = createHarness();
+  await seedSessions(h, [1, 1]);
+  await h.engine.load();
+  await h.engine.computeStatsSummary();
+  await h.engine.clearStats();
+  assert.equal(h.chrome.data.history, undefined);
+  assert.equal(h.chrome.data.goalStreak, undefined);
+  assert.equal((await h.engine.computeStatsSummary()).week, 0);
+});
+
+test('entries past the retention window are folded into daily totals', () => {
+  const old = {
+    phase: 'work', outcome: 'completed', actualDuration: 25 * MINUTE, endTime: START - 100 * 24 * 60 * MINUTE
+  };
+  const recent = { phase: 'short_break', outcome: 'skipped', endTime: START - MINUTE };
+  const history = compactHistory({ entries: [old, recent], dailyTotals: {} }, 0, START);
+  assert.deepEqual(history.entries, [recent]);
+  assert.deepEqual(history.dailyTotals, {
+    '2024-01-27': Object.assign(createDailyTotal(), { completed: 1, focusMs: 25 * MINUTE })
+  });
+});
+
+test('a folded session keeps its reflection in the journal', () => {
+  const reflection = { note: 'Drafted the intro', focus: 4, recordedAt: 1 };
+  const old = {
+    id: '1', phase: 'work', outcome: 'completed', actualDuration: 25 * MINUTE, taskId: 'a', reflection,
+    startTime: START - 100 * 24 * 60 * MINUTE - 25 * MINUTE, endTime: START - 100 * 24 * 60 * MINUTE
+  };
+  const history = compactHistory({ entries: [old], dailyTotals: {}, journal: [] }, 0, START);
+  assert.deepEqual(history.entries, []);
+  assert.deepEqual(history.journal, [{
+    id: '1', startTime: old.startTime, endTime: old.endTime, actualDuration: 25 * MINUTE, outcome: 'completed',
+    taskId: 'a', reflection
+  }]);
+});
+
+test('a reflection is stored with its work session, in the history or the journal', async () => {
+  const h = createHarness();
+  await h.engine.load();
+  await h.engine.startNextPhase();
+  await h.advance(25 * MINUTE);
+  const [session] = h.chrome.data.history;
+  const reflection = { note: 'Fixed the parser', focus: 3, recordedAt: START + 26 * MINUTE };
+  assert.equal(await h.engine.reflectOnSession(session.id, reflection), true);
+  assert.deepEqual(h.chrome.data.history[0].reflection, reflection);
+  assert.equal(await h.engine.reflectOnSession(session.id, null), true);
+  assert.equal('reflection' in h.chrome.data.history[0], false);
+  // Only work sessions take reflections
+  await h.advance(5 * MINUTE);
+  assert.equal(await h.engine.reflectOnSession(h.chrome.data.history[1].id, reflection), false);
+
+  h.chrome.data.journal = [{ id: 'old', startTime: 0, endTime: 1, actualDuration: 1, outcome: 'completed',
+    taskId: null, reflection }];
+  const edited = Object.assign({}, reflection, { note: 'Fixed the lexer' });
+  assert.equal(await h.engine.reflectOnSession('old', edited), true);
+  assert.deepEqual(h.chrome.data.journal[0].reflection, edited);
+  assert.equal(await h.engine.reflectOnSession('old', null), true);
+  assert.deepEqual(h.chrome.data.journal, []);
+  await h.engine.clearStats();
+  assert.equal(h.chrome.data.journal, undefined);
+});
@@ -0,0 +1,43 @@
+/*
+ * Colour theme handling shared by the extension pages. The theme setting is
+ * 'light', 'dark', 'high-contrast' or 'system'. The system theme follows
+ * the operating system's colour scheme, and uses high contrast when the
+ * system asks for more contrast or forces its colours. It changes with the
+ * system while a page is open. Pages are styled through the data-theme
+ * attribute on <body>, which always holds a concrete theme.
+ *
+ * Reduced motion is honoured in popup.css with a prefers-reduced-motion
+ * media query, whatever the theme.
+ */
+
+const systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const systemContrastQuery = window.matchMedia('(prefers-contrast: more), (forced-colors: active)');
+
+// The setting last applied, so a system change can be followed
+let themePreference = 'light';
+
+/**
+ * Turn the theme setting into the theme to draw.
+ *
+ * @param {string} [preference] Theme setting
+ * @returns {string} 'light', 'dark' or 'high-contrast'
+ */
+function resolveTheme(preference) {
+  if (preference !== 'system') return preference || 'light';
+  if (systemContrastQuery.matches) return 'high-contrast';
+  return systemDarkQuery.matches ? 'dark' : 'light';
+}
+
+/**
+ * Apply the colour theme to this page.
+ *
+ * @param {string} [preference] Theme setting
+ */
+function applyTheme(preference) {
+  themePreference = preference || 'light';
+  document.body.setAttribute('data-theme', resolveTheme(themePreference));
+}
+
+[systemDarkQuery, systemContrastQuery].forEach((query) => {
+  query.addEventListener('change', () => applyTheme(themePreference));
+});
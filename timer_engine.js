@@ -0,0 +1,1261 @@
+/*
+ * The timer engine: the Pomodoro state machine, the phase sequence, idle
+ * handling, the session history and the goal streak. It knows nothing of
+ * the browser. Everything it needs from the outside is handed to
+ * createTimerEngine():
+ *
+ *   clock      { now() } returning epoch ms
+ *   storage    an object shaped like chrome.storage.local: async get(keys),
+ *              set(items) and remove(keys)
+ *   scheduler  { set(name, when), clear(name) } for one‑shot wake‑ups at an
+ *              epoch ms, such as chrome.alarms; the owner calls timerEnded()
+ *              when 'timerEnd' fires
+ *   getSettings / saveSettings  async access to the settings, flattened
+ *              with the active profile's values as the service worker's
+ *              getSettings() returns them
+ *   phaseLabel(type)  default label of a phase type in the user's language
+ *   hooks      callbacks for the side effects of a change (see below)
+ *
+ * The service worker wires these to chrome.* and reacts to the hooks by
+ * updating the badge, the blocker, notifications and open pages. The tests
+ * in tests/ wire them to in‑memory fakes and a clock they move by hand.
+ *
+ * Hooks (all optional, awaited):
+ *   changed(state, change)      after every change of the timer state;
+ *                               `change` names it, e.g. 'begin', 'await',
+ *                               'pause', 'resume', 'reset' or 'restore'
+ *   completed(phase, settings)  after a phase ran out or was finished
+ *                               early and the next one has been set up,
+ *                               or the timer stopped as asked
+ *   idleReturned(minutes)       the user came back to an idle work phase
+ *                               and should be asked about the time away
+ *   idleSettled()               that question no longer needs an answer
+ *
+ * The file is a classic script that needs the helpers of dates.js: the
+ * service worker loads both with importScripts() and Node can require() it
+ * once dates.js has been loaded.
+ */
+
+// Internal state representation. This object is kept in memory while the
+// service worker is alive and mirrored to storage under STATE_STORAGE_KEY
+// on every transition. When the worker is suspended (which may happen
+// between events) or the browser restarts, state is rebuilt from that copy
+// by load() before any event is handled. We deliberately keep everything
+// simple and serialisable.
+const STATE_STORAGE_KEY = 'timerState';
+
+// Reasons a pause can be given, following the Pomodoro Technique's split
+// between internal and external interruptions. 'custom' carries a note.
+const PAUSE_REASONS = ['internal', 'external', 'break', 'custom', 'unspecified'];
+
+// Minutes a phase waiting to be started is snoozed for
+const SNOOZE_MINUTES = 5;
+// Minutes added by the extend command and keyboard shortcut
+const EXTEND_MINUTES = 5;
+
+// Id of the profile built from settings saved before profiles existed;
+// history entries without a profile are attributed to it
+const DEFAULT_PROFILE_ID = 'default';
+
+// Every finished or abandoned phase is appended to a history log stored
+// under 'history'. Entries have the shape:
+//   {
+//     id,               // unique id (phase start time in ms, as a string)
+//     phase,            // 'work', 'short_break' or 'long_break'
+//     plannedDuration,  // ms the phase was scheduled to last
+//     actualDuration,   // ms actually counted down, excluding pauses
+//     startTime,        // epoch ms the phase first started
+//     endTime,          // epoch ms the phase ended
+//     outcome,          // 'completed', 'reset' or 'skipped'
+//     profileId,        // timer profile the phase ran under
+//     taskId,           // active task during a work phase, otherwise null
+//     interruptions,    // pauses: [{ time, reason, note, durationMs }]
+//     idle,             // idle periods: [{ since, durationMs, decision }]
+//     reflection        // optional, work only: { note, focus, recordedAt }
+//   }
+// A work phase that ends any other way than 'completed' counts as abandoned,
+// with actualDuration recording the time invested before it was dropped.
+// To keep storage bounded, entries older than HISTORY_RETENTION_DAYS (or
+// beyond HISTORY_MAX_ENTRIES) are folded into per‑day totals under
+// 'dailyTotals', which also hold the counts migrated from the legacy
+// date→count 'stats' map. What the user wrote about a session is not
+// folded away: the reflection of a folded entry moves to the journal under
+// 'journal', kept as { id, startTime, endTime, actualDuration, outcome,
+// taskId, reflection }. Detailed entries are assigned to local days (see
+// dates.js) whenever they are read, so changing the time zone or
+// dayStartHour re‑buckets them; compacted totals carry no times and keep
+// the key they were stored under.
+const HISTORY_VERSION = 1;
+const HISTORY_RETENTION_DAYS = 90;
+const HISTORY_MAX_ENTRIES = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The streak counts consecutive days on which the daily goal was met. Rest
+// days (goal 0) neither extend nor break it. Every FREEZE_EARN_DAYS goal days
+// in a row earn a freeze, up to MAX_FREEZES held at once; a freeze is spent
+// automatically on a missed day to keep the streak alive. Finished days are
+// evaluated once, against the goal in force at that moment, and the result
+// is stored under 'goalStreak':
+//   { streak, best, freezes, evaluatedThrough, frozenDays }
+// so later goal changes do not rewrite the past.
+const FREEZE_EARN_DAYS = 7;
+const MAX_FREEZES = 2;
+const STREAK_BOOTSTRAP_DAYS = 365;
+
+/**
+ * Build a fresh idle state object.
+ *
+ * @returns {Object}
+ */
+function createIdleState() {
+  return {
+    phase: 'idle',        // 'idle', 'work', 'short_break', 'long_break'
+    running: false,       // whether a timer is currently counting down
+    startTime: null,      // epoch ms when the current phase started
+    endTime: null,        // epoch ms when the current phase will end
+    remainingTime: null,  // ms remaining when paused
+    sequenceIndex: 0,     // position of the current phase in the phase sequence
+    sequenceLength: 0,    // number of phases in that sequence
+    phaseLabel: null,     // display label of the current phase
+    awaitingStart: false, // phase is chosen but waits for the user to start it
+    interruptions: [],    // pauses during the current phase (see pauseTimer)
+    phaseStartedAt: null, // epoch ms the current phase first began (kept across pauses)
+    plannedDuration: null, // ms the current phase was scheduled to last
+    profileId: null,      // timer profile the current phase runs under
+    pendingProfileId: null, // profile to switch to when the next phase begins
+    idle: null,           // unresolved idle period (see handleIdleState)
+    idlePeriods: [],      // resolved idle periods during the current phase
+    stopAfterPhase: false // return to idle when the phase ends (see stopAfterPhase)
+  };
+}
+
+/**
+ * Create an empty per‑day totals record.
+ *
+ * @returns {Object}
+ */
+function createDailyTotal() {
+  return { completed: 0, abandoned: 0, focusMs: 0, breaks: 0, breaksSkipped: 0, interruptions: 0, idleMs: 0 };
+}
+
+/**
+ * Total time a history entry spent idle.
+ *
+ * @param {Object} entry History entry
+ * @returns {number} ms
+ */
+function entryIdleMs(entry) {
+  return (entry.idle || []).reduce((sum, period) => sum + period.durationMs, 0);
+}
+
+/**
+ * Add a single history entry to a per‑day totals record.
+ *
+ * @param {Object} total Record created by createDailyTotal()
+ * @param {Object} entry History entry
+ */
+function addEntryToTotal(total, entry) {
+  if (entry.phase === 'work') {
+    total.focusMs += entry.actualDuration || 0;
+    total.interruptions += (entry.interruptions || []).length;
+    total.idleMs = (total.idleMs || 0) + entryIdleMs(entry);
+    if (entry.outcome === 'completed') {
+      total.completed += 1;
+    } else {
+      total.abandoned += 1;
+    }
+  } else if (entry.outcome === 'completed') {
+    total.breaks += 1;
+  } else {
+    total.breaksSkipped += 1;
+  }
+}
+
+/**
+ * Fold entries that fall outside the retention window into the per‑day
+ * totals, moving their reflections to the journal. Mutates and returns the
+ * provided history object.
+ *
+ * @param {{entries: Object[], dailyTotals: Object, journal: Object[]}} history
+ * @param {number} dayStartHour Hour at which a new day begins
+ * @param {number} now Epoch ms the retention window ends at
+ * @returns {{entries: Object[], dailyTotals: Object}}
+ */
+function compactHistory(history, dayStartHour, now) {
+  const cutoff = now - HISTORY_RETENTION_DAYS * DAY_MS;
+  const overflow = Math.max(history.entries.length - HISTORY_MAX_ENTRIES, 0);
+  const kept = [];
+  history.entries.forEach((entry, index) => {
+    if (index < overflow || entry.endTime < cutoff) {
+      const key = toDateKey(entry.endTime, dayStartHour);
+      const total = Object.assign(createDailyTotal(), history.dailyTotals[key]);
+      addEntryToTotal(total, entry);
+      history.dailyTotals[key] = total;
+      if (entry.reflection) {
+        const { id, startTime, endTime, actualDuration, outcome, taskId, reflection } = entry;
+        const record = { id, startTime, endTime, actualDuration, outcome, taskId, reflection };
+        history.journal = (history.journal || []).concat(record);
+      }
+    } else {
+      kept.push(entry);
+    }
+  });
+  history.entries = kept;
+  return history;
+}
+
+/**
+ * Return the pomodoro goal for a given day.
+ *
+ * @param {Object} settings Current settings
+ * @param {string} dateKey YYYY‑MM‑DD
+ * @returns {number} Goal, 0 for a rest day
+ */
+function goalForDay(settings, dateKey) {
+  const weekday = weekdayOfKey(dateKey);
+  if (settings.weekendsOff && (weekday === 0 || weekday === 6)) return 0;
+  const perDay = (settings.weekdayGoals || [])[weekday];
+  return perDay == null ? settings.dailyGoal : perDay;
+}
+
+/**
+ * Create a timer engine around the given clock, storage and scheduler.
+ *
+ * @param {Object} options See the top of this file
+ * @param {{now: function(): number}} options.clock
+ * @param {Object} options.storage
+ * @param {{set: function(string, number), clear: function(string)}} options.scheduler
+ * @param {function(): Promise<Object>} options.getSettings
+ * @param {function(Object): Promise<*>} options.saveSettings
+ * @param {function(string): string} options.phaseLabel
+ * @param {Object} [options.hooks]
+ * @returns {Object} The engine's commands and queries; `state` always holds
+ *   the current timer state
+ */
+function createTimerEngine({ clock, storage, scheduler, getSettings, saveSettings, phaseLabel, hooks = {} }) {
+  const on = Object.assign({
+    changed() {},
+    completed() {},
+    idleReturned() {},
+    idleSettled() {}
+  }, hooks);
+
+  let state = createIdleState();
+
+  /**
+   * Write the in‑memory state to storage so it survives suspension of the
+   * service worker and browser restarts.
+   */
+  async function persistState() {
+    await storage.set({ [STATE_STORAGE_KEY]: state });
+  }
+
+  /**
+   * Wake the owner when the running phase ends. Any earlier end wake‑up is
+   * cleared beforehand.
+   */
+  async function scheduleTimerEnd() {
+    await scheduler.clear('timerEnd');
+    if (state.running) {
+      scheduler.set('timerEnd', state.endTime);
+    }
+  }
+
+  /**
+   * Save the state, reschedule the end of the phase and tell the owner.
+   *
+   * @param {string} change What happened, passed on to the changed hook
+   */
+  async function commit(change) {
+    await persistState();
+    await scheduleTimerEnd();
+    await on.changed(state, change);
+  }
+
+  /**
+   * Restore the persisted state and bring it up to date. Call once when the
+   * owner starts, before any other command.
+   */
+  async function load() {
+    const result = await storage.get([STATE_STORAGE_KEY]);
+    state = Object.assign(createIdleState(), result[STATE_STORAGE_KEY] || {});
+    await migrateCycleCount();
+    await migrateLegacyStats();
+    await reconcileState();
+  }
+
+  /**
+   * Bring a restored state up to date with the wall clock. If the running
+   * phase expired while the worker was asleep or the browser was closed it
+   * is completed as if its alarm had fired on time: a finished work session
+   * is credited to the day it ended and the correct follow‑up phase is
+   * chosen. The follow‑up continues from the original end time when it
+   * would still be running now; otherwise nobody was around to take it, so
+   * it waits for the user to start it rather than being silently skipped.
+   * The end wake‑up is scheduled again afterwards because Chrome may drop
+   * alarms on restart.
+   */
+  async function reconcileState() {
+    if (state.running && state.endTime <= clock.now()) {
+      await phaseRanOut();
+      if (state.running && state.endTime <= clock.now()) {
+        await awaitStart(currentStep());
+      }
+    }
+    await scheduleTimerEnd();
+    await on.changed(state, 'restore');
+  }
+
+  /**
+   * Timer states saved before phase sequences existed count work sessions
+   * with `cycleCount` instead of a sequence position. Work out the matching
+   * position in the classic cycle.
+   */
+  async function migrateCycleCount() {
+    if (state.cycleCount === undefined) return;
+    const settings = await getSettings();
+    const interval = settings.longBreakInterval;
+    const done = state.cycleCount;
+    delete state.cycleCount;
+    if (state.phase === 'idle') return;
+    state.sequenceIndex = state.phase === 'work'
+      ? 2 * (done % interval)
+      : 2 * ((Math.max(done, 1) - 1) % interval) + 1;
+    state.sequenceLength = 2 * interval;
+    state.phaseLabel = phaseLabel(state.phase);
+  }
+
+  /**
+   * The owner's alarm for the end of the phase fired. It may be late, or
+   * stale: load() may already have completed the phase if the alarm woke
+   * the worker, and alarms can outlive a reset, so this only acts when the
+   * running phase really is over.
+   */
+  async function timerEnded() {
+    if (state.running && state.endTime <= clock.now() + 1000) {
+      await phaseRanOut();
+    }
+  }
+
+  /**
+   * Length of a phase type under the given settings, for phases that are
+   * not taken from the sequence (such as a long break on demand).
+   *
+   * @param {Object} settings Current settings
+   * @param {string} phase 'work', 'short_break' or 'long_break'
+   * @returns {number} Duration in ms
+   */
+  function phaseDuration(settings, phase) {
+    const minutes = {
+      work: settings.workDuration,
+      short_break: settings.shortBreakDuration,
+      long_break: settings.longBreakDuration
+    }[phase];
+    return minutes * 60000;
+  }
+
+  /**
+   * The phase sequence the timer walks through: the profile's custom
+   * sequence, or the classic Pomodoro cycle of longBreakInterval work
+   * sessions separated by short breaks and closed by a long break.
+   *
+   * @param {Object} settings Current settings
+   * @returns {{label: string, type: string, duration: number}[]} Steps with
+   *   durations in minutes
+   */
+  function getSequence(settings) {
+    if (settings.sequence && settings.sequence.length) return settings.sequence;
+    const sequence = [];
+    for (let i = 1; i <= settings.longBreakInterval; i++) {
+      sequence.push({ label: phaseLabel('work'), type: 'work', duration: settings.workDuration });
+      const type = i === settings.longBreakInterval ? 'long_break' : 'short_break';
+      sequence.push({ label: phaseLabel(type), type, duration: phaseDuration(settings, type) / 60000 });
+    }
+    return sequence;
+  }
+
+  /**
+   * Describe a step of the sequence as a phase the timer can run.
+   *
+   * @param {Object[]} sequence Output of getSequence()
+   * @param {number} index Position in the sequence
+   * @returns {{phase: string, label: string, duration: number, index: number, length: number}}
+   *   Phase with its duration in ms
+   */
+  function stepAt(sequence, index) {
+    const step = sequence[index];
+    return {
+      phase: step.type,
+      label: step.label,
+      duration: step.duration * 60000,
+      index,
+      length: sequence.length
+    };
+  }
+
+  /**
+   * The current phase as a step, to hand back to beginPhase() or
+   * awaitStart().
+   *
+   * @returns {Object}
+   */
+  function currentStep() {
+    return {
+      phase: state.phase,
+      label: state.phaseLabel,
+      duration: state.plannedDuration,
+      index: state.sequenceIndex,
+      length: state.sequenceLength
+    };
+  }
+
+  /**
+   * Work out which phase follows the current one: the next step of the
+   * sequence, wrapping around at its end. From idle the sequence starts at
+   * the beginning.
+   *
+   * @param {Object} settings Current settings
+   * @returns {Object} Step as returned by stepAt()
+   */
+  function nextPhaseAfter(settings) {
+    const sequence = getSequence(settings);
+    const index = state.phase === 'idle' ? 0 : (state.sequenceIndex + 1) % sequence.length;
+    return stepAt(sequence, index);
+  }
+
+  /**
+   * Copy a step's phase, label and sequence position into the state.
+   *
+   * @param {Object} step Step as returned by stepAt()
+   */
+  function applyStep(step) {
+    state.phase = step.phase;
+    state.phaseLabel = step.label;
+    state.sequenceIndex = step.index;
+    state.sequenceLength = step.length;
+  }
+
+  /**
+   * Start counting down a phase.
+   *
+   * @param {Object} step Phase to start, as returned by stepAt()
+   * @param {number} startAt Epoch ms the phase is considered to have begun
+   */
+  async function beginPhase(step, startAt) {
+    const { activeProfileId } = await getSettings();
+    const duration = step.duration;
+    applyStep(step);
+    state.profileId = activeProfileId;
+    state.running = true;
+    state.awaitingStart = false;
+    state.interruptions = [];
+    forgetIdle();
+    state.startTime = startAt;
+    state.phaseStartedAt = startAt;
+    state.plannedDuration = duration;
+    state.endTime = state.startTime + state.plannedDuration;
+    state.remainingTime = null;
+    scheduler.clear('snooze');
+    await commit('begin');
+  }
+
+  /**
+   * Move to a phase without starting it, so the user decides when it
+   * begins. The full duration is kept as the remaining time for display.
+   *
+   * @param {Object} step Phase waiting to be started, as returned by stepAt()
+   */
+  async function awaitStart(step) {
+    const { activeProfileId } = await getSettings();
+    const now = clock.now();
+    const duration = step.duration;
+    applyStep(step);
+    state.profileId = activeProfileId;
+    state.running = false;
+    state.awaitingStart = true;
+    state.interruptions = [];
+    forgetIdle();
+    state.startTime = now;
+    state.phaseStartedAt = now;
+    state.plannedDuration = duration;
+    state.endTime = now + duration;
+    state.remainingTime = duration;
+    await commit('await');
+  }
+
+  /**
+   * Begin the next phase. If a phase is waiting to be started it begins
+   * now; otherwise the phase after the current one is chosen by
+   * nextPhaseAfter().
+   *
+   * @param {number} [startAt] Epoch ms the phase is considered to have
+   *   begun. Defaults to now.
+   */
+  async function startNextPhase(startAt = clock.now()) {
+    if (state.awaitingStart) {
+      await beginPhase(currentStep(), startAt);
+      return;
+    }
+    await applyPendingProfile();
+    await beginPhase(nextPhaseAfter(await getSettings()), startAt);
+  }
+
+  /**
+   * Finish the running phase: log it, then move on to the next phase,
+   * which either starts straight away or waits for the user depending on
+   * the auto‑start settings, unless stopAfterPhase() asked for the timer to
+   * go back to idle. Used when the phase runs out, when reconciling a phase
+   * that expired while the worker was not running and when a work session
+   * is finished early.
+   *
+   * @param {number} [endedAt] Epoch ms the phase ended; defaults to its
+   *   scheduled end time
+   */
+  async function completePhase(endedAt = state.endTime) {
+    const finishedPhase = state.phase;
+    // Log the phase so stats and streaks pick it up
+    await recordPhase('completed', endedAt);
+    if (state.stopAfterPhase) {
+      await returnToIdle();
+      await on.completed(finishedPhase, await getSettings());
+      return;
+    }
+    await applyPendingProfile();
+    const settings = await getSettings();
+    const next = nextPhaseAfter(settings);
+    const autoStart = next.phase === 'work' ? settings.autoStartWork : settings.autoStartBreaks;
+    // The transition is awaited rather than deferred with a timer so the
+    // worker cannot be suspended mid‑transition. An auto‑started phase
+    // begins at the previous end time so a late alarm does not stretch the
+    // cycle.
+    if (autoStart) {
+      await beginPhase(next, endedAt);
+    } else {
+      await awaitStart(next);
+    }
+    await on.completed(finishedPhase, settings);
+  }
+
+  /**
+   * Pause the current timer. The remaining time is captured so that the
+   * timer can be resumed later. The pause is logged as an interruption of
+   * the phase, optionally with a reason. If the timer is already paused or
+   * idle this has no effect.
+   *
+   * @param {string} [reason] One of PAUSE_REASONS
+   * @param {string} [note] Free text for a custom reason
+   */
+  async function pauseTimer(reason, note) {
+    if (!state.running) return;
+    // Pausing is a sign the user is back; idle time the timer kept running
+    // through without an answer is kept
+    if (state.idle) {
+      await resolveIdle('keep');
+    }
+    const now = clock.now();
+    state.running = false;
+    state.remainingTime = Math.max(state.endTime - now, 0);
+    state.interruptions = state.interruptions.concat({
+      time: now,
+      reason: PAUSE_REASONS.includes(reason) ? reason : 'unspecified',
+      note: String(note || '').slice(0, 200),
+      durationMs: null
+    });
+    await commit('pause');
+  }
+
+  /**
+   * Attach a reason to the pause in progress. The popup pauses immediately
+   * and asks for the reason afterwards, so the clock never runs while the
+   * user decides.
+   *
+   * @param {string} reason One of PAUSE_REASONS
+   * @param {string} [note] Free text for a custom reason
+   */
+  async function setPauseReason(reason, note) {
+    const pause = state.interruptions[state.interruptions.length - 1];
+    if (state.running || !pause || pause.durationMs != null || !PAUSE_REASONS.includes(reason)) return;
+    pause.reason = reason;
+    pause.note = String(note || '').slice(0, 200);
+    await commit('pauseReason');
+  }
+
+  /**
+   * Resume a previously paused timer. Remaining time is used to compute
+   * the new end timestamp. If the timer isn't paused this does nothing; a
+   * phase awaiting its start is begun with startNextPhase() instead.
+   * Resuming a phase paused for idleness discards the idle time.
+   */
+  async function resumeTimer() {
+    if (state.running || state.awaitingStart || state.remainingTime == null) return;
+    if (state.idle) {
+      await resolveIdle('discard');
+      return;
+    }
+    const now = clock.now();
+    const pause = state.interruptions[state.interruptions.length - 1];
+    if (pause && pause.durationMs == null) {
+      pause.durationMs = now - pause.time;
+    }
+    state.running = true;
+    state.startTime = now;
+    state.endTime = state.startTime + state.remainingTime;
+    state.remainingTime = null;
+    await commit('resume');
+  }
+
+  /**
+   * Reset the timer to the idle state. The internal state is returned to
+   * its defaults, so the sequence starts from the top again. A phase in
+   * progress is logged as reset so abandoned time is not lost; a phase that
+   * never started is not logged.
+   */
+  async function resetTimer() {
+    if (!state.awaitingStart) {
+      await recordPhase('reset', clock.now());
+    }
+    await returnToIdle();
+  }
+
+  /**
+   * Drop the current phase without logging it and go back to idle.
+   */
+  async function returnToIdle() {
+    await applyPendingProfile();
+    forgetIdle();
+    state = createIdleState();
+    scheduler.clear('snooze');
+    await commit('reset');
+  }
+
+  /**
+   * Let the current phase run to its end and then return to idle instead
+   * of moving on, e.g. when working hours are over. A phase that is only
+   * waiting to be started is dropped straight away.
+   */
+  async function stopAfterPhase() {
+    if (state.phase === 'idle' || state.stopAfterPhase) return;
+    if (state.awaitingStart) {
+      await returnToIdle();
+      return;
+    }
+    state.stopAfterPhase = true;
+    await commit('stopAfter');
+  }
+
+  /**
+   * Start, pause or resume depending on the current state, for the
+   * start/pause keyboard shortcut.
+   */
+  async function toggleTimer() {
+    if (state.running) {
+      await pauseTimer();
+    } else if (state.phase === 'idle' || state.awaitingStart) {
+      await startNextPhase();
+    } else {
+      await resumeTimer();
+    }
+  }
+
+  /**
+   * Skip a break that is running or waiting to be started. The break is
+   * logged as skipped and the next work session starts immediately, or
+   * the timer goes back to idle if it was asked to stop after the break.
+   */
+  async function skipBreak() {
+    if (state.phase !== 'short_break' && state.phase !== 'long_break') return;
+    await recordPhase('skipped', clock.now());
+    if (state.stopAfterPhase) {
+      await returnToIdle();
+      return;
+    }
+    state.awaitingStart = false;
+    await startNextPhase();
+  }
+
+  /**
+   * Finish a work session before its time is up and count it as completed,
+   * then continue with the break as if the session had run out.
+   */
+  async function finishEarly() {
+    if (state.phase !== 'work' || state.awaitingStart) return;
+    await completePhase(clock.now());
+  }
+
+  /**
+   * Move past the current phase: a work session is finished early and
+   * counted, a break is skipped. Used by the "skip" keyboard shortcut.
+   */
+  async function skipPhase() {
+    if (state.phase === 'work') {
+      await finishEarly();
+    } else {
+      await skipBreak();
+    }
+  }
+
+  /**
+   * Add time to the current phase, whether it is running, paused or
+   * waiting to be started.
+   *
+   * @param {number} [minutes] Minutes to add
+   */
+  async function extendPhase(minutes = EXTEND_MINUTES) {
+    if (state.phase === 'idle') return;
+    const extra = Math.max(Number(minutes) || 0, 0) * 60000;
+    if (!extra) return;
+    state.plannedDuration += extra;
+    state.endTime += extra;
+    if (!state.running) {
+      state.remainingTime += extra;
+    }
+    await commit('extend');
+  }
+
+  /**
+   * Abandon the current phase and take a long break right away. An
+   * unfinished work session is logged as skipped and does not count. The
+   * break takes the length and label of the sequence's last long break (or
+   * the profile's long break duration if it has none) and counts as the
+   * last step, so the sequence starts over afterwards.
+   */
+  async function jumpToLongBreak() {
+    if (state.phase === 'long_break' && !state.awaitingStart) return;
+    if (state.phase !== 'idle' && !state.awaitingStart) {
+      await recordPhase('skipped', clock.now());
+    }
+    await applyPendingProfile();
+    const settings = await getSettings();
+    const sequence = getSequence(settings);
+    const longBreak = sequence.slice().reverse().find((step) => step.type === 'long_break');
+    await beginPhase({
+      phase: 'long_break',
+      label: longBreak ? longBreak.label : phaseLabel('long_break'),
+      duration: longBreak ? longBreak.duration * 60000 : phaseDuration(settings, 'long_break'),
+      index: sequence.length - 1,
+      length: sequence.length
+    }, clock.now());
+  }
+
+  /**
+   * Postpone a phase that is waiting to be started: the owner's 'snooze'
+   * wake‑up comes after SNOOZE_MINUTES to remind the user again.
+   */
+  async function snoozePhase() {
+    if (!state.awaitingStart) return;
+    scheduler.set('snooze', clock.now() + SNOOZE_MINUTES * 60000);
+  }
+
+  /**
+   * Apply changed settings to the timer. A phase waiting to be started
+   * becomes the step at its position in the (possibly changed) sequence, so
+   * its length follows the new settings. A phase that is already running
+   * keeps its length.
+   */
+  async function settingsChanged() {
+    if (!state.awaitingStart) return;
+    const settings = await getSettings();
+    const sequence = getSequence(settings);
+    const step = stepAt(sequence, state.sequenceIndex < sequence.length ? state.sequenceIndex : 0);
+    const current = currentStep();
+    if (['phase', 'label', 'duration', 'index', 'length'].some((key) => step[key] !== current[key])) {
+      await awaitStart(step);
+    }
+  }
+
+  /**
+   * Make a profile chosen with "apply from the next phase" the active one.
+   * Called at every transition to a new phase, before its duration is
+   * worked out.
+   */
+  async function applyPendingProfile() {
+    if (!state.pendingProfileId) return;
+    await saveSettings({ activeProfileId: state.pendingProfileId });
+    state.pendingProfileId = null;
+  }
+
+  /**
+   * Switch to another timer profile. While idle or waiting for the next
+   * phase the profile applies immediately, and a waiting phase becomes the
+   * step at the same position of the new profile's sequence. During a
+   * running or paused phase the profileSwitch setting decides: 'next'
+   * leaves the phase alone and switches when the next phase begins; 'now'
+   * switches straight away and gives the current phase the new profile's
+   * length for it, keeping the time already spent, so a phase that is
+   * already longer than that ends right away.
+   *
+   * @param {string} profileId Profile to switch to
+   */
+  async function switchProfile(profileId) {
+    const settings = await getSettings();
+    if (!settings.profiles.some((profile) => profile.id === profileId)) return;
+    const midPhase = state.phase !== 'idle' && !state.awaitingStart;
+    if (midPhase && settings.profileSwitch !== 'now') {
+      state.pendingProfileId = profileId === settings.activeProfileId ? null : profileId;
+      await commit('profile');
+      return;
+    }
+    state.pendingProfileId = null;
+    await saveSettings({ activeProfileId: profileId });
+    if (state.phase === 'idle') {
+      await commit('profile');
+      return;
+    }
+    const newSettings = await getSettings();
+    const sequence = getSequence(newSettings);
+    const index = state.sequenceIndex < sequence.length ? state.sequenceIndex : 0;
+    if (state.awaitingStart) {
+      await awaitStart(stepAt(sequence, index));
+      return;
+    }
+    // Keep the phase type; take the matching step's length if the new
+    // sequence has the same kind of phase at this position
+    const sameStep = sequence[index].type === state.phase;
+    const duration = sameStep ? sequence[index].duration * 60000 : phaseDuration(newSettings, state.phase);
+    const change = duration - state.plannedDuration;
+    state.profileId = profileId;
+    state.plannedDuration = duration;
+    state.sequenceIndex = index;
+    state.sequenceLength = sequence.length;
+    if (sameStep) state.phaseLabel = sequence[index].label;
+    if (state.running) {
+      state.endTime += change;
+    } else {
+      state.remainingTime += change;
+    }
+    if ((state.running ? state.endTime - clock.now() : state.remainingTime) <= 0) {
+      if (!state.running) state.remainingTime = 0;
+      await completePhase(clock.now());
+      return;
+    }
+    await commit('profile');
+  }
+
+  /**
+   * Forget a pending switch to a profile that has been deleted.
+   *
+   * @param {string} profileId Deleted profile
+   */
+  async function profileDeleted(profileId) {
+    if (state.pendingProfileId !== profileId) return;
+    state.pendingProfileId = null;
+    await commit('profile');
+  }
+
+  // Idle detection. The owner reports 'idle' once there has been no input
+  // for the detection interval (idleThresholdMinutes) and 'locked' as soon
+  // as the screen locks. While a work phase runs the idle period is kept in
+  // state.idle as { since, returnedAt, mode, heldAt }: in 'pause' mode the
+  // phase is paused as of `since`; in 'mark' mode it keeps running, and if
+  // it runs out before the user answers it is held at zero (heldAt being
+  // its end time) so nothing is credited until they do. On return the user
+  // keeps the idle time, discards it or restarts the session; the answer
+  // is logged with the phase under `idle`.
+
+  /**
+   * Drop any idle tracking for the phase that is ending or being replaced.
+   */
+  function forgetIdle() {
+    if (state.idle) {
+      on.idleSettled();
+    }
+    state.idle = null;
+    state.idlePeriods = [];
+  }
+
+  /**
+   * React to a change of the system idle state.
+   *
+   * @param {string} newState 'active', 'idle' or 'locked'
+   */
+  async function handleIdleState(newState) {
+    if (newState === 'active') {
+      await userReturned();
+      return;
+    }
+    const settings = await getSettings();
+    if (!settings.idleDetection || !state.running || state.idle) return;
+    const isWork = state.phase === 'work';
+    if (!isWork && !settings.pauseBreaksWhenIdle) return;
+    const now = clock.now();
+    // Idleness is only noticed once the threshold has passed, but the user
+    // left when input stopped; never before this run of the phase began
+    const since = Math.max(newState === 'idle' ? now - settings.idleThresholdMinutes * 60000 : now, state.startTime);
+    // Breaks are only ever paused, and resume by themselves on return
+    const mode = isWork ? settings.idleAction : 'pause';
+    state.idle = { since, returnedAt: null, mode, heldAt: null };
+    if (mode === 'pause') {
+      state.running = false;
+      state.remainingTime = Math.max(state.endTime - since, 0);
+    }
+    await commit('idle');
+  }
+
+  /**
+   * Note that the user is back and ask what to do with the idle time. An
+   * idle break simply carries on.
+   */
+  async function userReturned() {
+    if (!state.idle || state.idle.returnedAt) return;
+    state.idle.returnedAt = clock.now();
+    if (state.phase !== 'work') {
+      await resolveIdle('discard');
+      return;
+    }
+    await commit('idle');
+    const minutes = Math.max(Math.round((state.idle.returnedAt - state.idle.since) / 60000), 1);
+    await on.idleReturned(minutes);
+  }
+
+  /**
+   * Hold a work phase that ran out while the user was idle in 'mark' mode,
+   * until they decide whether the idle time counts.
+   */
+  async function holdForIdle() {
+    state.idle.heldAt = state.endTime;
+    state.running = false;
+    state.remainingTime = 0;
+    await commit('idle');
+  }
+
+  /**
+   * End the running phase because its time is up, unless it is a work
+   * phase with an unanswered idle period, which is held instead.
+   */
+  async function phaseRanOut() {
+    if (state.idle && state.phase === 'work') {
+      await holdForIdle();
+    } else {
+      await completePhase();
+    }
+  }
+
+  /**
+   * Settle the pending idle period.
+   *
+   * 'keep' counts the idle time towards the phase, 'discard' gives it back
+   * and 'restart' logs the phase as reset, crediting only the time before
+   * the user left, and starts it again from the full length.
+   *
+   * @param {string} decision 'keep', 'discard' or 'restart'
+   */
+  async function resolveIdle(decision) {
+    if (!state.idle || !['keep', 'discard', 'restart'].includes(decision)) return;
+    const now = clock.now();
+    const { since, mode, heldAt } = state.idle;
+    const idleEnd = Math.min(state.idle.returnedAt || now, heldAt || Infinity);
+    const idleMs = Math.max(idleEnd - since, 0);
+    state.idlePeriods = state.idlePeriods.concat({ since, durationMs: idleMs, decision });
+    state.idle = null;
+    on.idleSettled();
+
+    if (decision === 'restart') {
+      if (mode === 'mark') {
+        state.running = false;
+        state.remainingTime = Math.max((heldAt || state.endTime) - since, 0);
+      }
+      await recordPhase('reset', now);
+      await beginPhase(currentStep(), now);
+      return;
+    }
+    if (state.running) {
+      // 'mark' mode, back before the phase ran out
+      if (decision === 'discard') {
+        state.endTime += idleMs;
+      }
+      await commit('idle');
+      return;
+    }
+    // Paused as of `since`, or held at zero
+    if (mode === 'pause' && decision === 'keep') {
+      state.remainingTime = Math.max(state.remainingTime - idleMs, 0);
+    } else if (mode === 'mark' && decision === 'discard') {
+      state.remainingTime = idleMs;
+    }
+    if (state.remainingTime <= 0) {
+      await completePhase(now);
+      return;
+    }
+    state.running = true;
+    state.startTime = now;
+    state.endTime = now + state.remainingTime;
+    state.remainingTime = null;
+    await commit('idle');
+  }
+
+  /**
+   * Load the detailed history entries, the compacted per‑day totals and
+   * the reflections of compacted sessions.
+   *
+   * @returns {Promise<{entries: Object[], dailyTotals: Object, journal: Object[]}>}
+   */
+  async function getHistory() {
+    const result = await storage.get(['history', 'dailyTotals', 'journal']);
+    return { entries: result.history || [], dailyTotals: result.dailyTotals || {}, journal: result.journal || [] };
+  }
+
+  /**
+   * Attach a reflection to a work session, replace it, or remove it with
+   * null. The session may still be in the detailed history or only in the
+   * journal.
+   *
+   * @param {string} id History entry id
+   * @param {Object|null} reflection { note, focus, recordedAt }
+   * @returns {Promise<boolean>} false if there is no such work session
+   */
+  async function reflectOnSession(id, reflection) {
+    const history = await getHistory();
+    const entry = history.entries.find((candidate) => candidate.id === id && candidate.phase === 'work');
+    const archived = history.journal.find((candidate) => candidate.id === id);
+    if (entry) {
+      if (reflection) {
+        entry.reflection = reflection;
+      } else {
+        delete entry.reflection;
+      }
+      await storage.set({ history: history.entries });
+    } else if (archived) {
+      const journal = reflection
+        ? history.journal.map((record) => (record === archived ? Object.assign({}, record, { reflection }) : record))
+        : history.journal.filter((record) => record !== archived);
+      await storage.set({ journal });
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Record the current phase in the history log. Called when a phase
+   * completes or is abandoned; idle states are ignored. A work phase is
+   * credited to the task stored as 'activeTaskId'.
+   *
+   * @param {string} outcome 'completed', 'reset' or 'skipped'
+   * @param {number} endTime Epoch ms the phase ended
+   */
+  async function recordPhase(outcome, endTime) {
+    if (state.phase === 'idle') return;
+    const { activeTaskId } = await storage.get(['activeTaskId']);
+    const plannedDuration = state.plannedDuration || (state.endTime - state.startTime);
+    // A phase that runs out has no time left; one finished early, reset or
+    // skipped keeps whatever had not been counted down yet
+    let remaining;
+    if (state.running) {
+      remaining = Math.max(state.endTime - endTime, 0);
+    } else {
+      remaining = state.remainingTime || 0;
+    }
+    const startTime = state.phaseStartedAt || state.startTime;
+    const entry = {
+      id: String(startTime),
+      phase: state.phase,
+      profileId: state.profileId || DEFAULT_PROFILE_ID,
+      plannedDuration,
+      actualDuration: Math.max(plannedDuration - remaining, 0),
+      startTime,
+      endTime,
+      outcome,
+      taskId: state.phase === 'work' ? activeTaskId || null : null,
+      // A pause still open when the phase ends lasts until the end
+      interruptions: state.interruptions.map((pause) => Object.assign({}, pause, {
+        durationMs: pause.durationMs == null ? Math.max(endTime - pause.time, 0) : pause.durationMs
+      })),
+      // Likewise an idle period nobody decided on lasts until the end
+      idle: state.idlePeriods.concat(state.idle ? [{
+        since: state.idle.since,
+        durationMs: Math.max((state.idle.returnedAt || endTime) - state.idle.since, 0),
+        decision: 'none'
+      }] : [])
+    };
+    const [history, settings] = await Promise.all([getHistory(), getSettings()]);
+    history.entries.push(entry);
+    compactHistory(history, settings.dayStartHour, clock.now());
+    await storage.set({ history: history.entries, dailyTotals: history.dailyTotals, journal: history.journal });
+  }
+
+  /**
+   * Convert the legacy date→count 'stats' map into per‑day totals. Runs
+   * once; the old 'stats', 'streak' and 'lastStreakDate' keys are removed
+   * because the streak is now derived from the history itself.
+   */
+  async function migrateLegacyStats() {
+    const result = await storage.get(['historyVersion', 'stats', 'dailyTotals']);
+    if (result.historyVersion >= HISTORY_VERSION) return;
+    const dailyTotals = result.dailyTotals || {};
+    Object.entries(result.stats || {}).forEach(([dateKey, count]) => {
+      const total = dailyTotals[dateKey] || createDailyTotal();
+      total.completed += count;
+      dailyTotals[dateKey] = total;
+    });
+    await storage.set({ dailyTotals, historyVersion: HISTORY_VERSION });
+    await storage.remove(['stats', 'streak', 'lastStreakDate']);
+  }
+
+  /**
+   * Compute the number of completed work sessions per day across both the
+   * detailed log and the compacted totals. Detailed entries are bucketed on
+   * the fly, so they follow the current time zone and day start hour.
+   *
+   * @param {number} dayStartHour Hour at which a new day begins
+   * @returns {Promise<Object>} Map of YYYY‑MM‑DD to completed pomodoros
+   */
+  async function getDailyCounts(dayStartHour) {
+    const history = await getHistory();
+    const counts = {};
+    Object.entries(history.dailyTotals).forEach(([dateKey, total]) => {
+      counts[dateKey] = total.completed;
+    });
+    history.entries.forEach((entry) => {
+      if (entry.phase === 'work' && entry.outcome === 'completed') {
+        const key = toDateKey(entry.endTime, dayStartHour);
+        counts[key] = (counts[key] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Bring the stored goal streak up to date by evaluating every finished
+   * day since the last evaluation. On first use the past year is replayed.
+   *
+   * @param {Object} settings Current settings
+   * @param {Object} counts Map returned by getDailyCounts()
+   * @param {string} todayKey Date key for today
+   * @returns {Promise<Object>} Updated goal streak record
+   */
+  async function updateGoalStreak(settings, counts, todayKey) {
+    const result = await storage.get(['goalStreak']);
+    const record = Object.assign(
+      { streak: 0, best: 0, freezes: 0, evaluatedThrough: null, frozenDays: [] },
+      result.goalStreak || {}
+    );
+    const yesterday = addDaysToKey(todayKey, -1);
+    let key;
+    if (record.evaluatedThrough) {
+      key = addDaysToKey(record.evaluatedThrough, 1);
+    } else {
+      const earliest = Object.keys(counts).filter((k) => counts[k] > 0).sort()[0];
+      const floor = addDaysToKey(todayKey, -STREAK_BOOTSTRAP_DAYS);
+      key = !earliest || earliest < floor ? floor : earliest;
+    }
+    if (key > yesterday) return record;
+    for (; key <= yesterday; key = addDaysToKey(key, 1)) {
+      const goal = goalForDay(settings, key);
+      if (goal === 0) continue;
+      if ((counts[key] || 0) >= goal) {
+        record.streak += 1;
+        record.best = Math.max(record.best, record.streak);
+        if (record.streak % FREEZE_EARN_DAYS === 0 && record.freezes < MAX_FREEZES) {
+          record.freezes += 1;
+        }
+      } else if (record.streak > 0 && record.freezes > 0) {
+        record.freezes -= 1;
+        record.frozenDays = record.frozenDays.concat(key).slice(-30);
+      } else {
+        record.streak = 0;
+      }
+    }
+    record.evaluatedThrough = yesterday;
+    await storage.set({ goalStreak: record });
+    return record;
+  }
+
+  /**
+   * Compute the number of completed pomodoros today and in the last 7
+   * days, together with today's goal and the goal streak. Today counts
+   * towards the streak as soon as its goal is met; until then the streak is
+   * still alive.
+   *
+   * @returns {Promise<{today: number, week: number, streak: number, goal: number,
+   *   goalMet: boolean, bestStreak: number, freezes: number}>}
+   */
+  async function computeStatsSummary() {
+    const settings = await getSettings();
+    const counts = await getDailyCounts(settings.dayStartHour);
+    const todayKey = toDateKey(clock.now(), settings.dayStartHour);
+    const todayCount = counts[todayKey] || 0;
+    // Compute past 7 days including today
+    let weekCount = 0;
+    let key = todayKey;
+    for (let i = 0; i < 7; i++) {
+      weekCount += counts[key] || 0;
+      key = addDaysToKey(key, -1);
+    }
+    const record = await updateGoalStreak(settings, counts, todayKey);
+    const goal = goalForDay(settings, todayKey);
+    const goalMet = goal > 0 && todayCount >= goal;
+    const streak = record.streak + (goalMet ? 1 : 0);
+    return {
+      today: todayCount,
+      week: weekCount,
+      streak,
+      goal,
+      goalMet,
+      bestStreak: Math.max(record.best, streak),
+      freezes: record.freezes
+    };
+  }
+
+  /**
+   * Clear all stored statistics and history, reflections included.
+   */
+  async function clearStats() {
+    await storage.remove([
+      'history', 'dailyTotals', 'journal', 'mergedSources', 'goalStreak', 'stats', 'streak', 'lastStreakDate'
+    ]);
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+    load,
+    timerEnded,
+    startNextPhase,
+    completePhase,
+    pauseTimer,
+    setPauseReason,
+    resumeTimer,
+    resetTimer,
+    stopAfterPhase,
+    toggleTimer,
+    skipBreak,
+    finishEarly,
+    skipPhase,
+    extendPhase,
+    jumpToLongBreak,
+    snoozePhase,
+    settingsChanged,
+    switchProfile,
+    profileDeleted,
+    handleIdleState,
+    resolveIdle,
+    getHistory,
+    reflectOnSession,
+    getDailyCounts,
+    computeStatsSummary,
+    clearStats
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STATE_STORAGE_KEY,
+    PAUSE_REASONS,
+    SNOOZE_MINUTES,
+    EXTEND_MINUTES,
+    DEFAULT_PROFILE_ID,
+    HISTORY_VERSION,
+    HISTORY_RETENTION_DAYS,
+    HISTORY_MAX_ENTRIES,
+    FREEZE_EARN_DAYS,
+    MAX_FREEZES,
+    createIdleState,
+    createDailyTotal,
+    entryIdleMs,
+    addEntryToTotal,
+    compactHistory,
+    goalForDay,
+    createTimerEngine
+  };
+}